@@ -259,7 +259,10 @@ class Browser {
         const urlToOpen = params.get('url');
 
         if (urlToOpen && urlToOpen !== 'browser://home') {
-            const decodedUrl = decodeURIComponent(urlToOpen);
+            // Opaque links (UrlCodec.deepLink) carry a codec prefix
+            const decodedUrl = window.UrlCodec.isEncoded(urlToOpen)
+                ? await window.UrlCodec.decode(urlToOpen)
+                : decodeURIComponent(urlToOpen);
 
             const cleanUrl = window.location.origin + window.location.pathname;
             window.history.replaceState({}, document.title, cleanUrl);
@@ -502,6 +505,8 @@ class Browser {
             if (tab) {
                 if (tab.url === 'browser://home') {
                     this.renderHomePage(tab);
+                } else if (tab.httpFallback) {
+                    this.navigate(tab.url);
                 } else if (tab.iframe) {
                     this.setLoading(true);
                     if (tab.scramjetWrapper && typeof tab.scramjetWrapper.reload === 'function') {
@@ -741,6 +746,7 @@ class Browser {
         tab.element.classList.add('sleeping');
 
         if (tab.iframe) {
+            tab.iframe.removeAttribute('srcdoc'); // HTTP fallback content
             tab.iframe.src = 'about:blank';
         }
     }
@@ -752,7 +758,9 @@ class Browser {
         tab.element.classList.remove('sleeping');
         tab.lastActive = Date.now();
 
-        if (tab.iframe) {
+        if (tab.httpFallback) {
+            this.renderViaHttpFallback(tab, tab.url);
+        } else if (tab.iframe) {
             tab.iframe.src = tab.url;
         }
     }
@@ -977,6 +985,7 @@ class Browser {
             favicon: '',
             iframe: null,
             scramjetWrapper: null,
+            httpFallback: false, // Rendered through /api/proxy instead of Scramjet
             homeElement: null,
             element: null,
             lastActive: Date.now(),
@@ -1364,6 +1373,7 @@ class Browser {
         }
 
         // Proactive connection recovery for proxied navigation
+        let wispConnected = null;
         if (input !== 'browser://home') {
             // CRITICAL: Re-initialize SW before navigation (it may have been terminated during idle)
             if (window.ProxyService.sendInitSignal) {
@@ -1377,7 +1387,7 @@ class Browser {
             // Also verify/recover WebSocket connection
             if (window.ProxyService.ensureConnection) {
                 try {
-                    await window.ProxyService.ensureConnection();
+                    wispConnected = await window.ProxyService.ensureConnection();
                 } catch (e) {
                     console.warn('[BROWSER] Connection recovery attempt failed:', e);
                     // Continue anyway - the navigation might still work
@@ -1436,6 +1446,16 @@ class Browser {
             tab.homeElement.classList.add('hidden');
             this.setLoading(true);
 
+            if (this.shouldUseHttpFallback(wispConnected)) {
+                await this.renderViaHttpFallback(tab, url);
+                return;
+            }
+
+            // WISP is back: the plain fallback frame makes way for a Scramjet frame
+            if (tab.httpFallback) {
+                this.removeViewport(tab);
+            }
+
             if (!tab.scramjetWrapper || !tab.iframe) {
                 if (window.scramjet) {
                     tab.scramjetWrapper = window.scramjet.createFrame();
@@ -1560,6 +1580,136 @@ class Browser {
         }
     }
 
+    // ========================================================================
+    // HTTP FALLBACK
+    // Networks that block WebSockets cannot reach WISP at all; pages are then
+    // fetched and rewritten by the server (/api/proxy) and shown in a plain
+    // iframe. Less compatible than Scramjet, but browsing keeps working.
+    // ========================================================================
+
+    shouldUseHttpFallback(wispConnected) {
+        if (!window.scramjet) return true;
+        // Only when the health check confirmed WebSockets are blocked and the connection
+        // test did not succeed (null: the test could not run, e.g. it threw)
+        return wispConnected !== true && window.WispHealthChecker?.isHealthy === false;
+    }
+
+    removeViewport(tab) {
+        clearInterval(tab.__syncInterval);
+        clearInterval(tab.__overrideInterval);
+        tab.__syncInterval = null;
+        tab.__overrideInterval = null;
+        tab.__locationPollStarted = false;
+
+        if (tab.iframe) tab.iframe.remove();
+        tab.iframe = null;
+        tab.scramjetWrapper = null;
+        tab.httpFallback = false;
+    }
+
+    createFallbackFrame(tab) {
+        this.removeViewport(tab);
+
+        const frame = document.createElement('iframe');
+        frame.classList.add('browser-viewport');
+        frame.style.border = 'none';
+        frame.width = '100%';
+        frame.style.position = 'absolute';
+        // No allow-same-origin: the proxied page gets an opaque origin and cannot reach this app
+        frame.setAttribute('sandbox', 'allow-scripts allow-forms allow-popups');
+        frame.addEventListener('load', () => {
+            if (this.activeTabId === tab.id) this.setLoading(false);
+        });
+
+        this.viewportsContainer.appendChild(frame);
+        tab.iframe = frame;
+        tab.httpFallback = true;
+    }
+
+    async renderViaHttpFallback(tab, url) {
+        if (!tab.httpFallback || !tab.iframe) {
+            this.createFallbackFrame(tab);
+        }
+        tab.iframe.classList.add('active');
+        console.warn('[BROWSER] 🧭 WISP unreachable, loading over HTTP fallback:', url);
+
+        const apiBase = window.ProxyService.apiBase;
+
+        try {
+            const encodedUrl = await this.encodeFallbackUrl(url);
+            const headers = {};
+            if (window.ProxyService.httpSessionId) {
+                headers['X-Session-ID'] = window.ProxyService.httpSessionId;
+            }
+
+            const response = await fetch(`${apiBase}/api/proxy?url=${encodeURIComponent(encodedUrl)}`, { headers, cache: 'no-store' });
+            const sessionId = response.headers.get('X-Session-ID');
+            if (sessionId) window.ProxyService.httpSessionId = sessionId;
+
+            const data = await response.json();
+            if (tab.url !== url) return; // Navigated elsewhere in the meantime
+
+            if (!data.success) {
+                this.showFallbackError(tab, data.error?.message || `HTTP ${response.status}`, data.error?.details?.explanation);
+                return;
+            }
+
+            const { metadata } = data;
+            if (metadata.redirects?.length) {
+                console.log('[BROWSER] ↪️ Redirected:', [...metadata.redirects.map(hop => `${hop.url} (${hop.status})`), metadata.url].join(' → '));
+            }
+            if (metadata.contentType.includes('text/html')) {
+                tab.iframe.srcdoc = data.content;
+            } else {
+                // Images, text, ... are shown as-is by the browser
+                tab.iframe.removeAttribute('srcdoc');
+                const sessionParam = window.ProxyService.httpSessionId ? `&sid=${encodeURIComponent(window.ProxyService.httpSessionId)}` : '';
+                const encodedResource = await this.encodeFallbackUrl(metadata.url);
+                tab.iframe.src = `${apiBase}/api/resource?url=${encodeURIComponent(encodedResource)}${sessionParam}`;
+            }
+
+            tab.url = metadata.url;
+            tab.title = metadata.domain || 'Browse';
+            tab.element.querySelector('.tab-title').textContent = tab.title;
+            if (this.activeTabId === tab.id) this.omnibox.value = metadata.url;
+        } catch (e) {
+            console.error('[BROWSER] HTTP fallback failed:', e);
+            if (tab.url === url) this.showFallbackError(tab, 'The proxy server could not be reached', e.message);
+        }
+    }
+
+    /**
+     * Encodes a URL for the fallback endpoints so it does not travel in
+     * clear text: AES-GCM with the HTTP session's key once there is a
+     * session, XOR for the very first request
+     */
+    async encodeFallbackUrl(url) {
+        const service = window.ProxyService;
+        if (!service.httpSessionId) {
+            return window.UrlCodec.encode(url, 'xor');
+        }
+
+        if (service.urlKeySessionId !== service.httpSessionId) {
+            const response = await fetch(`${service.apiBase}/api/url-key`, {
+                headers: { 'X-Session-ID': service.httpSessionId },
+                cache: 'no-store'
+            });
+            const { key } = await response.json();
+            // An expired session is replaced, and the key belongs to the new one
+            service.httpSessionId = response.headers.get('X-Session-ID') || service.httpSessionId;
+            service.urlKey = key;
+            service.urlKeySessionId = service.httpSessionId;
+        }
+        return window.UrlCodec.encode(url, 'aes-gcm', service.urlKey);
+    }
+
+    showFallbackError(tab, message, explanation) {
+        const escape = (text) => String(text ?? '').replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+        tab.iframe.srcdoc = `<!DOCTYPE html><html><body style="font-family: sans-serif; padding: 2rem; color: #333;">
+            <h2>${escape(message)}</h2><p>${escape(explanation)}</p></body></html>`;
+        if (this.activeTabId === tab.id) this.setLoading(false);
+    }
+
     updateFavicon(tab, src) {
         tab.favicon = src;
         const iconEl = tab.element.querySelector('.tab-favicon');
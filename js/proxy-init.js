@@ -181,13 +181,44 @@ window.ProxyService.ready = new Promise(async (resolve, reject) => {
 
         const { ScramjetController } = scramjetBundle;
 
-        const wispUrl = (location.protocol === "https:" ? "wss" : "ws") + "://navigator.scholarnavigator.workers.dev/wisp/";
+        const wispBaseUrl = (location.protocol === "https:" ? "wss" : "ws") + "://navigator.scholarnavigator.workers.dev/wisp/";
+        window.ProxyService.apiBase = wispBaseUrl.replace(/^ws/, 'http').replace(/\/wisp\/$/, '');
+
+        // WISP AUTH: The server only accepts upgrades carrying a short-lived token
+        window.ProxyService.wispToken = null;
+
+        window.ProxyService.fetchWispToken = async () => {
+            const response = await fetch(window.ProxyService.apiBase + '/api/token', { cache: 'no-store' });
+            if (!response.ok) {
+                throw new Error(`Token request failed: HTTP ${response.status}`);
+            }
+            const data = await response.json();
+            window.ProxyService.wispToken = {
+                token: data.token,
+                expiresAt: Date.parse(data.expiresAt)
+            };
+            console.log(`🔑 [PROXY] WISP token issued (valid for ${data.expiresIn}s)`);
+            return window.ProxyService.wispToken;
+        };
+
+        window.ProxyService.getWispUrl = () => {
+            const current = window.ProxyService.wispToken;
+            return current ? `${wispBaseUrl}?token=${encodeURIComponent(current.token)}` : wispBaseUrl;
+        };
+
+        try {
+            await window.ProxyService.fetchWispToken();
+        } catch (tokenErr) {
+            // Diagnostics below will explain why the server is unreachable
+            console.warn('⚠️ [PROXY] Could not obtain WISP token:', tokenErr.message);
+        }
+
+        const wispUrl = window.ProxyService.getWispUrl();
 
         // DIAGNOSTIC: Test WebSocket connectivity before proceeding
         if (window.WispHealthChecker) {
             console.log('🔬 [PROXY] Running WebSocket diagnostics...');
-            const healthUrl = wispUrl.replace(/^wss?/, location.protocol.replace(':', ''))
-                .replace('/wisp/', '/api/health');
+            const healthUrl = window.ProxyService.apiBase + '/api/health';
 
             const diagResult = await window.WispHealthChecker.diagnose(wispUrl, healthUrl);
             console.log('📊 [PROXY] Diagnosis:', diagResult.diagnosis);
@@ -201,30 +232,10 @@ window.ProxyService.ready = new Promise(async (resolve, reject) => {
             if (window.WispHealthChecker.isHealthy === false) {
                 console.warn('⚠️ [PROXY] WebSocket connection may be blocked or restricted');
                 console.warn('⚠️ [PROXY] The proxy will attempt to connect, but may fail on this network');
-
-                // Show warning banner to user
-                setTimeout(() => {
-                    const banner = document.getElementById('network-warning-banner');
-                    const closeBtn = document.getElementById('warning-close-btn');
-
-                    if (banner) {
-                        banner.classList.remove('hidden');
-
-                        // Auto-hide after 10 seconds
-                        const autoHideTimer = setTimeout(() => {
-                            banner.classList.add('hidden');
-                        }, 10000);
-
-                        // Close button handler
-                        if (closeBtn) {
-                            closeBtn.addEventListener('click', () => {
-                                banner.classList.add('hidden');
-                                clearTimeout(autoHideTimer);
-                            }, { once: true });
-                        }
-                    }
-                }, 1000); // Show after a brief delay
             }
+
+            // Warning banner for a blocked WebSocket or a degraded server (after a brief delay)
+            setTimeout(() => window.WispHealthChecker.showWarningBanner(), 1000);
         }
 
         // 6. Configure Scramjet with iframe-safe settings
@@ -369,6 +380,17 @@ window.ProxyService.ready = new Promise(async (resolve, reject) => {
             window.ProxyService.sendInitSignal();
         });
 
+        // Fetch a new token and point every stored config at the fresh URL
+        window.ProxyService.refreshWispUrl = async () => {
+            await window.ProxyService.fetchWispToken();
+            const freshUrl = window.ProxyService.getWispUrl();
+            if (window.ProxyService.transportConfig) {
+                window.ProxyService.transportConfig.wispUrl = freshUrl;
+            }
+            window.ProxyService.scramjetConfig.wisp = freshUrl;
+            return freshUrl;
+        };
+
         // 7. Initialize BareMux Transport (only if cross-origin isolated)
         if (window.crossOriginIsolated) {
             const bareMuxWorkerPath = new URL("./lib/baremux/worker.js", window.APP_BASE_URL).href;
@@ -432,9 +454,20 @@ window.ProxyService.ready = new Promise(async (resolve, reject) => {
                     return false;
                 }
 
+                // Timers are throttled in hidden tabs, so the token may have lapsed meanwhile
+                const current = window.ProxyService.wispToken;
+                if (!current || current.expiresAt - Date.now() < 60000) {
+                    try {
+                        await window.ProxyService.refreshWispUrl();
+                    } catch (e) {
+                        console.warn('⚠️ [PROXY] Could not refresh WISP token:', e.message);
+                    }
+                }
+
                 console.log('🔍 [PROXY] Testing WebSocket connection...');
 
                 // Quick WebSocket connectivity test
+                let closeCode = null;
                 const testPromise = new Promise((resolve) => {
                     const ws = new WebSocket(config.wispUrl);
                     const timeout = setTimeout(() => {
@@ -456,6 +489,7 @@ window.ProxyService.ready = new Promise(async (resolve, reject) => {
                     ws.onclose = (e) => {
                         // If closed before we resolved, it's a failure (unless we closed it ourselves)
                         if (e.code !== 1000) {
+                            closeCode = e.code;
                             clearTimeout(timeout);
                             resolve(false);
                         }
@@ -464,6 +498,13 @@ window.ProxyService.ready = new Promise(async (resolve, reject) => {
 
                 const isConnected = await testPromise;
 
+                // 1001 = the server is draining for a restart; keep retrying until it is back
+                if (closeCode === 1001) {
+                    console.log('🔁 [PROXY] Server is going away, reconnecting as soon as it returns...');
+                    window.ProxyService.reconnectAfterGoingAway();
+                    return false;
+                }
+
                 if (isConnected) {
                     console.log('✅ [PROXY] WebSocket is reachable, re-establishing transport...');
                     try {
@@ -496,12 +537,111 @@ window.ProxyService.ready = new Promise(async (resolve, reject) => {
             // Also try to recover before any navigation attempt
             window.ProxyService.ensureConnection = window.ProxyService.verifyAndRecoverConnection;
 
+            // Reconnect loop for server restarts: the first attempt is immediate, then back off
+            // (1s, 2s, 4s ... 30s) while the server is down. A fresh token is fetched for every
+            // attempt because the restarted server may not accept the old one.
+            let goingAwayRecovery = null;
+            window.ProxyService.reconnectAfterGoingAway = function () {
+                if (goingAwayRecovery) return goingAwayRecovery;
+
+                goingAwayRecovery = (async () => {
+                    for (let attempt = 0; ; attempt++) {
+                        try {
+                            await window.ProxyService.refreshWispUrl();
+                        } catch (e) {
+                            // Server still down - the connection test below fails too
+                        }
+                        if (await window.ProxyService.verifyAndRecoverConnection()) {
+                            console.log('✅ [PROXY] Reconnected after server restart');
+                            return true;
+                        }
+                        await new Promise(r => setTimeout(r, Math.min(1000 * 2 ** attempt, 30000)));
+                    }
+                })().finally(() => {
+                    goingAwayRecovery = null;
+                });
+                return goingAwayRecovery;
+            };
+
+            // The transport's own WebSocket lives inside the BareMux worker, where its 1001
+            // close cannot be heard. Instead the liveness endpoint is polled: it reports
+            // draining once shutdown starts, and stops answering once the listener closes.
+            // Unlike an extra WISP connection, this costs no connection or upgrade quota.
+            let serverUp = false;
+            const watchForGoingAway = async () => {
+                if (goingAwayRecovery || document.visibilityState === 'hidden') return;
+
+                try {
+                    const response = await fetch(window.ProxyService.apiBase + '/api/health/live', { cache: 'no-store' });
+                    // Rate limited or similar - look again next time
+                    if (!response.ok) return;
+                    const { draining } = await response.json();
+                    if (!draining) {
+                        serverUp = true;
+                        return;
+                    }
+                } catch (e) {
+                    // Unreachable: a restart only if it was answering before
+                    if (!serverUp) return;
+                }
+
+                serverUp = false;
+                console.log('🔁 [PROXY] Server is going away, reconnecting as soon as it returns...');
+                window.ProxyService.reconnectAfterGoingAway();
+            };
+            setInterval(watchForGoingAway, 15000);
+            watchForGoingAway();
+
             console.log('🛡️ [PROXY] Connection recovery system initialized');
         } else {
             console.log('⚠️ [PROXY] Skipping BareMux (requires cross-origin isolation)');
             console.log('ℹ️ [PROXY] Using Scramjet direct WISP transport only');
+
+            // No transport to re-establish here, but navigations still need to know whether
+            // WISP is reachable to choose the HTTP fallback (see shouldUseHttpFallback)
+            window.ProxyService.ensureConnection = async function () {
+                if (!window.WispHealthChecker) return null;
+
+                const current = window.ProxyService.wispToken;
+                if (!current || current.expiresAt - Date.now() < 60000) {
+                    try {
+                        await window.ProxyService.refreshWispUrl();
+                    } catch (e) {
+                        console.warn('⚠️ [PROXY] Could not refresh WISP token:', e.message);
+                    }
+                }
+
+                const result = await window.WispHealthChecker.testConnection(window.ProxyService.getWispUrl(), 5000);
+                return result.success;
+            };
         }
 
+        // 9. Token refresh - swap in a fresh token a minute before the current one expires
+        // so that reconnects made by the transport are never rejected
+        let tokenRefreshTimer = null;
+        const scheduleTokenRefresh = () => {
+            clearTimeout(tokenRefreshTimer);
+            const current = window.ProxyService.wispToken;
+            const delay = current ? Math.max(current.expiresAt - Date.now() - 60000, 15000) : 15000;
+            tokenRefreshTimer = setTimeout(async () => {
+                try {
+                    const freshUrl = await window.ProxyService.refreshWispUrl();
+                    if (window.bareMuxConnection) {
+                        await window.bareMuxConnection.setTransport(
+                            window.ProxyService.transportConfig.transportPath,
+                            [{ websocket: freshUrl }]
+                        );
+                    }
+                    await window.ProxyService.sendInitSignal();
+                    console.log('🔑 [PROXY] WISP token refreshed');
+                } catch (e) {
+                    console.warn('⚠️ [PROXY] WISP token refresh failed, retrying soon:', e);
+                }
+                scheduleTokenRefresh();
+            }, delay);
+        };
+        scheduleTokenRefresh();
+
         window.ProxyService.initialized = true;
 
         // Signal to error handler that initialization succeeded
@@ -0,0 +1,126 @@
+/**
+ * URL Codecs (client side)
+ *
+ * Browser counterpart of src/utils/urlEncoder.js. Encoded values carry the
+ * same versioned prefixes, so either side can decode what the other made:
+ *
+ *   p1.  plain
+ *   b1.  URL-safe Base64
+ *   x1.  XOR, identical to __scramjet$codecs.xor
+ *   a1.  AES-GCM with the HTTP session's key (GET /api/url-key)
+ *
+ * Deep links (?url=...) use XOR, since they must open in any session.
+ */
+(function () {
+    const PREFIX_PATTERN = /^([a-z]\d+)\.([\s\S]*)$/;
+    const AES_IV_BYTES = 12;
+
+    function toBase64Url(bytes) {
+        let binary = '';
+        bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    function fromBase64Url(text) {
+        let base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+        while (base64.length % 4) base64 += '=';
+        return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+    }
+
+    function xorCharacters(text) {
+        return text
+            .split('')
+            .map((char, index) => index % 2 ? String.fromCharCode(char.charCodeAt(0) ^ 2) : char)
+            .join('');
+    }
+
+    function importKey(key) {
+        return crypto.subtle.importKey('raw', fromBase64Url(key), 'AES-GCM', false, ['encrypt', 'decrypt']);
+    }
+
+    const CODECS = {
+        plain: {
+            prefix: 'p1',
+            encode: async url => url,
+            decode: async payload => payload
+        },
+        base64: {
+            prefix: 'b1',
+            encode: async url => toBase64Url(new TextEncoder().encode(url)),
+            decode: async payload => new TextDecoder().decode(fromBase64Url(payload))
+        },
+        xor: {
+            prefix: 'x1',
+            encode: async url => encodeURIComponent(xorCharacters(url)),
+            decode: async payload => {
+                const [input, ...search] = payload.split('?');
+                return xorCharacters(decodeURIComponent(input)) + (search.length ? '?' + search.join('?') : '');
+            }
+        },
+        'aes-gcm': {
+            prefix: 'a1',
+            requiresKey: true,
+            // Output is IV + ciphertext + tag, as the server expects
+            encode: async (url, key) => {
+                const iv = crypto.getRandomValues(new Uint8Array(AES_IV_BYTES));
+                const sealed = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, await importKey(key), new TextEncoder().encode(url));
+                const bytes = new Uint8Array(AES_IV_BYTES + sealed.byteLength);
+                bytes.set(iv);
+                bytes.set(new Uint8Array(sealed), AES_IV_BYTES);
+                return toBase64Url(bytes);
+            },
+            decode: async (payload, key) => {
+                const bytes = fromBase64Url(payload);
+                const iv = bytes.subarray(0, AES_IV_BYTES);
+                const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, await importKey(key), bytes.subarray(AES_IV_BYTES));
+                return new TextDecoder().decode(plain);
+            }
+        }
+    };
+
+    function codecOf(encoded) {
+        const match = PREFIX_PATTERN.exec(encoded || '');
+        if (!match) return null;
+        return Object.values(CODECS).find(codec => codec.prefix === match[1]) || null;
+    }
+
+    window.UrlCodec = {
+        isEncoded: encoded => codecOf(encoded) !== null,
+
+        /**
+         * @param {string} url - URL to encode
+         * @param {string} [codec='xor'] - plain, base64, xor or aes-gcm
+         * @param {string} [key] - Base64 session key, for aes-gcm
+         * @returns {Promise<string>} Prefixed encoded value
+         */
+        async encode(url, codec = 'xor', key = null) {
+            const selected = CODECS[codec];
+            if (!selected) throw new Error(`Unknown URL codec "${codec}"`);
+            if (selected.requiresKey && !key) throw new Error(`URL codec "${codec}" requires a session key`);
+            return `${selected.prefix}.${await selected.encode(url, key)}`;
+        },
+
+        /**
+         * @param {string} encoded - Prefixed encoded value
+         * @param {string} [key] - Base64 session key, for aes-gcm
+         * @returns {Promise<string>} The URL, or '' if it cannot be decoded
+         */
+        async decode(encoded, key = null) {
+            const codec = codecOf(encoded);
+            if (!codec || (codec.requiresKey && !key)) return '';
+            try {
+                return await codec.decode(PREFIX_PATTERN.exec(encoded)[2], key);
+            } catch (e) {
+                return '';
+            }
+        },
+
+        /**
+         * Link that opens `url` in a new browser tab, without showing it
+         */
+        async deepLink(url) {
+            const base = window.location.origin + window.location.pathname;
+            return `${base}?url=${encodeURIComponent(await this.encode(url, 'xor'))}`;
+        }
+    };
+})();
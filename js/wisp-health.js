@@ -2,6 +2,10 @@ window.WispHealthChecker = {
     lastCheckTime: null,
     isHealthy: null,
 
+    // Overall status reported by /api/health ('ok' | 'degraded' | 'down') and the reasons behind it
+    serverStatus: null,
+    serverIssues: [],
+
     /**
      * Test WebSocket connectivity to WISP server
      * @param {string} wispUrl - The WebSocket URL to test
@@ -24,6 +28,7 @@ window.WispHealthChecker = {
                     ws.close();
                     const latency = Date.now() - startTime;
                     console.error(`⏰ [WISP-HEALTH] Connection timeout after ${latency}ms`);
+                    this.isHealthy = false;
                     resolve({
                         success: false,
                         error: `Connection timeout after ${latency}ms`,
@@ -106,8 +111,15 @@ window.WispHealthChecker = {
 
             if (response.ok) {
                 const data = await response.json();
-                console.log('✅ [HTTP-HEALTH] Server reachable:', data);
-                return { success: true, data };
+                this.serverStatus = data.status || null;
+                this.serverIssues = data.status && data.status !== 'ok' ? (data.reasons || []) : [];
+
+                if (this.serverIssues.length > 0) {
+                    console.warn(`⚠️ [HTTP-HEALTH] Server reachable but ${data.status}:`, this.serverIssues);
+                } else {
+                    console.log('✅ [HTTP-HEALTH] Server reachable:', data);
+                }
+                return { success: true, data, status: this.serverStatus, issues: this.serverIssues };
             } else {
                 console.error('❌ [HTTP-HEALTH] Server returned error:', response.status);
                 return {
@@ -144,7 +156,15 @@ window.WispHealthChecker = {
 
         if (wsResult.success) {
             this.isHealthy = true;
-            if (httpResult.success) {
+            if (httpResult.success && httpResult.issues.length > 0) {
+                return {
+                    diagnosis: `WebSocket is working, but the server reports it is ${httpResult.status}: ${httpResult.issues.join('; ')}`,
+                    recommendations: [
+                        'Pages may load slowly or fail until the server recovers.',
+                        'Try again in a few minutes.'
+                    ]
+                };
+            } else if (httpResult.success) {
                 return {
                     diagnosis: 'All systems operational! WebSocket connection is working.',
                     recommendations: ['No action needed']
@@ -195,6 +215,53 @@ window.WispHealthChecker = {
             }
         }
 
+        if (this.serverIssues.length > 0) {
+            diagnosis += ` The server also reports: ${this.serverIssues.join('; ')}.`;
+        }
+
         return { diagnosis, recommendations };
+    },
+
+    /**
+     * Show the network warning banner for the last diagnosis, if there is anything to report:
+     * a blocked WebSocket, or the reasons the server gave for being degraded/down
+     * @param {number} autoHideMs - Hide the banner again after this long (default: 10000)
+     * @returns {boolean} Whether the banner was shown
+     */
+    showWarningBanner(autoHideMs = 10000) {
+        const banner = document.getElementById('network-warning-banner');
+        if (!banner) return false;
+
+        let title;
+        let message;
+        if (this.isHealthy === false) {
+            title = 'Network Restriction Detected';
+            message = 'WebSocket connections might be blocked. The proxy may not work properly on this network.';
+            if (this.serverIssues.length > 0) {
+                message += ' Server reports: ' + this.serverIssues.join('; ');
+            }
+        } else if (this.serverIssues.length > 0) {
+            title = this.serverStatus === 'down' ? 'Proxy Server Unavailable' : 'Proxy Server Degraded';
+            message = this.serverIssues.join(' • ');
+        } else {
+            return false;
+        }
+
+        banner.querySelector('.warning-title').textContent = title;
+        banner.querySelector('.warning-message').textContent = message;
+        banner.classList.remove('hidden');
+
+        const closeBtn = document.getElementById('warning-close-btn');
+        const autoHideTimer = setTimeout(() => {
+            banner.classList.add('hidden');
+        }, autoHideMs);
+
+        if (closeBtn) {
+            closeBtn.addEventListener('click', () => {
+                banner.classList.add('hidden');
+                clearTimeout(autoHideTimer);
+            }, { once: true });
+        }
+        return true;
     }
 };
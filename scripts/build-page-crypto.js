@@ -0,0 +1,47 @@
+/**
+ * Builds lib/noble-ciphers/aes-gcm.js: AES-GCM from @noble/ciphers as a
+ * classic script, for the in-page URL codec (src/rewriter/pageCodec.js).
+ *
+ * The interceptor's hooks are synchronous and WebCrypto is not, so pages
+ * encrypt with noble's audited pure-JavaScript AES-GCM instead. Its package
+ * only ships ES modules; the interceptor is inlined into pages and worker
+ * bootstraps, so it needs the cipher as one script that defines a
+ * `nobleAesGcm` variable ({ gcm }).
+ *
+ * Usage: npm run build:page-crypto (after updating @noble/ciphers)
+ */
+
+import { readFile } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { build } from "esbuild";
+
+const ROOT = path.resolve(fileURLToPath(new URL("..", import.meta.url)));
+const OUTPUT = path.join(ROOT, "lib", "noble-ciphers", "aes-gcm.js");
+
+async function main() {
+    const { version, license } = JSON.parse(
+        await readFile(path.join(ROOT, "node_modules", "@noble", "ciphers", "package.json"), "utf8")
+    );
+
+    await build({
+        stdin: {
+            contents: 'export { gcm } from "@noble/ciphers/aes.js";',
+            resolveDir: ROOT
+        },
+        bundle: true,
+        minify: true,
+        format: "iife",
+        globalName: "nobleAesGcm",
+        target: "es2020",
+        banner: { js: `/*! @noble/ciphers ${version} (${license}, https://github.com/paulmillr/noble-ciphers): gcm only, built by scripts/build-page-crypto.js */` },
+        outfile: OUTPUT
+    });
+
+    console.log(`✅ Wrote ${path.relative(ROOT, OUTPUT)} from @noble/ciphers ${version}`);
+}
+
+main().catch((err) => {
+    console.error("❌ Build failed:", err.message);
+    process.exit(1);
+});
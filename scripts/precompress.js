@@ -0,0 +1,79 @@
+/**
+ * Writes brotli (.br) and gzip (.gz) copies of the compressible files in
+ * lib/, next to the originals, for the static server to send as-is.
+ *
+ * Files whose copies are already newer than the original are skipped, so
+ * this is cheap to re-run after every `npm install` or library update.
+ *
+ * Usage: npm run precompress
+ */
+
+import { readdir, readFile, writeFile, stat } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { isCompressible, compress, ENCODINGS } from "../src/static/staticAssets.js";
+
+const ROOT = path.resolve(fileURLToPath(new URL("..", import.meta.url)));
+const DIRECTORIES = ["lib"];
+
+// Below this the compressed file saves less than the request overhead
+const MIN_SIZE = 1024;
+
+async function* walk(dir) {
+    for (const entry of await readdir(dir, { withFileTypes: true })) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            yield* walk(fullPath);
+        } else if (entry.isFile()) {
+            yield fullPath;
+        }
+    }
+}
+
+async function isFresh(variantPath, original) {
+    try {
+        return (await stat(variantPath)).mtimeMs >= original.mtimeMs;
+    } catch (err) {
+        return false;
+    }
+}
+
+async function main() {
+    let written = 0;
+    let skipped = 0;
+    let savedBytes = 0;
+
+    for (const dir of DIRECTORIES) {
+        for await (const filePath of walk(path.join(ROOT, dir))) {
+            if (!isCompressible(filePath)) continue;
+
+            const original = await stat(filePath);
+            if (original.size < MIN_SIZE) continue;
+
+            let content = null;
+            for (const encoding of ENCODINGS) {
+                const variantPath = filePath + encoding.extension;
+                if (await isFresh(variantPath, original)) {
+                    skipped++;
+                    continue;
+                }
+
+                content ??= await readFile(filePath);
+                const compressed = await compress(content, encoding.name, { maximum: true });
+                if (compressed.length >= content.length) continue;
+
+                await writeFile(variantPath, compressed);
+                written++;
+                savedBytes += content.length - compressed.length;
+                console.log(`📦 ${path.relative(ROOT, variantPath)} (${Math.round(compressed.length / 1024)} KB)`);
+            }
+        }
+    }
+
+    console.log(`✅ Precompressed ${written} file(s), ${skipped} already up to date, ${Math.round(savedBytes / 1024)} KB saved`);
+}
+
+main().catch((err) => {
+    console.error("❌ Precompression failed:", err.message);
+    process.exit(1);
+});
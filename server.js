@@ -1,51 +1,170 @@
 import { createServer } from "node:https";
 import { createServer as createHttpServer } from "node:http";
-import { readFileSync } from "node:fs";
 import { fileURLToPath } from "url";
-import path from "path";
 import { server as wisp, logging } from "@mercuryworkshop/wisp-js/server";
 import express from "express";
+import { WebSocketServer } from "ws";
+import { loadConfig, describeConfig, ConfigError } from "./src/config/serverConfig.js";
+import { createWispAuth } from "./src/middleware/wispAuth.js";
+import { createRateLimiter } from "./src/middleware/rateLimiter.js";
+import { middleware as errorMiddleware, asyncHandler } from "./src/middleware/errorHandler.js";
+import { getClientIp } from "./src/utils/clientIp.js";
+import { createInternalGuard } from "./src/middleware/internalGuard.js";
+import { createEgressPolicy } from "./src/policy/egressPolicy.js";
+import { createConnectionTracker } from "./src/wisp/connectionTracker.js";
+import { createEventLoopMonitor } from "./src/metrics/eventLoop.js";
+import { createProxyMetrics } from "./src/metrics/proxyMetrics.js";
+import { createGracefulShutdown } from "./src/lifecycle/gracefulShutdown.js";
+import { createHealthChecks } from "./src/health/healthChecks.js";
+import { createCertificateStore } from "./src/tls/certificateStore.js";
+import { createStaticAssets } from "./src/static/staticAssets.js";
+import { middleware as sessionMiddleware, configureSessions, stopSessions, getStats as sessionStats } from "./src/middleware/sessionManager.js";
+import { handleProxyRequest, handleResourceRequest, handleCookieRequest, handleUrlKeyRequest, resourceCors, PROXY_CONFIG } from "./src/handlers/proxyHandler.js";
+import { createWebSocketRelay } from "./src/relay/webSocketRelay.js";
+import { createHttpCache } from "./src/cache/httpCache.js";
+import { configureRedaction, configureLinkCodec, sanitizeUrl } from "./src/utils/urlEncoder.js";
 
-const DOMAIN = "scholarnavigator.top";
-let httpsOptions;
+let config;
 try {
-    httpsOptions = {
-        key: readFileSync(`/etc/letsencrypt/live/${DOMAIN}/privkey.pem`),
-        cert: readFileSync(`/etc/letsencrypt/live/${DOMAIN}/fullchain.pem`)
-    };
-    console.log("✅ SSL certificates loaded successfully");
+    config = loadConfig();
 } catch (err) {
-    console.error("❌ Failed to load SSL certificates:", err.message);
-    console.error("   Make sure certbot certificates exist at /etc/letsencrypt/live/" + DOMAIN);
+    if (!(err instanceof ConfigError)) throw err;
+    console.error("❌ " + err.message);
     process.exit(1);
 }
 
+// Every URL written to logs, error responses and metrics goes through this policy
+configureRedaction(config.redaction);
+configureLinkCodec(config.urlEncoding.codec);
+
+// Key/cert pair for the HTTPS listener, reloadable without a restart
+let certStore = null;
+if (config.tls.enabled) {
+    try {
+        certStore = createCertificateStore({
+            keyPath: config.tls.keyPath,
+            certPath: config.tls.certPath
+        });
+        console.log("✅ SSL certificates loaded successfully");
+    } catch (err) {
+        console.error("❌ Failed to load SSL certificates:", err.message);
+        console.error(`   Expected key at ${config.tls.keyPath} and cert at ${config.tls.certPath}`);
+        console.error("   Set TLS_KEY_PATH/TLS_CERT_PATH to point elsewhere, or HTTP_ONLY=1 for local development");
+        process.exit(1);
+    }
+}
+
 const __dirname = fileURLToPath(new URL(".", import.meta.url));
 
 const app = express();
 
+// null leaves name resolution to the system resolver
+const DNS_SERVERS = config.egress.dnsServers;
+
+let egressPolicy;
+try {
+    egressPolicy = createEgressPolicy({
+        policyFile: config.egress.policyFile,
+        dnsServers: DNS_SERVERS
+    });
+} catch (err) {
+    console.error(`❌ Failed to load egress policy ${config.egress.policyFile}: ${err.message}`);
+    process.exit(1);
+}
+
+// HTTP fallback sessions, kept across restarts when the file store is configured
+try {
+    configureSessions(config.sessions);
+} catch (err) {
+    console.error(`❌ Failed to load sessions from ${config.sessions.file}: ${err.message}`);
+    process.exit(1);
+}
+
 logging.set_level(logging.DEBUG);
 Object.assign(wisp.options, {
     allow_udp_streams: false,
-    hostname_blacklist: [],
-    dns_servers: ["1.1.1.1", "1.0.0.1"],
+    // Forwarded addresses are only trusted on the guarded internal listener (see getClientIp)
+    parse_real_ip: false,
+    // Private and loopback targets stay blocked by wisp-js itself as a second line of defence
+    allow_private_ips: false,
+    allow_loopback_ips: false,
+    hostname_blacklist: [egressPolicy.hostnameFilter],
+    dns_servers: DNS_SERVERS,
+    // Resolve through the egress policy so every stream connects to a checked address
+    dns_method: egressPolicy.lookup,
+    // The tracker enforces the stream limit (see connectionTracker.js)
+    stream_limit_total: -1,
 });
 
-// CORS headers for cross-origin requests
+// Further streams on a full connection are closed with ConnThrottled
+const wispTracker = createConnectionTracker(wisp.ServerConnection, {
+    streamLimit: config.limits.streamsPerConnection
+});
+const eventLoop = createEventLoopMonitor();
+const metrics = createProxyMetrics({
+    tracker: wispTracker,
+    eventLoop,
+    token: config.metrics.token
+});
+
+const healthChecks = createHealthChecks({
+    dnsServers: DNS_SERVERS,
+    dnsProbeHost: config.health.dnsProbeHost,
+    getCertificate: () => certStore?.current().cert ?? null,
+    getTlsReloadStatus: () => certStore?.status() ?? null,
+    tlsWarnDays: config.health.tlsWarnDays,
+    eventLoop,
+    eventLoopWarnMs: config.health.eventLoopWarnMs,
+    memoryWarnPercent: config.health.memoryWarnPercent,
+    tracker: wispTracker,
+    maxWispConnections: config.limits.wispConnections,
+    isDraining: () => gracefulShutdown.isDraining()
+});
+
+const apiLimiter = createRateLimiter({ name: "api", ...config.limits.api });
+const upgradeLimiter = createRateLimiter({ name: "upgrades", ...config.limits.upgrades });
+
+// Sites allowed to call the API (and request WISP tokens) cross-origin
+const allowedOrigins = [
+    'https://burnedfart.github.io',
+    'http://localhost:3000',
+    'http://127.0.0.1:3000'
+];
+
+const wispAuth = createWispAuth({
+    secret: config.wispAuth.secret,
+    tokenTtlSeconds: config.wispAuth.tokenTtlSeconds,
+    allowedOrigins
+});
+if (wispAuth.ephemeralSecret) {
+    console.warn("⚠️ WISP_TOKEN_SECRET not set - using a random secret, tokens will not survive a restart");
+}
+
+// Count every request for /metrics
+app.use(metrics.httpMiddleware);
+
+// While draining, ask keep-alive clients not to reuse their connection
 app.use((req, res, next) => {
-    const allowedOrigins = [
-        'https://burnedfart.github.io',
-        'http://localhost:3000',
-        'http://127.0.0.1:3000'
-    ];
+    if (gracefulShutdown.isDraining()) {
+        res.setHeader("Connection", "close");
+    }
+    next();
+});
+
+// Proxied pages call /api/resource and /api/cookies from their own origin (including
+// preflights for POST/PUT/...), so these answer CORS for any origin before the app-wide rules
+app.use(['/api/resource', '/api/cookies'], resourceCors);
 
+// CORS headers for cross-origin requests
+app.use((req, res, next) => {
     const origin = req.headers.origin;
     if (allowedOrigins.includes(origin)) {
         res.setHeader("Access-Control-Allow-Origin", origin);
     }
 
     res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
-    res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+    res.setHeader("Access-Control-Allow-Headers", "Content-Type, X-Session-ID");
+    res.setHeader("Access-Control-Expose-Headers", "X-Session-ID");
     res.setHeader("Cross-Origin-Opener-Policy", "same-origin");
     res.setHeader("Cross-Origin-Embedder-Policy", "require-corp");
 
@@ -57,105 +176,269 @@ app.use((req, res, next) => {
     next();
 });
 
-// Health check 
-app.get('/api/health', (req, res) => {
+// Per-IP rate limit for every API route
+app.use('/api', apiLimiter.middleware);
+
+// Liveness: the process is up and answering requests (draining tells clients to reconnect)
+app.get('/api/health/live', (req, res) => {
+    res.set("Cache-Control", "no-store");
     res.json({
         status: 'ok',
+        draining: gracefulShutdown.isDraining(),
         timestamp: new Date().toISOString(),
-        wisp: 'active',
         uptime: process.uptime()
     });
 });
 
-// Serve static files
-app.use(express.static(__dirname, {
-    setHeaders: (res, path) => {
-        // [FIX] Enable Cross-Origin Isolation for libcurl transport
-        res.setHeader("Cross-Origin-Embedder-Policy", "require-corp");
-        res.setHeader("Cross-Origin-Opener-Policy", "same-origin");
-
-        if (path.endsWith('.js') || path.endsWith('.wasm') || path.endsWith('.mjs')) {
-            res.setHeader("Cross-Origin-Resource-Policy", "cross-origin");
-        }
-    }
+// Readiness: 503 while a dependency is down or the server is draining
+app.get('/api/health/ready', asyncHandler(async (req, res) => {
+    const report = await healthChecks.run();
+    res.set("Cache-Control", "no-store");
+    res.status(report.status === 'down' ? 503 : 200).json({
+        status: report.status,
+        reasons: report.reasons,
+        timestamp: new Date().toISOString()
+    });
 }));
 
-// Serve 'lib' directory for static assets
-app.use("/lib/", express.static(path.join(__dirname, "lib"), {
-    setHeaders: (res) => {
-        // [FIX] Enable Cross-Origin Isolation for libcurl transport
-        res.setHeader("Cross-Origin-Embedder-Policy", "require-corp");
-        res.setHeader("Cross-Origin-Opener-Policy", "same-origin");
-        res.setHeader("Cross-Origin-Resource-Policy", "cross-origin");
-    }
+// Full health report (always 200 when reachable; the status field carries the verdict)
+app.get('/api/health', asyncHandler(async (req, res) => {
+    const report = await healthChecks.run();
+    res.set("Cache-Control", "no-store");
+    res.json({
+        status: report.status,
+        reasons: report.reasons,
+        timestamp: new Date().toISOString(),
+        uptime: process.uptime(),
+        checks: report.checks,
+        limits: {
+            api: apiLimiter.stats(),
+            upgrades: upgradeLimiter.stats(),
+            streamsPerConnection: config.limits.streamsPerConnection,
+            wispConnections: config.limits.wispConnections
+        },
+        resourceCache: resourceCache?.stats() ?? null,
+        sessions: sessionStats()
+    });
 }));
 
-// Create HTTPS server with SSL certificates
-const server = createServer(httpsOptions);
+// Short-lived tokens required to open a WISP WebSocket
+app.get('/api/token', wispAuth.tokenRoute);
+
+// Prometheus scrape endpoint
+app.get('/metrics', metrics.metricsRoute);
+
+// Shared cache in front of /api/resource (see fetchResource in proxyHandler.js)
+const resourceCache = config.resourceCache.memoryMb > 0
+    ? createHttpCache({
+        memoryMaxBytes: config.resourceCache.memoryMb * 1024 * 1024,
+        diskDir: config.resourceCache.diskDir,
+        diskMaxBytes: config.resourceCache.diskMb * 1024 * 1024
+    })
+    : null;
+app.locals.resourceCache = resourceCache;
+
+// HTTP fallback transport, used by the browser when WISP is unreachable
+app.use(['/api/proxy', '/api/resource', '/api/cookies', '/api/url-key'], sessionMiddleware);
+app.get('/api/proxy', handleProxyRequest);
+app.post('/api/proxy', express.json({ limit: "1mb" }), handleProxyRequest);
+app.route('/api/resource')
+    .get(handleResourceRequest)
+    .post(handleResourceRequest)
+    .put(handleResourceRequest)
+    .patch(handleResourceRequest)
+    .delete(handleResourceRequest);
+app.post('/api/cookies', express.text({ type: "*/*", limit: "8kb" }), handleCookieRequest);
+app.get('/api/url-key', handleUrlKeyRequest);
+
+// WebSockets opened by pages on the HTTP fallback (upgrades on /api/ws, see handleUpgrade)
+const webSocketRelay = createWebSocketRelay({ userAgent: PROXY_CONFIG.userAgent });
+
+// Serve the public front-end only (never server.js, package.json, src/, ...)
+const PUBLIC_ASSETS = ["index.html", "sw.js", "css/", "js/", "assets/", "lib/"];
+const staticAssets = createStaticAssets({
+    root: __dirname,
+    allowlist: PUBLIC_ASSETS
+});
+app.use(staticAssets.middleware);
+
+// JSON error responses (RATE_LIMITED, INVALID_URL, network errors, ...)
+app.use(errorMiddleware);
+
+// Create the public server: HTTPS with SSL certificates, or plain HTTP in HTTP-only mode
+const server = config.tls.enabled ? createServer(certStore.current()) : createHttpServer();
+
+// Renewed certificates are swapped into the running server (SIGHUP or file change)
+if (certStore) {
+    certStore.attach(server);
+    if (config.tls.watch) {
+        certStore.watch();
+    }
+}
 
 // Handle HTTP requests with Express
 server.on("request", (req, res) => {
     app(req, res);
 });
 
+// Only the Cloudflare Worker (shared secret) or trusted ranges may use the internal listener
+const internalGuard = config.internalPort ? createInternalGuard(config.internalAuth) : null;
+if (internalGuard && !config.internalAuth.secret && config.internalAuth.trustedCidrs.length === 0) {
+    console.warn("⚠️ INTERNAL_SECRET and INTERNAL_TRUSTED_CIDRS not set - the internal listener will refuse every request");
+}
+
 // Create HTTP server for Cloudflare Worker (internal only, no SSL)
-const httpServer = createHttpServer();
-httpServer.on("request", (req, res) => {
+const httpServer = config.internalPort ? createHttpServer() : null;
+httpServer?.on("request", (req, res) => {
+    const access = internalGuard.authorize(req);
+    if (!access.ok) {
+        console.warn(`🚫 Internal listener refused ${req.method} ${sanitizeUrl(req.url)} from ${getClientIp(req)}: ${access.reason}`);
+        internalGuard.rejectRequest(res);
+        return;
+    }
     app(req, res);
 });
 
-// Handle WebSocket upgrade for WISP on HTTP server too
-httpServer.on("upgrade", (req, socket, head) => {
-    if (req.url.endsWith("/wisp/")) {
-        console.log("📡 WISP WebSocket connection (HTTP) from:", req.headers.origin);
-        wisp.routeRequest(req, socket, head);
-    } else {
-        socket.end();
-    }
-});
+// Reject a WebSocket upgrade before the handshake completes
+function rejectUpgrade(socket, statusCode, statusText) {
+    socket.end(`HTTP/1.1 ${statusCode} ${statusText}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+}
+
+// Complete the handshake only to close it with a WebSocket close code the client can read
+const refusalServer = new WebSocketServer({ noServer: true });
+function refuseWebSocket(req, socket, head, code, reason) {
+    refusalServer.handleUpgrade(req, socket, head, (ws) => ws.close(code, reason));
+}
+
+// Shared upgrade handler for both listeners (the internal one passes its guard):
+// WISP on /wisp/, and the fallback's WebSocket relay on /api/ws
+function handleUpgrade(listenerName, guard = null) {
+    return (req, socket, head) => {
+        const pathname = new URL(req.url, "http://localhost").pathname;
+        const isRelay = pathname === "/api/ws";
+        const kind = isRelay ? "WebSocket relay" : "WISP";
+
+        if (guard) {
+            const access = guard.authorize(req);
+            if (!access.ok) {
+                console.warn(`🚫 ${kind} upgrade refused (${listenerName}) from ${getClientIp(req)}: ${access.reason}`);
+                metrics.recordUpgradeFailure("forbidden");
+                rejectUpgrade(socket, 403, "Forbidden");
+                return;
+            }
+        }
+
+        if (!isRelay && !pathname.endsWith("/wisp/")) {
+            metrics.recordUpgradeFailure("not_found");
+            socket.end();
+            return;
+        }
+
+        const clientIp = getClientIp(req);
+
+        if (gracefulShutdown.isDraining()) {
+            metrics.recordUpgradeFailure("draining");
+            refuseWebSocket(req, socket, head, 1001, "Server shutting down");
+            return;
+        }
+
+        const limit = upgradeLimiter.take(clientIp);
+        if (!limit.allowed) {
+            console.warn(`🚫 ${kind} upgrade rate limited (${listenerName}) for ${clientIp}, retry in ${limit.retryAfter}s`);
+            metrics.recordUpgradeFailure("rate_limited");
+            // 1013 = Try Again Later
+            refuseWebSocket(req, socket, head, 1013, `Rate limited, retry in ${limit.retryAfter}s`);
+            return;
+        }
+
+        // Relayed sockets belong to a fallback session instead of carrying a WISP token
+        if (isRelay) {
+            webSocketRelay.handleUpgrade(req, socket, head);
+            return;
+        }
+
+        if (wispTracker.connections.size >= config.limits.wispConnections) {
+            console.warn(`🚫 WISP upgrade refused (${listenerName}) for ${clientIp}: ${wispTracker.connections.size} connections open`);
+            metrics.recordUpgradeFailure("capacity");
+            refuseWebSocket(req, socket, head, 1013, "Server at capacity");
+            return;
+        }
+
+        const auth = wispAuth.authenticateUpgrade(req);
+        if (!auth.ok) {
+            console.warn(`🚫 WISP upgrade rejected (${listenerName}) from ${clientIp} (${req.headers.origin}): ${auth.reason}`);
+            metrics.recordUpgradeFailure("unauthorized");
+            rejectUpgrade(socket, 401, "Unauthorized");
+            return;
+        }
 
-// Handle WebSocket upgrade for WISP
-server.on("upgrade", (req, socket, head) => {
-    if (req.url.endsWith("/wisp/")) {
-        console.log("📡 WISP WebSocket connection established from:", req.headers.origin);
+        console.log(`📡 WISP WebSocket connection (${listenerName}) from ${clientIp}:`, req.headers.origin);
+        wispTracker.trackSocket(socket);
         wisp.routeRequest(req, socket, head);
-    } else {
-        socket.end();
+    };
+}
+
+// Handle WebSocket upgrades on both servers
+httpServer?.on("upgrade", handleUpgrade("Internal HTTP", internalGuard));
+server.on("upgrade", handleUpgrade(config.tls.enabled ? "HTTPS" : "HTTP"));
+
+// Drain both listeners and every WISP connection before exiting
+const gracefulShutdown = createGracefulShutdown({
+    listeners: [
+        { name: config.tls.enabled ? "HTTPS" : "HTTP", server },
+        httpServer && { name: "Internal HTTP", server: httpServer }
+    ].filter(Boolean),
+    tracker: wispTracker,
+    drainTimeoutMs: config.shutdown.drainTimeoutSeconds * 1000,
+    // Relayed sockets have no streams to wait for; the page reconnects on its own terms
+    onDraining: () => webSocketRelay.closeAll(1001, "Server shutting down"),
+    onStopped: () => {
+        apiLimiter.stop();
+        upgradeLimiter.stop();
+        eventLoop.stop();
+        certStore?.stop();
+        return stopSessions();
     }
 });
 
-process.on("SIGINT", shutdown);
-process.on("SIGTERM", shutdown);
+process.on("SIGINT", () => gracefulShutdown.shutdown("SIGINT"));
+process.on("SIGTERM", () => gracefulShutdown.shutdown("SIGTERM"));
 
-function shutdown() {
-    console.log("\n🛑 Shutting down server...");
-    server.close(() => {
-        console.log("✅ Server closed");
-        process.exit(0);
-    });
-}
+// Reload the egress policy and TLS certificate without touching open connections
+process.on("SIGHUP", () => {
+    console.log("🔄 SIGHUP received, reloading egress policy and TLS certificate...");
+    egressPolicy.reload();
+    certStore?.reload("SIGHUP");
+});
 
 // Start
-const PORT = parseInt(process.env.PORT || "3000");
-const HOST = "0.0.0.0";
+const publicScheme = config.tls.enabled ? "https" : "http";
+const publicWsScheme = config.tls.enabled ? "wss" : "ws";
+const publicOrigin = `${config.domain}:${config.port}`;
 
-server.listen(PORT, HOST, () => {
-    console.log("🚀 Scramjet Proxy Server with WISP (Dual HTTP/HTTPS)");
+server.listen(config.port, config.host, () => {
+    console.log(`🚀 Scramjet Proxy Server with WISP (${config.tls.enabled ? "Dual HTTP/HTTPS" : "HTTP only"})`);
     console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
-    console.log(`📡 HTTPS Server: https://${DOMAIN}:${PORT}`);
-    console.log(`🔌 WISP Endpoint: wss://${DOMAIN}:${PORT}/wisp/`);
-    console.log(`🏥 Health Check: https://${DOMAIN}:${PORT}/api/health`);
+    console.log(`📡 ${publicScheme.toUpperCase()} Server: ${publicScheme}://${publicOrigin}`);
+    console.log(`🔌 WISP Endpoint: ${publicWsScheme}://${publicOrigin}/wisp/`);
+    console.log(`🏥 Health Check: ${publicScheme}://${publicOrigin}/api/health`);
+    console.log(`📈 Metrics: ${publicScheme}://${publicOrigin}/metrics`);
+    console.log(`🧭 HTTP Fallback: ${publicScheme}://${publicOrigin}/api/proxy?url=...`);
     console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
+    console.log("\nEffective configuration:");
+    describeConfig(config).forEach(line => console.log(`  ⚙️  ${line}`));
+    console.log(`  ⚙️  Egress policy: ${egressPolicy.describe()}`);
     console.log("\nServing static files:");
     console.log(`  📂 Root: ${__dirname}`);
-    console.log(`  📦 Lib: /lib/ (Static Assets)`);
+    console.log(`  📋 Public: ${PUBLIC_ASSETS.join(", ")}`);
+    console.log(`  📦 Lib: /lib/ (Static Assets, precompressed by npm run precompress)`);
     console.log("\nPress Ctrl+C to stop");
 });
 
-// Start HTTP server on port 8080 for Cloudflare Worker
-const HTTP_PORT = 8080;
-httpServer.listen(HTTP_PORT, HOST, () => {
+// Start HTTP server for Cloudflare Worker
+httpServer?.listen(config.internalPort, config.host, () => {
     console.log("\n🌐 HTTP Server (Internal - for Cloudflare Worker only)");
-    console.log(`📡 HTTP Endpoint: http://${DOMAIN}:${HTTP_PORT}`);
-    console.log(`🔌 WISP over WS: ws://${DOMAIN}:${HTTP_PORT}/wisp/`);
-});
\ No newline at end of file
+    console.log(`📡 HTTP Endpoint: http://${config.domain}:${config.internalPort}`);
+    console.log(`🔌 WISP over WS: ws://${config.domain}:${config.internalPort}/wisp/`);
+    console.log(`🔒 Access: ${internalGuard.describe()}`);
+});
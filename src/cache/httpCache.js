@@ -0,0 +1,531 @@
+/**
+ * Shared HTTP Cache
+ *
+ * A shared cache (in the RFC 9111 sense) for the responses /api/resource
+ * fetches, so a font or CDN script that a whole class loads at once is
+ * downloaded from upstream once:
+ *
+ * - freshness comes from Cache-Control (s-maxage, max-age), Expires or,
+ *   failing those, a tenth of the time since Last-Modified
+ * - stale entries with an ETag or Last-Modified are revalidated with a
+ *   conditional request; a 304 refreshes the stored headers
+ * - Vary selects between stored variants of a URL; `Vary: *` is never stored
+ * - responses marked no-store or private, or that set cookies, are never
+ *   stored. Requests that carry cookies skip the cache altogether (that is
+ *   up to the caller, which knows what it sends upstream)
+ *
+ * Entries live in a byte-bounded LRU in memory and, when a directory is
+ * configured, in a second LRU on disk that survives restarts. Bodies are
+ * stored decoded, as node-fetch hands them over.
+ */
+
+import { createHash, randomUUID } from "node:crypto";
+import { promises as fs } from "node:fs";
+import path from "node:path";
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const DEFAULT_MAX_ENTRY_BYTES = 8 * 1024 * 1024;
+
+// Statuses that may be stored (all of them allow heuristic freshness)
+const STORABLE_STATUSES = new Set([200, 203, 404, 410]);
+
+// Heuristic freshness: this fraction of the time since Last-Modified, capped
+const HEURISTIC_FRACTION = 0.1;
+const HEURISTIC_MAX_SECONDS = 24 * 60 * 60;
+
+// Connection and body-encoding headers are not stored; bodies are kept decoded
+const UNSTORED_HEADERS = new Set([
+    "connection", "keep-alive", "transfer-encoding", "content-encoding", "content-length", "set-cookie"
+]);
+
+const DISK_FILE_NAME = /^[0-9a-f]{64}$/;
+
+// ============================================================================
+// HTTP SEMANTICS
+// ============================================================================
+
+/**
+ * @param {string} value - Cache-Control header
+ * @returns {Map<string, string|true>} Directive -> argument (true when it has none)
+ */
+function parseCacheControl(value) {
+    const directives = new Map();
+    for (const part of (value || "").split(",")) {
+        const [name, ...argument] = part.split("=");
+        const directive = name.trim().toLowerCase();
+        if (!directive) continue;
+        directives.set(directive, argument.length ? argument.join("=").trim().replace(/^"|"$/g, "") : true);
+    }
+    return directives;
+}
+
+function deltaSeconds(argument) {
+    if (typeof argument !== "string" || !/^\d+$/.test(argument)) return null;
+    return parseInt(argument, 10);
+}
+
+function parseVary(value) {
+    return (value || "")
+        .split(",")
+        .map(name => name.trim().toLowerCase())
+        .filter(Boolean)
+        .sort();
+}
+
+/**
+ * How long a response stays fresh, in seconds
+ *
+ * @param {object} headers - Response headers, lower-case names
+ * @param {number} responseTime - When the response arrived (ms)
+ */
+function freshnessLifetime(headers, responseTime) {
+    const directives = parseCacheControl(headers["cache-control"]);
+    for (const directive of ["s-maxage", "max-age"]) {
+        if (directives.has(directive)) {
+            return deltaSeconds(directives.get(directive)) ?? 0;
+        }
+    }
+
+    const date = Date.parse(headers.date) || responseTime;
+    if (headers.expires !== undefined) {
+        const expires = Date.parse(headers.expires);
+        return Number.isNaN(expires) ? 0 : Math.max(0, (expires - date) / 1000);
+    }
+
+    const lastModified = Date.parse(headers["last-modified"]);
+    if (!Number.isNaN(lastModified)) {
+        return Math.min(HEURISTIC_MAX_SECONDS, Math.max(0, (date - lastModified) / 1000 * HEURISTIC_FRACTION));
+    }
+    return 0;
+}
+
+/**
+ * Age of a stored response, in seconds, counting the time it spent in
+ * upstream caches (Age, Date) and in transit
+ *
+ * @param {object} entry - Stored entry
+ * @param {number} now - Current time (ms)
+ */
+function currentAge(entry, now = Date.now()) {
+    const date = Date.parse(entry.headers.date) || entry.responseTime;
+    const apparentAge = Math.max(0, entry.responseTime - date) / 1000;
+    const ageValue = deltaSeconds(entry.headers.age) ?? 0;
+    const responseDelay = (entry.responseTime - entry.requestTime) / 1000;
+    const correctedInitialAge = Math.max(apparentAge, ageValue + responseDelay);
+    return correctedInitialAge + (now - entry.responseTime) / 1000;
+}
+
+/**
+ * Headers that turn a request for a stale entry into a revalidation
+ */
+function conditionalHeaders(entry) {
+    const headers = {};
+    if (entry.headers.etag) {
+        headers["if-none-match"] = entry.headers.etag;
+    }
+    if (entry.headers["last-modified"]) {
+        headers["if-modified-since"] = entry.headers["last-modified"];
+    }
+    return headers;
+}
+
+/**
+ * Value of a request header in a plain object whose names may be in any case
+ */
+function requestHeader(headers, name) {
+    const values = Object.entries(headers)
+        .filter(([header, value]) => header.toLowerCase() === name && value !== undefined)
+        .map(([, value]) => String(value).trim());
+    return values.length ? values.join(", ") : null;
+}
+
+function variantKey(url, varyNames, requestHeaders) {
+    return [url, ...varyNames.map(name => `${name}: ${requestHeader(requestHeaders, name) ?? ""}`)].join("\n");
+}
+
+function storedHeaders(headers) {
+    const stored = {};
+    for (const [name, value] of Object.entries(headers)) {
+        if (!UNSTORED_HEADERS.has(name)) {
+            stored[name] = value;
+        }
+    }
+    return stored;
+}
+
+// ============================================================================
+// STORAGE
+// ============================================================================
+
+function entrySize(entry) {
+    return entry.body.length + JSON.stringify(entry.headers).length + entry.key.length;
+}
+
+/**
+ * Disk format: 4-byte length, JSON metadata, then the body
+ */
+function encodeEntry(entry) {
+    const { body, ...meta } = entry;
+    const metaBytes = Buffer.from(JSON.stringify(meta));
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(metaBytes.length);
+    return Buffer.concat([length, metaBytes, body]);
+}
+
+function decodeEntry(data) {
+    const metaLength = data.readUInt32BE(0);
+    const meta = JSON.parse(data.subarray(4, 4 + metaLength).toString());
+    return { ...meta, body: data.subarray(4 + metaLength) };
+}
+
+async function readEntryMeta(file) {
+    const handle = await fs.open(file, "r");
+    try {
+        const length = Buffer.alloc(4);
+        await handle.read(length, 0, 4, 0);
+        const metaBytes = Buffer.alloc(length.readUInt32BE(0));
+        await handle.read(metaBytes, 0, metaBytes.length, 4);
+        return JSON.parse(metaBytes.toString());
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * Byte-bounded LRU of entries, reporting what it evicts
+ */
+class MemoryTier {
+    constructor(maxBytes, onEvict) {
+        this.maxBytes = maxBytes;
+        this.onEvict = onEvict;
+        this.bytes = 0;
+        this.entries = new Map();
+    }
+
+    has(key) {
+        return this.entries.has(key);
+    }
+
+    get(key) {
+        const entry = this.entries.get(key);
+        if (entry) {
+            this.entries.delete(key);
+            this.entries.set(key, entry);
+        }
+        return entry;
+    }
+
+    set(entry) {
+        this.delete(entry.key);
+        if (entry.size > this.maxBytes) return;
+        this.entries.set(entry.key, entry);
+        this.bytes += entry.size;
+
+        for (const [key, oldEntry] of this.entries) {
+            if (this.bytes <= this.maxBytes) break;
+            this.delete(key);
+            this.onEvict(oldEntry);
+        }
+    }
+
+    delete(key) {
+        const entry = this.entries.get(key);
+        if (entry) {
+            this.entries.delete(key);
+            this.bytes -= entry.size;
+        }
+    }
+}
+
+// ============================================================================
+// FACTORY
+// ============================================================================
+
+/**
+ * @param {object} options
+ * @param {number} options.memoryMaxBytes - Size of the memory tier
+ * @param {string|null} options.diskDir - Directory of the disk tier (null = none)
+ * @param {number} options.diskMaxBytes - Size of the disk tier
+ * @param {number} options.maxEntryBytes - Largest body that is stored
+ * @returns {object} { lookup, store, update, isStorable, record, stats, maxEntryBytes }
+ */
+function createHttpCache({
+    memoryMaxBytes,
+    diskDir = null,
+    diskMaxBytes = 0,
+    maxEntryBytes = DEFAULT_MAX_ENTRY_BYTES
+}) {
+    const counts = { hits: 0, misses: 0, revalidations: 0, bypasses: 0, stores: 0 };
+
+    // URL -> the Vary header names of its latest response, and the keys of its stored variants
+    const urls = new Map();
+
+    const memory = new MemoryTier(memoryMaxBytes, entry => forget(entry.key, entry.url));
+
+    // Disk tier index: key -> { url, file, size }, least recently used first
+    const disk = new Map();
+    let diskBytes = 0;
+    let diskWarned = false;
+
+    function remember(key, url, varyNames) {
+        const known = urls.get(url) || { varyNames, keys: new Set() };
+        known.varyNames = varyNames;
+        known.keys.add(key);
+        urls.set(url, known);
+    }
+
+    /**
+     * Drops the URL bookkeeping for a key once neither tier holds it
+     */
+    function forget(key, url) {
+        if (memory.has(key) || disk.has(key)) return;
+        const known = urls.get(url);
+        known?.keys.delete(key);
+        if (known && known.keys.size === 0) {
+            urls.delete(url);
+        }
+    }
+
+    function warnDisk(err) {
+        if (diskWarned) return;
+        diskWarned = true;
+        console.warn(`⚠️ [Cache] Disk tier ${diskDir} failed: ${err.message}`);
+    }
+
+    function diskFile(key) {
+        return path.join(diskDir, createHash("sha256").update(key).digest("hex"));
+    }
+
+    function removeFromDisk(key) {
+        const item = disk.get(key);
+        if (!item) return;
+        disk.delete(key);
+        diskBytes -= item.size;
+        fs.rm(item.file, { force: true }).catch(warnDisk);
+        forget(key, item.url);
+    }
+
+    function evictDisk() {
+        for (const key of disk.keys()) {
+            if (diskBytes <= diskMaxBytes) break;
+            removeFromDisk(key);
+        }
+    }
+
+    async function writeToDisk(entry) {
+        if (!diskDir) return;
+        const data = encodeEntry(entry);
+        if (data.length > diskMaxBytes) return;
+
+        const file = diskFile(entry.key);
+        const temp = `${file}.${randomUUID()}.tmp`;
+        try {
+            await fs.writeFile(temp, data);
+            await fs.rename(temp, file);
+        } catch (err) {
+            warnDisk(err);
+            fs.rm(temp, { force: true }).catch(() => {});
+            return;
+        }
+
+        const previous = disk.get(entry.key);
+        if (previous) {
+            disk.delete(entry.key);
+            diskBytes -= previous.size;
+        }
+        disk.set(entry.key, { url: entry.url, file, size: data.length });
+        diskBytes += data.length;
+        evictDisk();
+    }
+
+    async function readFromDisk(key) {
+        const item = disk.get(key);
+        try {
+            const entry = decodeEntry(await fs.readFile(item.file));
+            if (entry.key !== key) throw new Error(`${item.file} holds a different entry`);
+            if (disk.get(key) === item) {
+                disk.delete(key);
+                disk.set(key, item);
+            }
+            return entry;
+        } catch (err) {
+            if (disk.get(key) === item) removeFromDisk(key);
+            return null;
+        }
+    }
+
+    /**
+     * Indexes what an earlier process left on disk, oldest files first so
+     * they are the first to be evicted
+     */
+    async function loadDiskIndex() {
+        await fs.mkdir(diskDir, { recursive: true });
+        const found = [];
+
+        for (const name of await fs.readdir(diskDir)) {
+            const file = path.join(diskDir, name);
+            if (name.endsWith(".tmp")) {
+                // Left behind by a write that never finished
+                await fs.rm(file, { force: true });
+                continue;
+            }
+            if (!DISK_FILE_NAME.test(name)) continue;
+
+            try {
+                const [meta, stat] = await Promise.all([readEntryMeta(file), fs.stat(file)]);
+                found.push({ meta, file, size: stat.size, mtime: stat.mtimeMs });
+            } catch (err) {
+                await fs.rm(file, { force: true });
+            }
+        }
+
+        found.sort((a, b) => a.mtime - b.mtime);
+        for (const { meta, file, size } of found) {
+            // Anything stored since startup is newer than the file
+            if (disk.has(meta.key)) continue;
+            disk.set(meta.key, { url: meta.url, file, size });
+            diskBytes += size;
+            remember(meta.key, meta.url, meta.varyNames);
+        }
+        evictDisk();
+    }
+
+    if (diskDir) {
+        loadDiskIndex().catch(warnDisk);
+    }
+
+    /**
+     * Whether a response may be stored in a shared cache
+     *
+     * @param {number} status - Response status
+     * @param {object} headers - Response headers, lower-case names
+     */
+    function isStorable(status, headers) {
+        if (!STORABLE_STATUSES.has(status)) return false;
+
+        const directives = parseCacheControl(headers["cache-control"]);
+        if (directives.has("no-store") || directives.has("private")) return false;
+        if (headers["set-cookie"] !== undefined) return false;
+        if (parseVary(headers.vary).includes("*")) return false;
+
+        // Without freshness or a validator the entry could never be used
+        return freshnessLifetime(headers, Date.now()) > 0 ||
+            Boolean(headers.etag || headers["last-modified"]);
+    }
+
+    /**
+     * Finds the stored variant matching a request
+     *
+     * @param {string} url - Requested URL
+     * @param {object} requestHeaders - Headers that would be sent upstream
+     * @param {string} requestCacheControl - The client's Cache-Control
+     * @returns {Promise<object|null>} { entry, age, fresh }, or null when nothing is stored
+     */
+    async function lookup(url, requestHeaders, requestCacheControl = "") {
+        const known = urls.get(url);
+        if (!known) return null;
+
+        const key = variantKey(url, known.varyNames, requestHeaders);
+        let entry = memory.get(key);
+        if (!entry && disk.has(key)) {
+            entry = await readFromDisk(key);
+            if (entry) memory.set(entry);
+        }
+        if (!entry) return null;
+
+        const age = currentAge(entry);
+        const requestDirectives = parseCacheControl(requestCacheControl);
+        const maxAge = requestDirectives.has("max-age") ? deltaSeconds(requestDirectives.get("max-age")) ?? 0 : Infinity;
+        const fresh = !parseCacheControl(entry.headers["cache-control"]).has("no-cache") &&
+            !requestDirectives.has("no-cache") &&
+            age <= maxAge &&
+            age < freshnessLifetime(entry.headers, entry.responseTime);
+
+        return { entry, age, fresh };
+    }
+
+    /**
+     * Stores a complete response (the caller checks isStorable() first)
+     *
+     * @param {string} url - Requested URL
+     * @param {object} requestHeaders - Headers sent upstream, for Vary
+     * @param {object} response - { status, headers, body, requestTime, responseTime }
+     * @returns {boolean} Whether it was stored
+     */
+    function store(url, requestHeaders, { status, headers, body, requestTime, responseTime }) {
+        if (body.length > maxEntryBytes || !isStorable(status, headers)) return false;
+
+        const varyNames = parseVary(headers.vary);
+        const key = variantKey(url, varyNames, requestHeaders);
+        const entry = { key, url, varyNames, status, headers: storedHeaders(headers), body, requestTime, responseTime };
+        entry.size = entrySize(entry);
+
+        remember(key, url, varyNames);
+        memory.set(entry);
+        writeToDisk(entry);
+        counts.stores++;
+        return true;
+    }
+
+    /**
+     * Applies a 304 to a stored entry
+     *
+     * @param {object} entry - Entry that was revalidated
+     * @param {object} headers - Headers of the 304, lower-case names
+     * @returns {object} The refreshed entry, to serve
+     */
+    function update(entry, headers, requestTime, responseTime) {
+        const updated = {
+            ...entry,
+            headers: { ...entry.headers, ...storedHeaders(headers) },
+            requestTime,
+            responseTime
+        };
+        updated.size = entrySize(updated);
+
+        if (headers["set-cookie"] !== undefined || !isStorable(updated.status, updated.headers)) {
+            memory.delete(entry.key);
+            removeFromDisk(entry.key);
+            forget(entry.key, entry.url);
+        } else {
+            memory.set(updated);
+            writeToDisk(updated);
+        }
+        return updated;
+    }
+
+    /**
+     * Counts how a request was served: "hit", "miss", "revalidated" or "bypass"
+     */
+    function record(outcome) {
+        const counter = { hit: "hits", miss: "misses", revalidated: "revalidations", bypass: "bypasses" }[outcome];
+        counts[counter]++;
+    }
+
+    function stats() {
+        return {
+            ...counts,
+            memory: { entries: memory.entries.size, bytes: memory.bytes, maxBytes: memoryMaxBytes },
+            disk: diskDir ? { entries: disk.size, bytes: diskBytes, maxBytes: diskMaxBytes } : null
+        };
+    }
+
+    return {
+        lookup,
+        store,
+        update,
+        isStorable,
+        record,
+        stats,
+        maxEntryBytes
+    };
+}
+
+export {
+    createHttpCache,
+    conditionalHeaders,
+    currentAge
+};
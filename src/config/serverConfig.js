@@ -0,0 +1,560 @@
+/**
+ * Server Configuration Module
+ *
+ * Builds the effective configuration for server.js from three layers,
+ * later layers overriding earlier ones:
+ *
+ * 1. Built-in defaults (the production deployment on scholarnavigator.top)
+ * 2. An optional JSON file, named by the CONFIG_FILE environment variable
+ * 3. Individual environment variables (DOMAIN, PORT, HTTP_ONLY, ...)
+ *
+ * Every problem found while validating is collected and reported together
+ * in a single ConfigError, so a broken deployment can be fixed in one pass.
+ */
+
+import { readFileSync } from "node:fs";
+import path from "node:path";
+import ipaddr from "ipaddr.js";
+
+// ============================================================================
+// DEFAULTS
+// ============================================================================
+
+const DEFAULT_DOMAIN = "scholarnavigator.top";
+
+function defaultConfig(domain) {
+    return {
+        // Public hostname, used for the startup banner and default cert paths
+        domain: domain,
+
+        // Interface both listeners bind to
+        host: "0.0.0.0",
+
+        // Public listener (HTTPS, or plain HTTP when TLS is disabled)
+        port: 3000,
+
+        // Plain HTTP listener for the Cloudflare Worker (0 disables it)
+        internalPort: 8080,
+
+        internalAuth: {
+            // Header the Cloudflare Worker sends with the shared secret
+            header: "X-Internal-Secret",
+
+            // Shared secret required on the internal listener (null = none)
+            secret: null,
+
+            // Source ranges accepted on the internal listener without the secret
+            trustedCidrs: []
+        },
+
+        tls: {
+            enabled: true,
+            keyPath: `/etc/letsencrypt/live/${domain}/privkey.pem`,
+            certPath: `/etc/letsencrypt/live/${domain}/fullchain.pem`,
+
+            // Reload the certificate when the key/cert files change (SIGHUP always reloads)
+            watch: true
+        },
+
+        wispAuth: {
+            // HMAC secret for WISP tokens (null = random per process)
+            secret: null,
+
+            // Lifetime of tokens issued by /api/token
+            tokenTtlSeconds: 600
+        },
+
+        limits: {
+            // Token buckets per client IP: `burst` requests at once, refilled at `perMinute`
+            api: { burst: 60, perMinute: 120 },
+            upgrades: { burst: 10, perMinute: 12 },
+
+            // Concurrent WISP streams allowed on a single connection
+            streamsPerConnection: 64,
+
+            // Concurrent WISP connections across all clients
+            wispConnections: 1000
+        },
+
+        egress: {
+            // JSON allow/deny rules for WISP destinations (reloaded on SIGHUP)
+            policyFile: null,
+
+            // Resolvers WISP streams are looked up with (null = the system
+            // resolver, which honours /etc/hosts and internal DNS)
+            dnsServers: null
+        },
+
+        metrics: {
+            // Bearer token required to scrape /metrics (null = open)
+            token: null
+        },
+
+        health: {
+            // Name resolved the way WISP resolves names, by the readiness check
+            dnsProbeHost: "example.com",
+
+            // Thresholds at which a check reports "degraded"
+            tlsWarnDays: 14,
+            eventLoopWarnMs: 200,
+            memoryWarnPercent: 85
+        },
+
+        resourceCache: {
+            // Memory tier of the shared /api/resource cache (0 disables the cache)
+            memoryMb: 64,
+
+            // Directory for the optional on-disk tier (null = memory only)
+            diskDir: null,
+            diskMb: 1024
+        },
+
+        sessions: {
+            // "stored" keeps sessions on this instance; "token" sends them to
+            // the client as encrypted tokens, so any instance can serve them
+            mode: "stored",
+
+            // Token secrets, newest first; older ones are still accepted
+            tokenSecrets: [],
+
+            // "memory", or "file" to keep HTTP fallback sessions across restarts
+            store: "memory",
+
+            // Session log used by the file store
+            file: null,
+
+            // Sessions kept before the least recently used is evicted
+            maxSessions: 10000
+        },
+
+        urlEncoding: {
+            // Codec for target URLs in rewritten links and in requests made
+            // by proxied pages: "aes-gcm" (per-session key), "xor", "base64"
+            // or "plain"
+            codec: "aes-gcm"
+        },
+
+        redaction: {
+            // Query parameters whose values are hidden wherever URLs are
+            // written out (logs, error details, metrics labels)
+            params: ["token", "key", "password", "secret", "auth", "sid", "access_token", "api_key", "code", "signature"],
+
+            // Also hide #fragments and user:password@ credentials
+            fragments: true,
+            userinfo: true,
+
+            // Hide whole paths, keeping only scheme and host
+            paths: false,
+
+            // Write URLs out unchanged; refused unless NODE_ENV=development
+            disabled: false
+        },
+
+        shutdown: {
+            // How long open WISP streams may keep running after SIGTERM/SIGINT
+            drainTimeoutSeconds: 30
+        }
+    };
+}
+
+// Environment variable -> config path, with the parser used for its value
+const ENV_VARIABLES = {
+    DOMAIN: { key: "domain", parse: parseString },
+    HOST: { key: "host", parse: parseString },
+    PORT: { key: "port", parse: parseInteger },
+    INTERNAL_PORT: { key: "internalPort", parse: parseInteger },
+    INTERNAL_SECRET: { key: "internalAuth.secret", parse: parseString },
+    INTERNAL_SECRET_HEADER: { key: "internalAuth.header", parse: parseString },
+    INTERNAL_TRUSTED_CIDRS: { key: "internalAuth.trustedCidrs", parse: parseList },
+    HTTP_ONLY: { key: "tls.enabled", parse: (value) => !parseBoolean(value) },
+    TLS_KEY_PATH: { key: "tls.keyPath", parse: parseString },
+    TLS_CERT_PATH: { key: "tls.certPath", parse: parseString },
+    TLS_WATCH: { key: "tls.watch", parse: parseBoolean },
+    WISP_TOKEN_SECRET: { key: "wispAuth.secret", parse: parseString },
+    WISP_TOKEN_TTL: { key: "wispAuth.tokenTtlSeconds", parse: parseInteger },
+    RATE_LIMIT_API_BURST: { key: "limits.api.burst", parse: parseInteger },
+    RATE_LIMIT_API_PER_MINUTE: { key: "limits.api.perMinute", parse: parseInteger },
+    RATE_LIMIT_UPGRADE_BURST: { key: "limits.upgrades.burst", parse: parseInteger },
+    RATE_LIMIT_UPGRADE_PER_MINUTE: { key: "limits.upgrades.perMinute", parse: parseInteger },
+    WISP_MAX_STREAMS: { key: "limits.streamsPerConnection", parse: parseInteger },
+    WISP_MAX_CONNECTIONS: { key: "limits.wispConnections", parse: parseInteger },
+    EGRESS_POLICY_FILE: { key: "egress.policyFile", parse: parseString },
+    DNS_SERVERS: { key: "egress.dnsServers", parse: parseList },
+    METRICS_TOKEN: { key: "metrics.token", parse: parseString },
+    HEALTH_DNS_PROBE_HOST: { key: "health.dnsProbeHost", parse: parseString },
+    HEALTH_TLS_WARN_DAYS: { key: "health.tlsWarnDays", parse: parseInteger },
+    HEALTH_EVENT_LOOP_WARN_MS: { key: "health.eventLoopWarnMs", parse: parseInteger },
+    HEALTH_MEMORY_WARN_PERCENT: { key: "health.memoryWarnPercent", parse: parseInteger },
+    RESOURCE_CACHE_MB: { key: "resourceCache.memoryMb", parse: parseInteger },
+    RESOURCE_CACHE_DIR: { key: "resourceCache.diskDir", parse: parseString },
+    RESOURCE_CACHE_DISK_MB: { key: "resourceCache.diskMb", parse: parseInteger },
+    SESSION_MODE: { key: "sessions.mode", parse: parseString },
+    SESSION_TOKEN_SECRETS: { key: "sessions.tokenSecrets", parse: parseList },
+    SESSION_STORE: { key: "sessions.store", parse: parseString },
+    SESSION_FILE: { key: "sessions.file", parse: parseString },
+    SESSION_MAX: { key: "sessions.maxSessions", parse: parseInteger },
+    URL_CODEC: { key: "urlEncoding.codec", parse: parseString },
+    REDACT_PARAMS: { key: "redaction.params", parse: parseList },
+    REDACT_PATHS: { key: "redaction.paths", parse: parseBoolean },
+    LOG_UNREDACTED: { key: "redaction.disabled", parse: parseBoolean },
+    SHUTDOWN_DRAIN_TIMEOUT: { key: "shutdown.drainTimeoutSeconds", parse: parseInteger }
+};
+
+// ============================================================================
+// ERRORS
+// ============================================================================
+
+class ConfigError extends Error {
+    constructor(problems) {
+        super(`Invalid server configuration:\n  - ${problems.join("\n  - ")}`);
+        this.name = "ConfigError";
+        this.problems = problems;
+    }
+}
+
+// ============================================================================
+// VALUE PARSERS
+// ============================================================================
+
+function parseString(value) {
+    return value.trim();
+}
+
+function parseInteger(value) {
+    const trimmed = value.trim();
+    if (!/^\d+$/.test(trimmed)) {
+        throw new Error(`expected a whole number, got "${value}"`);
+    }
+    return parseInt(trimmed, 10);
+}
+
+function parseList(value) {
+    return value.split(",").map(item => item.trim()).filter(item => item !== "");
+}
+
+function parseBoolean(value) {
+    const normalized = value.trim().toLowerCase();
+    if (["1", "true", "yes", "on"].includes(normalized)) return true;
+    if (["0", "false", "no", "off", ""].includes(normalized)) return false;
+    throw new Error(`expected true/false, got "${value}"`);
+}
+
+// ============================================================================
+// LAYER HELPERS
+// ============================================================================
+
+function setPath(target, dottedKey, value) {
+    const keys = dottedKey.split(".");
+    const last = keys.pop();
+    let node = target;
+    for (const key of keys) {
+        node = node[key];
+    }
+    node[last] = value;
+}
+
+// Keys that would reach Object.prototype instead of a config section
+const FORBIDDEN_KEYS = ["__proto__", "constructor", "prototype"];
+
+/**
+ * Deep-merges a JSON file layer onto the config, rejecting keys that do not
+ * exist in the defaults so that typos fail loudly instead of being ignored.
+ */
+function mergeFileLayer(target, layer, problems, prefix = "") {
+    for (const [key, value] of Object.entries(layer)) {
+        const fullKey = prefix + key;
+
+        if (FORBIDDEN_KEYS.includes(key)) {
+            problems.push(`Config file key "${fullKey}" is not allowed`);
+            continue;
+        }
+        if (!Object.hasOwn(target, key)) {
+            problems.push(`Unknown config file key "${fullKey}"`);
+            continue;
+        }
+
+        const current = target[key];
+        const currentIsSection = current !== null && typeof current === "object" && !Array.isArray(current);
+
+        if (currentIsSection) {
+            if (value === null || typeof value !== "object" || Array.isArray(value)) {
+                problems.push(`Config file key "${fullKey}" must be an object`);
+                continue;
+            }
+            mergeFileLayer(current, value, problems, fullKey + ".");
+        } else {
+            target[key] = value;
+        }
+    }
+}
+
+function readConfigFile(filePath, problems) {
+    const resolved = path.resolve(filePath);
+    let raw;
+    try {
+        raw = readFileSync(resolved, "utf-8");
+    } catch (err) {
+        problems.push(`CONFIG_FILE could not be read (${resolved}): ${err.message}`);
+        return null;
+    }
+
+    try {
+        const parsed = JSON.parse(raw);
+        if (parsed === null || typeof parsed !== "object" || Array.isArray(parsed)) {
+            problems.push(`CONFIG_FILE must contain a JSON object (${resolved})`);
+            return null;
+        }
+        return parsed;
+    } catch (err) {
+        problems.push(`CONFIG_FILE is not valid JSON (${resolved}): ${err.message}`);
+        return null;
+    }
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+function validatePort(value, name, problems, { allowZero = false } = {}) {
+    const min = allowZero ? 0 : 1;
+    if (!Number.isInteger(value) || value < min || value > 65535) {
+        problems.push(`${name} must be an integer between ${min} and 65535 (got ${JSON.stringify(value)})`);
+    }
+}
+
+function validateMinimum(value, name, min, problems) {
+    if (!Number.isInteger(value) || value < min) {
+        problems.push(`${name} must be an integer of at least ${min} (got ${JSON.stringify(value)})`);
+    }
+}
+
+function validateNonEmptyString(value, name, problems) {
+    if (typeof value !== "string" || value.trim() === "") {
+        problems.push(`${name} must be a non-empty string (got ${JSON.stringify(value)})`);
+    }
+}
+
+function validate(config, problems, env) {
+    validateNonEmptyString(config.domain, "domain", problems);
+    validateNonEmptyString(config.host, "host", problems);
+    validatePort(config.port, "port", problems);
+    validatePort(config.internalPort, "internalPort", problems, { allowZero: true });
+
+    if (config.internalPort !== 0 && config.internalPort === config.port) {
+        problems.push(`port and internalPort must differ (both are ${config.port})`);
+    }
+
+    validateNonEmptyString(config.internalAuth.header, "internalAuth.header", problems);
+    if (config.internalAuth.secret !== null &&
+        (typeof config.internalAuth.secret !== "string" || config.internalAuth.secret.length < 32)) {
+        problems.push("internalAuth.secret must be a string of at least 32 characters");
+    }
+    if (!Array.isArray(config.internalAuth.trustedCidrs)) {
+        problems.push("internalAuth.trustedCidrs must be an array of CIDR ranges");
+    } else {
+        for (const cidr of config.internalAuth.trustedCidrs) {
+            if (typeof cidr !== "string" || !ipaddr.isValidCIDR(cidr)) {
+                problems.push(`internalAuth.trustedCidrs: ${JSON.stringify(cidr)} is not a valid CIDR range`);
+            }
+        }
+    }
+
+    if (typeof config.tls.enabled !== "boolean") {
+        problems.push(`tls.enabled must be true or false (got ${JSON.stringify(config.tls.enabled)})`);
+    }
+    if (config.tls.enabled) {
+        validateNonEmptyString(config.tls.keyPath, "tls.keyPath", problems);
+        validateNonEmptyString(config.tls.certPath, "tls.certPath", problems);
+    }
+    if (typeof config.tls.watch !== "boolean") {
+        problems.push(`tls.watch must be true or false (got ${JSON.stringify(config.tls.watch)})`);
+    }
+
+    if (config.wispAuth.secret !== null &&
+        (typeof config.wispAuth.secret !== "string" || config.wispAuth.secret.length < 32)) {
+        problems.push("wispAuth.secret must be a string of at least 32 characters");
+    }
+    validateMinimum(config.wispAuth.tokenTtlSeconds, "wispAuth.tokenTtlSeconds", 60, problems);
+
+    for (const bucket of ["api", "upgrades"]) {
+        validateMinimum(config.limits[bucket].burst, `limits.${bucket}.burst`, 1, problems);
+        validateMinimum(config.limits[bucket].perMinute, `limits.${bucket}.perMinute`, 1, problems);
+    }
+    validateMinimum(config.limits.streamsPerConnection, "limits.streamsPerConnection", 1, problems);
+    validateMinimum(config.limits.wispConnections, "limits.wispConnections", 1, problems);
+
+    if (config.egress.policyFile !== null) {
+        validateNonEmptyString(config.egress.policyFile, "egress.policyFile", problems);
+    }
+    if (config.egress.dnsServers !== null &&
+        (!Array.isArray(config.egress.dnsServers) || config.egress.dnsServers.length === 0 ||
+            !config.egress.dnsServers.every(server => typeof server === "string" && ipaddr.isValid(server)))) {
+        problems.push("egress.dnsServers must be null (system resolver) or a non-empty array of IP addresses");
+    }
+    if (config.metrics.token !== null) {
+        validateNonEmptyString(config.metrics.token, "metrics.token", problems);
+    }
+    validateNonEmptyString(config.health.dnsProbeHost, "health.dnsProbeHost", problems);
+    validateMinimum(config.health.tlsWarnDays, "health.tlsWarnDays", 0, problems);
+    validateMinimum(config.health.eventLoopWarnMs, "health.eventLoopWarnMs", 1, problems);
+    validateMinimum(config.health.memoryWarnPercent, "health.memoryWarnPercent", 1, problems);
+    if (config.health.memoryWarnPercent > 100) {
+        problems.push(`health.memoryWarnPercent must be at most 100 (got ${config.health.memoryWarnPercent})`);
+    }
+    validateMinimum(config.resourceCache.memoryMb, "resourceCache.memoryMb", 0, problems);
+    if (config.resourceCache.diskDir !== null) {
+        validateNonEmptyString(config.resourceCache.diskDir, "resourceCache.diskDir", problems);
+    }
+    validateMinimum(config.resourceCache.diskMb, "resourceCache.diskMb", 1, problems);
+    if (!["stored", "token"].includes(config.sessions.mode)) {
+        problems.push(`sessions.mode must be "stored" or "token" (got ${JSON.stringify(config.sessions.mode)})`);
+    }
+    if (!Array.isArray(config.sessions.tokenSecrets) ||
+        !config.sessions.tokenSecrets.every(secret => typeof secret === "string" && secret.length >= 32)) {
+        problems.push("sessions.tokenSecrets must be an array of secrets of at least 32 characters");
+    } else if (config.sessions.mode === "token" && config.sessions.tokenSecrets.length === 0) {
+        problems.push("sessions.tokenSecrets (SESSION_TOKEN_SECRETS) is required when sessions.mode is \"token\"");
+    }
+    if (!["memory", "file"].includes(config.sessions.store)) {
+        problems.push(`sessions.store must be "memory" or "file" (got ${JSON.stringify(config.sessions.store)})`);
+    }
+    if (config.sessions.store === "file" && config.sessions.file === null) {
+        problems.push("sessions.file (SESSION_FILE) is required when sessions.store is \"file\"");
+    } else if (config.sessions.file !== null) {
+        validateNonEmptyString(config.sessions.file, "sessions.file", problems);
+    }
+    validateMinimum(config.sessions.maxSessions, "sessions.maxSessions", 1, problems);
+    if (!["aes-gcm", "xor", "base64", "plain"].includes(config.urlEncoding.codec)) {
+        problems.push(`urlEncoding.codec must be "aes-gcm", "xor", "base64" or "plain" (got ${JSON.stringify(config.urlEncoding.codec)})`);
+    }
+    if (!Array.isArray(config.redaction.params) ||
+        !config.redaction.params.every(param => typeof param === "string" && param.trim() !== "")) {
+        problems.push("redaction.params must be an array of parameter names");
+    }
+    for (const flag of ["fragments", "userinfo", "paths", "disabled"]) {
+        if (typeof config.redaction[flag] !== "boolean") {
+            problems.push(`redaction.${flag} must be true or false`);
+        }
+    }
+    if (config.redaction.disabled === true && env.NODE_ENV !== "development") {
+        problems.push("redaction.disabled (LOG_UNREDACTED) is only allowed with NODE_ENV=development");
+    }
+    validateMinimum(config.shutdown.drainTimeoutSeconds, "shutdown.drainTimeoutSeconds", 0, problems);
+}
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Loads, merges and validates the server configuration
+ *
+ * @param {object} env - Environment variables (defaults to process.env)
+ * @returns {object} The effective, frozen configuration
+ * @throws {ConfigError} If any layer contains invalid values
+ */
+function loadConfig(env = process.env) {
+    const problems = [];
+
+    // The domain feeds the default certificate paths, so it is resolved first
+    let domain = DEFAULT_DOMAIN;
+    const fileLayer = env.CONFIG_FILE ? readConfigFile(env.CONFIG_FILE, problems) : null;
+    if (typeof fileLayer?.domain === "string") domain = fileLayer.domain;
+    if (env.DOMAIN) domain = env.DOMAIN.trim();
+
+    const config = defaultConfig(domain);
+
+    if (fileLayer) {
+        mergeFileLayer(config, fileLayer, problems);
+    }
+
+    for (const [name, { key, parse }] of Object.entries(ENV_VARIABLES)) {
+        if (env[name] === undefined) continue;
+        try {
+            setPath(config, key, parse(env[name]));
+        } catch (err) {
+            problems.push(`${name}: ${err.message}`);
+        }
+    }
+
+    validate(config, problems, env);
+
+    if (problems.length > 0) {
+        throw new ConfigError(problems);
+    }
+
+    return deepFreeze(config);
+}
+
+/**
+ * Produces the human-readable lines printed in the startup banner
+ *
+ * @param {object} config - Config returned by loadConfig()
+ * @returns {string[]} One "key: value" line per setting
+ */
+function describeConfig(config) {
+    const lines = [
+        `Domain: ${config.domain}`,
+        `Mode: ${config.tls.enabled ? "HTTPS" : "HTTP only (TLS disabled)"}`,
+        `Listen: ${config.host}:${config.port}`,
+        `Internal HTTP: ${config.internalPort ? `${config.host}:${config.internalPort}` : "disabled"}`
+    ];
+
+    if (config.tls.enabled) {
+        lines.push(`TLS key: ${config.tls.keyPath}`);
+        lines.push(`TLS cert: ${config.tls.certPath}`);
+        lines.push(`TLS reload: ${config.tls.watch ? "on file change and SIGHUP" : "on SIGHUP"}`);
+    }
+
+    lines.push(`WISP tokens: ${config.wispAuth.tokenTtlSeconds}s TTL, ${config.wispAuth.secret ? "configured secret" : "ephemeral secret"}`);
+    lines.push(`API rate limit: burst ${config.limits.api.burst}, ${config.limits.api.perMinute}/min per IP`);
+    lines.push(`WISP upgrade limit: burst ${config.limits.upgrades.burst}, ${config.limits.upgrades.perMinute}/min per IP`);
+    lines.push(`WISP streams per connection: ${config.limits.streamsPerConnection}`);
+    lines.push(`WISP connection limit: ${config.limits.wispConnections}`);
+    lines.push(`WISP DNS: ${config.egress.dnsServers ? config.egress.dnsServers.join(", ") : "system resolver"}`);
+    lines.push(`Health thresholds: TLS ${config.health.tlsWarnDays} days, event loop ${config.health.eventLoopWarnMs}ms, memory ${config.health.memoryWarnPercent}%`);
+    lines.push(`Metrics: ${config.metrics.token ? "bearer token required" : "open"}`);
+    if (config.resourceCache.memoryMb === 0) {
+        lines.push("Resource cache: disabled");
+    } else {
+        const disk = config.resourceCache.diskDir
+            ? `, ${config.resourceCache.diskMb}MB on disk in ${config.resourceCache.diskDir}`
+            : "";
+        lines.push(`Resource cache: ${config.resourceCache.memoryMb}MB in memory${disk}`);
+    }
+    if (config.sessions.mode === "token") {
+        lines.push(`Sessions: encrypted tokens (${config.sessions.tokenSecrets.length} secret(s)), up to ${config.sessions.maxSessions} cached`);
+    } else {
+        lines.push(config.sessions.store === "file"
+            ? `Sessions: up to ${config.sessions.maxSessions}, saved to ${config.sessions.file}`
+            : `Sessions: up to ${config.sessions.maxSessions}, in memory`);
+    }
+    lines.push(`Proxied URLs encoded with: ${config.urlEncoding.codec}`);
+    if (config.redaction.disabled) {
+        lines.push("URL redaction: OFF (development)");
+    } else {
+        const parts = [`${config.redaction.params.length} params`];
+        if (config.redaction.fragments) parts.push("fragments");
+        if (config.redaction.userinfo) parts.push("credentials");
+        if (config.redaction.paths) parts.push("paths");
+        lines.push(`URL redaction: ${parts.join(", ")}`);
+    }
+    lines.push(`Shutdown drain timeout: ${config.shutdown.drainTimeoutSeconds}s`);
+
+    return lines;
+}
+
+function deepFreeze(object) {
+    for (const value of Object.values(object)) {
+        if (value !== null && typeof value === "object") {
+            deepFreeze(value);
+        }
+    }
+    return Object.freeze(object);
+}
+
+export {
+    loadConfig,
+    describeConfig,
+    ConfigError
+};
@@ -0,0 +1,358 @@
+/**
+ * Cookie Jar
+ *
+ * Stores the cookies upstream sites set through the legacy HTTP proxy, one
+ * jar per proxy session, following RFC 6265 (with the SameSite and cookie
+ * prefix rules browsers apply today):
+ *
+ * - Domain: host-only unless a Domain attribute is given; the attribute must
+ *   domain-match the request host and may not be a public suffix
+ *   ("co.uk", "github.io"), so one site cannot set cookies for others
+ * - Path: the default path is the directory of the request path
+ * - Expiry: Max-Age wins over Expires; cookies without either live as long
+ *   as the proxy session
+ * - Secure: only set from and sent to https URLs
+ * - HttpOnly: hidden from (and not overwritable by) document.cookie
+ * - SameSite: Strict and Lax (the default) cookies stay off cross-site
+ *   subresource requests
+ *
+ * The jar works on a plain array of cookie objects, so sessions can hold it
+ * as JSON.
+ */
+
+import { parseDomain, ParseResultType } from "parse-domain";
+import setCookieParser from "set-cookie-parser";
+import ipaddr from "ipaddr.js";
+
+// ============================================================================
+// LIMITS
+// ============================================================================
+
+const MAX_COOKIE_BYTES = 4096;
+const MAX_COOKIES_PER_DOMAIN = 50;
+const MAX_COOKIES_PER_JAR = 300;
+
+// Browsers cap cookie lifetimes at 400 days
+const MAX_AGE_LIMIT_SECONDS = 400 * 24 * 60 * 60;
+
+// ============================================================================
+// DOMAIN AND PATH HELPERS
+// ============================================================================
+
+function isIpAddress(hostname) {
+    return ipaddr.isValid(hostname.replace(/^\[|\]$/g, ""));
+}
+
+/**
+ * "co.uk", "com", "github.io" - names under which anyone can register
+ */
+function isPublicSuffix(domain) {
+    const result = parseDomain(domain);
+    return result.type === ParseResultType.Listed && !result.domain;
+}
+
+/**
+ * The registrable domain ("site") of a host, used for SameSite checks
+ */
+function siteOf(hostname) {
+    const result = parseDomain(hostname);
+    if (result.type === ParseResultType.Listed && result.domain) {
+        return [result.domain, ...result.topLevelDomains].join(".");
+    }
+    return hostname;
+}
+
+function domainMatches(hostname, domain) {
+    if (hostname === domain) return true;
+    return !isIpAddress(hostname) && hostname.endsWith("." + domain);
+}
+
+function defaultPath(pathname) {
+    if (!pathname.startsWith("/")) return "/";
+    const lastSlash = pathname.lastIndexOf("/");
+    return lastSlash === 0 ? "/" : pathname.slice(0, lastSlash);
+}
+
+function pathMatches(requestPath, cookiePath) {
+    if (requestPath === cookiePath) return true;
+    if (!requestPath.startsWith(cookiePath)) return false;
+    return cookiePath.endsWith("/") || requestPath[cookiePath.length] === "/";
+}
+
+function isSecureUrl(url) {
+    return url.protocol === "https:";
+}
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+/**
+ * Turns one Set-Cookie value into a cookie record, or null if it must be
+ * ignored
+ *
+ * @param {string} header - A single Set-Cookie header value
+ * @param {URL} url - URL of the response that set it
+ * @param {number} now - Current time (ms)
+ * @returns {object|null}
+ */
+function parseSetCookie(header, url, now) {
+    const parsed = setCookieParser.parseString(header, { decodeValues: false });
+    if (!parsed.name && !parsed.value) return null;
+    if (parsed.name.length + parsed.value.length > MAX_COOKIE_BYTES) return null;
+
+    const hostname = url.hostname.toLowerCase();
+    const secure = Boolean(parsed.secure);
+    if (secure && !isSecureUrl(url)) return null;
+
+    // Domain
+    let domain = hostname;
+    let hostOnly = true;
+    if (parsed.domain) {
+        const attribute = parsed.domain.replace(/^\./, "").toLowerCase();
+        if (isPublicSuffix(attribute)) {
+            // Only acceptable as the host itself, and then the cookie stays host-only
+            if (attribute !== hostname) return null;
+        } else if (!domainMatches(hostname, attribute)) {
+            return null;
+        } else {
+            domain = attribute;
+            hostOnly = false;
+        }
+    }
+
+    // Path
+    const path = parsed.path?.startsWith("/") ? parsed.path : defaultPath(url.pathname);
+
+    // Expiry (Max-Age takes precedence)
+    let expires = null;
+    if (parsed.maxAge !== undefined && Number.isFinite(Number(parsed.maxAge))) {
+        const seconds = Math.min(Number(parsed.maxAge), MAX_AGE_LIMIT_SECONDS);
+        expires = seconds <= 0 ? 0 : now + seconds * 1000;
+    } else if (parsed.expires && !Number.isNaN(parsed.expires.getTime())) {
+        expires = Math.min(parsed.expires.getTime(), now + MAX_AGE_LIMIT_SECONDS * 1000);
+    }
+
+    // SameSite (Lax unless stated; None requires Secure)
+    const sameSite = ["strict", "lax", "none"].includes(parsed.sameSite?.toLowerCase())
+        ? parsed.sameSite.toLowerCase()
+        : "lax";
+    if (sameSite === "none" && !secure) return null;
+
+    // Cookie prefixes
+    if (parsed.name.startsWith("__Secure-") && !secure) return null;
+    if (parsed.name.startsWith("__Host-") && (!secure || !hostOnly || path !== "/")) return null;
+
+    return {
+        name: parsed.name,
+        value: parsed.value,
+        domain,
+        path,
+        hostOnly,
+        secure,
+        httpOnly: Boolean(parsed.httpOnly),
+        sameSite,
+        expires,
+        created: now,
+        lastAccess: now
+    };
+}
+
+// ============================================================================
+// FACTORY
+// ============================================================================
+
+/**
+ * @param {object[]} entries - Stored cookies (modified in place)
+ * @returns {object} { setCookies, setDocumentCookie, cookieHeader, documentCookie, shrink, entries }
+ */
+function createCookieJar(entries = []) {
+
+    function removeExpired(now) {
+        for (let i = entries.length - 1; i >= 0; i--) {
+            if (entries[i].expires !== null && entries[i].expires <= now) {
+                entries.splice(i, 1);
+            }
+        }
+    }
+
+    function evictOverflow(domain) {
+        const byAccess = (a, b) => a.lastAccess - b.lastAccess;
+
+        const sameDomain = entries.filter(cookie => cookie.domain === domain).sort(byAccess);
+        for (const cookie of sameDomain.slice(0, Math.max(0, sameDomain.length - MAX_COOKIES_PER_DOMAIN))) {
+            entries.splice(entries.indexOf(cookie), 1);
+        }
+
+        if (entries.length > MAX_COOKIES_PER_JAR) {
+            const oldest = [...entries].sort(byAccess).slice(0, entries.length - MAX_COOKIES_PER_JAR);
+            oldest.forEach(cookie => entries.splice(entries.indexOf(cookie), 1));
+        }
+    }
+
+    /**
+     * Stores a parsed cookie, replacing one with the same name, domain and path
+     *
+     * @returns {boolean} Whether the jar changed
+     */
+    function store(cookie, { fromScript = false } = {}) {
+        const index = entries.findIndex(existing =>
+            existing.name === cookie.name && existing.domain === cookie.domain && existing.path === cookie.path);
+        const existing = index >= 0 ? entries[index] : null;
+
+        if (existing && existing.httpOnly && fromScript) return false;
+        if (existing) {
+            cookie.created = existing.created;
+            entries.splice(index, 1);
+        }
+
+        if (cookie.expires !== null && cookie.expires <= cookie.lastAccess) {
+            return Boolean(existing);
+        }
+
+        entries.push(cookie);
+        evictOverflow(cookie.domain);
+        return true;
+    }
+
+    /**
+     * Stores the Set-Cookie headers of an upstream response
+     *
+     * @param {string[]} headers - Set-Cookie header values
+     * @param {string} responseUrl - URL that sent them
+     * @returns {boolean} Whether the jar changed
+     */
+    function setCookies(headers, responseUrl) {
+        const url = new URL(responseUrl);
+        const now = Date.now();
+        removeExpired(now);
+
+        let changed = false;
+        for (const header of headers) {
+            const cookie = parseSetCookie(header, url, now);
+            if (cookie && store(cookie)) changed = true;
+        }
+        return changed;
+    }
+
+    /**
+     * Stores a cookie written by a page script (document.cookie = "...")
+     *
+     * @returns {boolean} Whether the jar changed
+     */
+    function setDocumentCookie(cookieString, pageUrl) {
+        const now = Date.now();
+        removeExpired(now);
+
+        const cookie = parseSetCookie(cookieString, new URL(pageUrl), now);
+        if (!cookie || cookie.httpOnly) return false;
+        return store(cookie, { fromScript: true });
+    }
+
+    /**
+     * Cookies that apply to a request, most specific path first
+     *
+     * @param {URL} url - Target URL
+     * @param {object} context
+     * @param {boolean} context.includeHttpOnly - False for document.cookie
+     * @param {boolean} context.sameSite - Request comes from the target's own site
+     * @param {boolean} context.topLevel - Top-level navigation
+     * @param {string} context.method - Request method
+     */
+    function matching(url, { includeHttpOnly = true, sameSite = true, topLevel = true, method = "GET" } = {}) {
+        const now = Date.now();
+        removeExpired(now);
+
+        const hostname = url.hostname.toLowerCase();
+        const safeMethod = method === "GET" || method === "HEAD";
+
+        return entries
+            .filter(cookie => {
+                if (cookie.hostOnly ? hostname !== cookie.domain : !domainMatches(hostname, cookie.domain)) return false;
+                if (!pathMatches(url.pathname, cookie.path)) return false;
+                if (cookie.secure && !isSecureUrl(url)) return false;
+                if (cookie.httpOnly && !includeHttpOnly) return false;
+                if (!sameSite) {
+                    if (cookie.sameSite === "strict") return false;
+                    if (cookie.sameSite === "lax" && !(topLevel && safeMethod)) return false;
+                }
+                return true;
+            })
+            .sort((a, b) => b.path.length - a.path.length || a.created - b.created)
+            .map(cookie => {
+                cookie.lastAccess = now;
+                return cookie;
+            });
+    }
+
+    /**
+     * Value for the Cookie request header, or null when no cookie applies
+     *
+     * @param {string} targetUrl - URL being requested
+     * @param {object} context - See matching(); initiatorUrl replaces sameSite
+     * @param {string|null} context.initiatorUrl - Page that caused the request (null = user navigation)
+     */
+    function cookieHeader(targetUrl, { initiatorUrl = null, topLevel = true, method = "GET" } = {}) {
+        const url = new URL(targetUrl);
+        const cookies = matching(url, { sameSite: isSameSite(initiatorUrl, url), topLevel, method });
+        return cookies.length > 0 ? cookies.map(cookie => `${cookie.name}=${cookie.value}`).join("; ") : null;
+    }
+
+    /**
+     * What document.cookie returns for a page (no HttpOnly cookies)
+     */
+    function documentCookie(pageUrl) {
+        return matching(new URL(pageUrl), { includeHttpOnly: false })
+            .map(cookie => `${cookie.name}=${cookie.value}`)
+            .join("; ");
+    }
+
+    /**
+     * Makes the jar smaller, for session tokens that have no room for it:
+     * drops the expired cookies or, if there are none, the least recently
+     * used one
+     *
+     * @returns {object[]|null} The remaining entries, or null if the jar was empty
+     */
+    function shrink() {
+        if (entries.length === 0) return null;
+
+        const before = entries.length;
+        removeExpired(Date.now());
+        if (entries.length === before) {
+            const oldest = entries.reduce((a, b) => (b.lastAccess < a.lastAccess ? b : a));
+            entries.splice(entries.indexOf(oldest), 1);
+        }
+        return entries;
+    }
+
+    return {
+        setCookies,
+        setDocumentCookie,
+        cookieHeader,
+        documentCookie,
+        shrink,
+        entries() {
+            return entries;
+        }
+    };
+}
+
+/**
+ * Schemeful same-site check between the page that caused a request and
+ * its target
+ */
+function isSameSite(initiatorUrl, url) {
+    if (!initiatorUrl) return true;
+    try {
+        const initiator = new URL(initiatorUrl);
+        return initiator.protocol === url.protocol &&
+            siteOf(initiator.hostname.toLowerCase()) === siteOf(url.hostname.toLowerCase());
+    } catch (err) {
+        return false;
+    }
+}
+
+export {
+    createCookieJar
+};
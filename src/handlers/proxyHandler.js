@@ -1,19 +1,75 @@
-const fetch = require('node-fetch');
-const { decodeUrl, isValidUrl, extractDomain } = require('../utils/urlEncoder');
-const { InvalidUrlError, NetworkError, ContentError } = require('../middleware/errorHandler');
+import http from 'node:http';
+import https from 'node:https';
+import { Readable, Transform, pipeline } from 'node:stream';
+import fetch, { Headers, Response } from 'node-fetch';
+import { encodeUrl, decodeUrl, urlEncryptionKey, codecOf, getLinkCodec, isValidUrl, extractDomain, sanitizeUrl, redactText } from '../utils/urlEncoder.js';
+import { pinnedLookup } from '../utils/addressClassifier.js';
+import {
+    AppError,
+    InvalidUrlError,
+    NetworkError,
+    RedirectBlockedError,
+    TooManyRedirectsError,
+    ContentError,
+    PayloadTooLargeError
+} from '../middleware/errorHandler.js';
+import { getSessionData, setSessionData, getUrlKey, sessionReference } from '../middleware/sessionManager.js';
+import { createCookieJar } from '../cookies/cookieJar.js';
+import { createHtmlRewriter, rewriteHtml, resolveUrl } from '../rewriter/htmlRewriter.js';
+import { rewriteCss } from '../rewriter/cssRewriter.js';
+import { rewriteScript } from '../rewriter/jsRewriter.js';
+import { interceptorScript } from '../rewriter/interceptor.js';
+import { decodeText } from '../rewriter/charset.js';
+import { conditionalHeaders, currentAge } from '../cache/httpCache.js';
+import { UPSTREAM_ACCEPT_ENCODING, createDecoders, isCompressibleType, createCompressor } from '../utils/contentEncoding.js';
+import { compress, negotiateEncoding } from '../static/staticAssets.js';
 
 const PROXY_CONFIG = {
     timeout: 30000,
     maxResponseSize: 10 * 1024 * 1024,
+    maxRedirects: 20,
     userAgent: 'ScholarNavigator/1.0',
 
+    // Methods forwarded upstream; those in bodyMethods carry the request body along
+    methods: ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE'],
+    bodyMethods: ['POST', 'PUT', 'PATCH', 'DELETE'],
+
+    // Request body limits by media type, with a default for everything else
+    requestBodyLimits: {
+        'application/x-www-form-urlencoded': 1024 * 1024,
+        'application/json': 1024 * 1024,
+        'multipart/form-data': 10 * 1024 * 1024,
+        default: 1024 * 1024
+    },
+
+    // Accept-Encoding is not among them: the proxy asks for codings it can decode
     forwardHeaders: [
         'accept',
-        'accept-language',
-        'accept-encoding'
+        'accept-language'
+    ],
+
+    // Smaller bodies are sent to the client uncompressed
+    compressMinBytes: 1024,
+
+    // Forwarded by /api/resource so that media can seek
+    rangeHeaders: [
+        'range',
+        'if-range'
+    ],
+
+    // Passed back on streamed resources (content-encoding only remains on bodies
+    // in a coding the proxy cannot decode)
+    streamedResponseHeaders: [
+        'content-encoding',
+        'content-range',
+        'accept-ranges',
+        'etag',
+        'last-modified'
     ],
 
+    // Kept out of responses (cookies live in the session's jar instead)
     stripHeaders: [
+        'set-cookie',
         'x-frame-options',
         'content-security-policy',
         'x-content-type-options',
@@ -21,6 +77,15 @@ const PROXY_CONFIG = {
     ]
 };
 
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// Upstream connections resolve names through pinnedLookup, so the address
+// that passed the SSRF check is the one connected to
+const UPSTREAM_AGENTS = {
+    'http:': new http.Agent({ keepAlive: true, lookup: pinnedLookup }),
+    'https:': new https.Agent({ keepAlive: true, lookup: pinnedLookup })
+};
+
 /**
  * Main proxy request handler
  * This is the endpoint that clients call to fetch remote content
@@ -33,15 +98,17 @@ async function handleProxyRequest(req, res, next) {
     try {
 
         // Get URL from query parameter (GET) or body (POST)
-        let targetUrl = req.query.url || req.body.url;
-        const isEncoded = req.query.encoded === 'true' || req.body.encoded === true;
+        // req.body is only parsed for POST requests
+        let targetUrl = req.query.url || req.body?.url;
+        const isEncoded = req.query.encoded === 'true' || req.body?.encoded === true;
 
-        console.log(`[Proxy] Received request for: ${targetUrl} (encoded: ${isEncoded})`);
+        console.log(`[Proxy] Received request for: ${sanitizeUrl(targetUrl)} (encoded: ${isEncoded})`);
 
-        // Decode if the URL was Base64 encoded
-        if (isEncoded && targetUrl) {
-            targetUrl = decodeUrl(targetUrl);
-            console.log(`[Proxy] Decoded URL: ${targetUrl}`);
+        // Decode if the URL was encoded: prefixed values name their codec,
+        // `encoded` marks the older unprefixed Base64 form
+        if (targetUrl && (isEncoded || codecOf(targetUrl))) {
+            targetUrl = decodeTargetUrl(req, targetUrl);
+            console.log(`[Proxy] Decoded URL: ${sanitizeUrl(targetUrl)}`);
         }
 
         // Validate the URL
@@ -53,10 +120,18 @@ async function handleProxyRequest(req, res, next) {
         // STEP 2: Build the proxy request
         // ========================================
 
-        // Prepare headers to send to target server
-        const proxyHeaders = buildProxyHeaders(req);
+        // POST /api/proxy may describe a non-GET request: { url, method, body, contentType }
+        const { method, body } = requestFromJson(req.body);
+
+        // Prepare headers to send to target server; pages loaded here are
+        // top-level navigations, so every applicable cookie is sent
+        const cookies = { jar: sessionCookieJar(req), context: { initiatorUrl: null, topLevel: true, method } };
+        const proxyHeaders = buildProxyHeaders(req, targetUrl, cookies);
+        if (body !== undefined) {
+            proxyHeaders['content-type'] = req.body.contentType || 'text/plain;charset=UTF-8';
+        }
 
-        console.log(`[Proxy] Fetching: ${targetUrl}`);
+        console.log(`[Proxy] Fetching: ${sanitizeUrl(targetUrl)}`);
         console.log(`[Proxy] Domain: ${extractDomain(targetUrl)}`);
 
         // ========================================
@@ -65,21 +140,25 @@ async function handleProxyRequest(req, res, next) {
 
         const startTime = Date.now();
 
-        const targetResponse = await fetch(targetUrl, {
-            method: 'GET',
+        const controller = new AbortController();
+        // Follow redirects automatically so users don't see redirect messages
+        const targetResponse = await fetchFollowingRedirects(targetUrl, {
+            method,
             headers: proxyHeaders,
+            body,
             timeout: PROXY_CONFIG.timeout,
-            // Follow redirects automatically so users don't see redirect messages
-            redirect: 'follow'
-        });
+            signal: controller.signal
+        }, cookies);
+        if (cookies.changed) {
+            saveCookieJar(req, cookies.jar);
+        }
 
         const fetchTime = Date.now() - startTime;
         console.log(`[Proxy] Response received in ${fetchTime}ms - Status: ${targetResponse.status}`);
 
-        // Note: Redirects are now handled automatically via redirect: 'follow'
-        // The final URL after redirects is available via targetResponse.url
+        // Redirects were followed (and checked) hop by hop; this is where they ended
         const finalUrl = targetResponse.url || targetUrl;
-        console.log(`[Proxy] Final URL after redirects: ${finalUrl}`);
+        console.log(`[Proxy] Final URL after redirects: ${sanitizeUrl(finalUrl)}`);
 
         // ========================================
         // STEP 5: Process the response
@@ -89,16 +168,13 @@ async function handleProxyRequest(req, res, next) {
 
         // Check if content type is something we can handle
         if (!isProcessableContent(contentType)) {
+            controller.abort();
             throw new ContentError(contentType, 'This content type cannot be displayed in the browser');
         }
 
-        // Get the response body
-        const responseBody = await targetResponse.text();
-
-        // Check response size
-        if (responseBody.length > PROXY_CONFIG.maxResponseSize) {
-            throw new ContentError(contentType, 'Response is too large to process');
-        }
+        // Get the response body, giving up as soon as it is too large
+        checkDeclaredSize(targetResponse, controller, contentType);
+        const { text: responseBody, charset } = await readLimitedText(targetResponse, controller, contentType);
 
         // ========================================
         // STEP 6: Transform HTML content
@@ -110,39 +186,327 @@ async function handleProxyRequest(req, res, next) {
             // Build proxy base URL from the request
             const protocol = req.headers['x-forwarded-proto'] || (req.secure ? 'https' : 'http');
             const proxyBase = `${protocol}://${req.get('host')}`;
-            processedContent = transformHtml(responseBody, finalUrl, proxyBase);
+            // Before the session reference: the first AES-GCM link creates the session's key
+            const encoding = linkEncoding(req);
+            processedContent = transformHtml(responseBody, finalUrl, proxyBase, {
+                sessionId: sessionReference(req),
+                encoding,
+                documentCookie: cookies.jar.documentCookie(finalUrl)
+            });
         }
 
         const responseHeaders = buildResponseHeaders(targetResponse);
 
-        res.json({
+        await sendBody(req, res, 'application/json; charset=utf-8', JSON.stringify({
             success: true,
             type: 'content',
             metadata: {
                 url: finalUrl,
                 domain: extractDomain(finalUrl),
                 statusCode: targetResponse.status,
+                redirects: targetResponse.redirects,
                 contentType: contentType,
+                charset: charset,
                 contentLength: processedContent.length,
                 fetchTimeMs: fetchTime
             },
             headers: responseHeaders,
             content: processedContent
-        });
+        }));
 
     } catch (error) {
         if (error.name === 'FetchError' || error.code) {
-            return next(new NetworkError(error, req.query.url || req.body.url));
+            return next(new NetworkError(error, req.query.url || req.body?.url));
         }
         next(error);
     }
 }
 
-function buildProxyHeaders(req) {
+/**
+ * Reads the upstream method and body from a POST /api/proxy JSON body
+ * (GET with no body when there is none)
+ */
+function requestFromJson(json) {
+    const method = typeof json?.method === 'string' ? json.method.toUpperCase() : 'GET';
+    if (!PROXY_CONFIG.methods.includes(method)) {
+        throw new AppError(`Method ${method} cannot be proxied`, 405, 'METHOD_NOT_ALLOWED', {
+            allowed: PROXY_CONFIG.methods
+        });
+    }
+
+    if (!PROXY_CONFIG.bodyMethods.includes(method) || json.body === undefined || json.body === null) {
+        return { method, body: undefined };
+    }
+    const body = typeof json.body === 'string' ? json.body : JSON.stringify(json.body);
+    return { method, body: Buffer.from(body, 'utf-8') };
+}
+
+/**
+ * Reads the body of a POST/PUT/PATCH/DELETE for forwarding, enforcing the
+ * limit for its content type while it arrives
+ *
+ * The body is buffered rather than streamed so that it can be sent again
+ * after a 307/308 redirect.
+ *
+ * @param {Request} req - Express request (body not parsed)
+ * @returns {Promise<{body: Buffer, contentType: string}|null>} null without a body
+ */
+async function readRequestBody(req) {
+    if (!PROXY_CONFIG.bodyMethods.includes(req.method)) return null;
+
+    const contentType = req.get('content-type') || 'application/octet-stream';
+    const mediaType = contentType.split(';')[0].trim().toLowerCase();
+    const limit = PROXY_CONFIG.requestBodyLimits[mediaType] || PROXY_CONFIG.requestBodyLimits.default;
+
+    if (parseInt(req.get('content-length'), 10) > limit) {
+        throw new PayloadTooLargeError(mediaType, limit);
+    }
+
+    const chunks = [];
+    let received = 0;
+    for await (const chunk of req) {
+        received += chunk.length;
+        if (received > limit) {
+            throw new PayloadTooLargeError(mediaType, limit);
+        }
+        chunks.push(chunk);
+    }
+    return received > 0 ? { body: Buffer.concat(chunks), contentType } : null;
+}
+
+/**
+ * fetch() that follows redirects itself, changing method and body the way
+ * browsers do:
+ * - 303 switches to GET (except for HEAD) and drops the body
+ * - 301/302 switch a POST to GET and drop the body
+ * - 307/308 repeat the request with the same method and body
+ *
+ * Cookies set along the way are stored in the jar, and every hop sends the
+ * cookies of its own URL. Each redirect target passes the same isValidUrl()
+ * check as the first URL before it is requested, so a public page cannot
+ * redirect the proxy into the private network.
+ *
+ * @param {string} url - First URL to request
+ * @param {object} options - node-fetch options (body must be a Buffer or undefined)
+ * @param {object|null} cookies - { jar, context } as for buildProxyHeaders();
+ *   `changed` is set on it when a response stored cookies
+ * @returns {Promise<Response>} The first non-redirect response, with the
+ *   redirects that led to it as `redirects` ([{ url, status }], oldest first)
+ * @throws {RedirectBlockedError|TooManyRedirectsError}
+ */
+async function fetchFollowingRedirects(url, options, cookies = null) {
+    let currentUrl = url;
+    let method = options.method || 'GET';
+    let body = options.body;
+    const headers = { ...options.headers };
+    const redirects = [];
+
+    for (let hop = 0; ; hop++) {
+        const response = await fetch(currentUrl, {
+            ...options,
+            method,
+            headers,
+            body,
+            redirect: 'manual',
+            compress: false,
+            agent: parsedUrl => UPSTREAM_AGENTS[parsedUrl.protocol]
+        });
+        if (cookies?.jar.setCookies(response.headers.raw()['set-cookie'] || [], currentUrl)) {
+            cookies.changed = true;
+        }
+
+        const location = response.headers.get('location');
+        if (!REDIRECT_STATUSES.includes(response.status) || !location) {
+            const finalResponse = decodeResponse(response, method);
+            finalResponse.redirects = redirects;
+            return finalResponse;
+        }
+
+        // The redirect body is never shown; let the connection be reused
+        response.body.resume();
+        redirects.push({ url: currentUrl, status: response.status });
+
+        if (hop >= PROXY_CONFIG.maxRedirects) {
+            throw new TooManyRedirectsError(PROXY_CONFIG.maxRedirects, redirects);
+        }
+
+        let nextUrl = null;
+        try {
+            nextUrl = new URL(location, currentUrl).href;
+        } catch (err) {
+            // Not a URL; rejected below like a forbidden one
+        }
+        if (!isValidUrl(nextUrl)) {
+            console.warn(`[Proxy] Blocked redirect from ${sanitizeUrl(currentUrl)} to ${sanitizeUrl(location)}`);
+            throw new RedirectBlockedError(location, redirects);
+        }
+
+        const switchToGet = response.status === 303
+            ? method !== 'HEAD'
+            : (response.status === 301 || response.status === 302) && method === 'POST';
+        if (switchToGet) {
+            method = 'GET';
+            body = undefined;
+            delete headers['content-type'];
+        }
+
+        currentUrl = nextUrl;
+        if (cookies) {
+            setCookieHeader(headers, cookies.jar.cookieHeader(currentUrl, { ...cookies.context, method }));
+        }
+    }
+}
+
+/**
+ * Decodes a response body fetched with `compress: false`. The returned
+ * response has neither Content-Encoding nor Content-Length, which described
+ * the encoded bytes. A coding the proxy cannot decode is left as it is.
+ */
+function decodeResponse(response, method) {
+    const contentEncoding = response.headers.get('content-encoding');
+    const bodiless = method === 'HEAD' || response.status === 204 || response.status === 304;
+    if (!contentEncoding || bodiless) {
+        return response;
+    }
+
+    const decoders = createDecoders(contentEncoding);
+    if (!decoders) {
+        return response;
+    }
+
+    const headers = new Headers(response.headers);
+    headers.delete('content-encoding');
+    headers.delete('content-length');
+    const body = decoders.length > 0 ? pipeline(response.body, ...decoders, () => {}) : response.body;
+
+    return new Response(body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers,
+        url: response.url
+    });
+}
+
+/**
+ * Fetches a resource through the shared cache (app.locals.resourceCache),
+ * which only plain GETs without cookies may use: a response fetched with a
+ * session's cookies may be personal, so it is neither served from nor
+ * stored in the cache. X-Cache tells which way a response came.
+ */
+async function fetchResource(req, res, targetUrl, options, cookies) {
+    const cache = req.app.locals.resourceCache;
+    if (!cache) {
+        return fetchFollowingRedirects(targetUrl, options, cookies);
+    }
+
+    const pragma = /no-cache/i.test(req.get('pragma') || '') ? 'no-cache' : '';
+    const cacheControl = req.get('cache-control') || pragma;
+    const headers = options.headers;
+    if (options.method !== 'GET' || headers.range || headers.cookie || /no-store/i.test(cacheControl)) {
+        markCacheOutcome(res, cache, 'bypass');
+        return fetchFollowingRedirects(targetUrl, options, cookies);
+    }
+
+    const cached = await cache.lookup(targetUrl, headers, cacheControl);
+    if (cached?.fresh) {
+        markCacheOutcome(res, cache, 'hit');
+        return cachedResponse(cached.entry, cached.age);
+    }
+
+    const requestTime = Date.now();
+    const response = await fetchFollowingRedirects(targetUrl, {
+        ...options,
+        headers: cached ? { ...headers, ...conditionalHeaders(cached.entry) } : headers
+    }, cookies);
+
+    if (cached && response.status === 304) {
+        response.body.resume();
+        const entry = cache.update(cached.entry, Object.fromEntries(response.headers), requestTime, Date.now());
+        markCacheOutcome(res, cache, 'revalidated');
+        return cachedResponse(entry, currentAge(entry));
+    }
+
+    markCacheOutcome(res, cache, 'miss');
+    return recordForCache(cache, targetUrl, headers, response, requestTime);
+}
+
+function markCacheOutcome(res, cache, outcome) {
+    cache.record(outcome);
+    res.set('X-Cache', outcome.toUpperCase());
+}
+
+function cachedResponse(entry, age) {
+    // Streamed like an upstream body (node-fetch would hand a Buffer back as is)
+    return new Response(Readable.from([entry.body]), {
+        status: entry.status,
+        headers: { ...entry.headers, 'content-length': String(entry.body.length), age: String(Math.floor(age)) },
+        url: entry.url
+    });
+}
+
+/**
+ * Passes a response on while keeping a copy of its body, which is stored
+ * once the body has arrived in full. Redirected responses are not stored:
+ * they belong to another URL, fetched with that URL's cookies.
+ */
+function recordForCache(cache, targetUrl, requestHeaders, response, requestTime) {
+    const headers = Object.fromEntries(response.headers);
+    if (response.url !== new URL(targetUrl).href || !cache.isStorable(response.status, headers)) {
+        return response;
+    }
+
+    const responseTime = Date.now();
+    let chunks = [];
+    let size = 0;
+    const recorder = new Transform({
+        transform(chunk, encoding, callback) {
+            if (chunks) {
+                size += chunk.length;
+                if (size > cache.maxEntryBytes) {
+                    chunks = null;
+                } else {
+                    chunks.push(chunk);
+                }
+            }
+            callback(null, chunk);
+        },
+        flush(callback) {
+            if (chunks) {
+                cache.store(targetUrl, requestHeaders, {
+                    status: response.status,
+                    headers,
+                    body: Buffer.concat(chunks),
+                    requestTime,
+                    responseTime
+                });
+            }
+            callback();
+        }
+    });
+    pipeline(response.body, recorder, () => {});
+
+    return new Response(recorder, {
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers,
+        url: response.url
+    });
+}
+
+/**
+ * Headers for the upstream request
+ *
+ * @param {Request} req - Express request
+ * @param {string} targetUrl - URL being requested
+ * @param {object|null} cookies - { jar, context }: the session's cookie jar
+ *        and the request context it needs for SameSite (see cookieJar.js)
+ */
+function buildProxyHeaders(req, targetUrl, cookies = null) {
     const headers = {
         'User-Agent': PROXY_CONFIG.userAgent,
         'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-        'Accept-Language': 'en-US,en;q=0.5'
+        'Accept-Language': 'en-US,en;q=0.5',
+        'accept-encoding': UPSTREAM_ACCEPT_ENCODING
     };
     PROXY_CONFIG.forwardHeaders.forEach(headerName => {
         const value = req.get(headerName);
@@ -151,9 +515,106 @@ function buildProxyHeaders(req) {
         }
     });
 
+    if (cookies) {
+        setCookieHeader(headers, cookies.jar.cookieHeader(targetUrl, cookies.context));
+    }
+
     return headers;
 }
 
+function setCookieHeader(headers, value) {
+    if (value) {
+        headers.cookie = value;
+    } else {
+        delete headers.cookie;
+    }
+}
+
+// ============================================================================
+// SESSION COOKIES
+// ============================================================================
+
+/**
+ * The cookie jar of the request's session (created on first use)
+ */
+function sessionCookieJar(req) {
+    return createCookieJar(getSessionData(req.sessionId, 'cookies') || []);
+}
+
+/**
+ * In token mode the jar travels in the session token; one too large for it
+ * loses its expired and then least recently used cookies until it fits
+ */
+function saveCookieJar(req, jar) {
+    setSessionData(req.sessionId, 'cookies', jar.entries(), { shrink: jar.shrink });
+}
+
+// ============================================================================
+// URL CODECS
+// ============================================================================
+
+/**
+ * Decodes an encoded `url` parameter (see decodeUrl). AES-GCM values are
+ * decrypted with the session's key.
+ */
+function decodeTargetUrl(req, value) {
+    const codec = codecOf(value);
+    return decodeUrl(value, { key: codec?.requiresKey ? getUrlKey(req.sessionId) : null });
+}
+
+/**
+ * How URLs written into a response are encoded: the configured link codec
+ * (see configureLinkCodec), with the session's key when it needs one
+ *
+ * @returns {object} { codec, prefix, key } - encodeUrl() options, plus the codec's prefix
+ */
+function linkEncoding(req) {
+    const codec = getLinkCodec();
+    return {
+        codec: codec.name,
+        prefix: codec.prefix,
+        key: codec.requiresKey ? getUrlKey(req.sessionId) : null
+    };
+}
+
+/**
+ * Hands the client its session's AES-GCM key (GET /api/url-key, see
+ * urlEncryptionKey()), so the URLs it sends can be encrypted with the
+ * 'aes-gcm' codec
+ */
+function handleUrlKeyRequest(req, res) {
+    res.set('Cache-Control', 'no-store');
+    res.json({
+        codec: 'aes-gcm',
+        key: urlEncryptionKey(getUrlKey(req.sessionId)).toString('base64')
+    });
+}
+
+/**
+ * SameSite context of a /api/resource request. The page that made it is
+ * only known when the Referer is itself a proxied URL; documents loaded into
+ * the fallback frame count as top-level navigations.
+ */
+function resourceCookieContext(req) {
+    let initiatorUrl = null;
+    try {
+        const referer = new URL(req.get('referer'));
+        if (referer.pathname === '/api/resource') {
+            const param = referer.searchParams.get('url');
+            initiatorUrl = codecOf(param) ? decodeTargetUrl(req, param) : param;
+        }
+    } catch (e) {
+        // No or unparsable Referer
+    }
+
+    const destination = req.get('sec-fetch-dest');
+    return {
+        initiatorUrl,
+        topLevel: !destination || destination === 'document' || destination === 'iframe',
+        method: req.method
+    };
+}
+
 function buildResponseHeaders(targetResponse) {
     const headers = {};
 
@@ -161,6 +622,10 @@ function buildResponseHeaders(targetResponse) {
         if (PROXY_CONFIG.stripHeaders.includes(name.toLowerCase())) {
             return;
         }
+        // These describe the bytes upstream sent, not the decoded and rewritten content
+        if (['content-encoding', 'content-length', 'transfer-encoding'].includes(name.toLowerCase())) {
+            return;
+        }
 
         headers[name] = value;
     });
@@ -187,166 +652,192 @@ function isProcessableContent(contentType) {
     return processableTypes.some(type => contentType.includes(type));
 }
 
-function resolveUrl(url, baseUrl) {
-    try {
-        if (url.startsWith('//')) {
-            return 'https:' + url;
-        }
-        if (url.startsWith('data:') || url.startsWith('javascript:') ||
-            url.startsWith('mailto:') || url.startsWith('tel:') || url.startsWith('#')) {
-            return null;
-        }
-        return new URL(url, baseUrl).href;
-    } catch (e) {
-        return null;
-    }
+/**
+ * Proxied URL for a resource. The target is encoded (see linkEncoding), so
+ * it does not travel in clear text. The session ID rides along as `sid`,
+ * because requests made by the page itself (images, links, forms) cannot
+ * carry the X-Session-ID header, and cookies are kept per session.
+ */
+function makeProxyUrl(resourceUrl, proxyBase, sessionId = null, encoding = null) {
+    if (!resourceUrl) return null;
+    const target = encoding ? encodeUrl(resourceUrl, encoding) : resourceUrl;
+    const sessionParam = sessionId ? `&sid=${encodeURIComponent(sessionId)}` : '';
+    return `${proxyBase}/api/resource?url=${encodeURIComponent(target)}${sessionParam}`;
 }
 
-function makeProxyUrl(resourceUrl, proxyBase) {
-    if (!resourceUrl) return null;
-    return `${proxyBase}/api/resource?url=${encodeURIComponent(resourceUrl)}`;
+/**
+ * Rewrites a page's URLs to go through the proxy and injects the interceptor
+ *
+ * @param {string} html - Page source
+ * @param {string} baseUrl - URL of the page
+ * @param {string} proxyBase - Origin of this server
+ * @param {object} options
+ * @param {string} options.sessionId - Session to keep in proxied URLs
+ * @param {object} options.encoding - How proxied URLs are encoded (see linkEncoding)
+ * @param {string} options.documentCookie - Initial document.cookie value
+ */
+function transformHtml(html, baseUrl, proxyBase = '', options = {}) {
+    return rewriteHtml(html, pageRewriterOptions(baseUrl, proxyBase, options));
 }
 
-function transformHtml(html, baseUrl, proxyBase = '') {
-    const baseTag = `<base href="${baseUrl}">`;
-    const attributePatterns = [
-        { attr: 'src', regex: /(<[^>]+\ssrc=["'])([^"']+)(["'][^>]*>)/gi },
-        { attr: 'href', regex: /(<[^>]+\shref=["'])([^"']+)(["'][^>]*>)/gi },
-        { attr: 'action', regex: /(<form[^>]+\saction=["'])([^"']+)(["'][^>]*>)/gi }
-    ];
+/**
+ * Streaming version of transformHtml, for /api/resource
+ */
+function createPageRewriter(baseUrl, proxyBase = '', options = {}) {
+    return createHtmlRewriter(pageRewriterOptions(baseUrl, proxyBase, options));
+}
 
-    for (const pattern of attributePatterns) {
-        html = html.replace(pattern.regex, (match, prefix, url, suffix) => {
-            const resolvedUrl = resolveUrl(url.trim(), baseUrl);
-            if (!resolvedUrl) return match; // Keep original if can't resolve
-            const proxyUrl = makeProxyUrl(resolvedUrl, proxyBase);
-            return proxyUrl ? `${prefix}${proxyUrl}${suffix}` : match;
-        });
-    }
+function pageRewriterOptions(baseUrl, proxyBase, { sessionId = null, encoding = null, documentCookie = '', contentType = 'text/html' }) {
+    return {
+        documentUrl: baseUrl,
+        contentType,
+        proxyUrl: url => makeProxyUrl(url, proxyBase, sessionId, encoding),
+        injection: interceptorScript({ proxyBase, baseUrl, sessionId, encoding, documentCookie })
+    };
+}
 
-    // Rewrite srcset attributes (for responsive images)
-    html = html.replace(/(<[^>]+\ssrcset=["'])([^"']+)(["'][^>]*>)/gi, (match, prefix, srcset, suffix) => {
-        const rewrittenSrcset = srcset.split(',').map(entry => {
-            const parts = entry.trim().split(/\s+/);
-            if (parts.length >= 1) {
-                const resolvedUrl = resolveUrl(parts[0], baseUrl);
-                if (resolvedUrl) {
-                    const proxyUrl = makeProxyUrl(resolvedUrl, proxyBase);
-                    if (proxyUrl) {
-                        parts[0] = proxyUrl;
-                    }
-                }
-            }
-            return parts.join(' ');
-        }).join(', ');
-        return `${prefix}${rewrittenSrcset}${suffix}`;
-    });
+/**
+ * Turns an open-ended range ("bytes=N-", what media elements send) into one
+ * of at most maxResponseSize bytes. The player asks for the next range when
+ * it needs more, so large media plays and seeks without hitting the limit.
+ */
+function clampOpenRange(range) {
+    const match = /^bytes=(\d+)-$/.exec(range.trim());
+    if (!match) return range;
 
-    // Rewrite CSS url() references in style tags and inline styles
-    html = html.replace(/url\(["']?([^"')]+)["']?\)/gi, (match, url) => {
-        const resolvedUrl = resolveUrl(url.trim(), baseUrl);
-        if (!resolvedUrl) return match;
-        const proxyUrl = makeProxyUrl(resolvedUrl, proxyBase);
-        return proxyUrl ? `url("${proxyUrl}")` : match;
-    });
+    const start = Number(match[1]);
+    return `bytes=${start}-${start + PROXY_CONFIG.maxResponseSize - 1}`;
+}
 
-    // Inject a script to intercept fetch/XHR requests
-    const proxyInterceptScript = `
-    <script>
-    (function() {
-        const PROXY_BASE = '${proxyBase}';
-        const BASE_URL = '${baseUrl}';
-        
-        // Helper to resolve and proxy URLs
-        function proxyUrl(url) {
-            try {
-                if (url.startsWith('data:') || url.startsWith('javascript:') || url.startsWith('blob:')) {
-                    return url;
-                }
-                const resolved = new URL(url, BASE_URL).href;
-                return PROXY_BASE + '/api/resource?url=' + encodeURIComponent(resolved);
-            } catch(e) {
-                return url;
-            }
+/**
+ * Aborts the upstream request and throws if it announces a body above the
+ * size limit
+ */
+function checkDeclaredSize(targetResponse, controller, contentType) {
+    const declared = parseInt(targetResponse.headers.get('content-length'), 10);
+    if (declared > PROXY_CONFIG.maxResponseSize) {
+        controller.abort();
+        throw new ContentError(contentType, 'Response is too large to process');
+    }
+}
+
+/**
+ * Reads a whole body, aborting the upstream request as soon as it crosses
+ * the size limit (instead of downloading everything first), and decodes it
+ * from its charset
+ *
+ * @param {Response} targetResponse - node-fetch response
+ * @param {AbortController} controller - Controller passed to fetch()
+ * @param {string} contentType - Content-Type of the response
+ * @returns {Promise<object>} { text, charset }
+ */
+async function readLimitedText(targetResponse, controller, contentType) {
+    const chunks = [];
+    let received = 0;
+
+    for await (const chunk of targetResponse.body) {
+        received += chunk.length;
+        if (received > PROXY_CONFIG.maxResponseSize) {
+            controller.abort();
+            throw new ContentError(contentType, 'Response is too large to process');
         }
-        
-        // Intercept fetch
-        const originalFetch = window.fetch;
-        window.fetch = function(resource, init) {
-            if (typeof resource === 'string') {
-                resource = proxyUrl(resource);
-            } else if (resource instanceof Request) {
-                resource = new Request(proxyUrl(resource.url), resource);
-            }
-            return originalFetch.call(this, resource, init);
-        };
-        
-        // Intercept XMLHttpRequest
-        const originalOpen = XMLHttpRequest.prototype.open;
-        XMLHttpRequest.prototype.open = function(method, url, ...args) {
-            return originalOpen.call(this, method, proxyUrl(url), ...args);
-        };
-
-        // Intercept DOM property setters
-        const elementDescriptors = Object.getOwnPropertyDescriptors(HTMLElement.prototype);
-        
-        // Helper to patch property properties
-        function patchProperty(prototype, property) {
-            const descriptor = Object.getOwnPropertyDescriptor(prototype, property);
-            if (descriptor && descriptor.set) {
-                Object.defineProperty(prototype, property, {
-                    get: descriptor.get,
-                    set: function(value) {
-                       if (typeof value === 'string' && value.trim() !== '') {
-                           try {
-                               // Don't double-proxy
-                               if (!value.includes(PROXY_BASE)) {
-                                   value = proxyUrl(value);
-                               }
-                           } catch(e) {}
-                       }
-                       return descriptor.set.call(this, value);
-                    },
-                    enumerable: true,
-                    configurable: true
-                });
+        chunks.push(chunk);
+    }
+    return decodeText(Buffer.concat(chunks), contentType);
+}
+
+/**
+ * Pass-through stream that aborts the upstream request once more than
+ * maxResponseSize bytes went through it
+ */
+function createSizeLimiter(controller, contentType, targetUrl) {
+    let received = 0;
+    return new Transform({
+        transform(chunk, encoding, callback) {
+            received += chunk.length;
+            if (received > PROXY_CONFIG.maxResponseSize) {
+                // Headers are already sent, so the client only sees a truncated body
+                console.warn(`[Resource] Aborted ${sanitizeUrl(targetUrl)}: over ${PROXY_CONFIG.maxResponseSize} bytes`);
+                controller.abort();
+                return callback(new ContentError(contentType, 'Response is too large to process'));
             }
+            callback(null, chunk);
         }
+    });
+}
 
-        // Patch common URL properties
-        if (window.HTMLImageElement) patchProperty(HTMLImageElement.prototype, 'src');
-        if (window.HTMLScriptElement) patchProperty(HTMLScriptElement.prototype, 'src');
-        if (window.HTMLLinkElement) patchProperty(HTMLLinkElement.prototype, 'href');
-        if (window.HTMLAnchorElement) patchProperty(HTMLAnchorElement.prototype, 'href');
-        if (window.HTMLMediaElement) patchProperty(HTMLMediaElement.prototype, 'src');
-        if (window.HTMLSourceElement) patchProperty(HTMLSourceElement.prototype, 'src');
-
-        // Intercept setAttribute
-        const originalSetAttribute = Element.prototype.setAttribute;
-        Element.prototype.setAttribute = function(name, value) {
-            if ((name === 'src' || name === 'href' || name === 'action') && typeof value === 'string') {
-                if (!value.includes(PROXY_BASE)) {
-                    value = proxyUrl(value);
-                }
-            }
-            return originalSetAttribute.call(this, name, value);
-        };
-    })();
-    </script>`;
-
-    // Insert base tag and intercept script after <head>
-    if (html.match(/<head[^>]*>/i)) {
-        html = html.replace(/<head[^>]*>/i, `$&\n${baseTag}\n${proxyInterceptScript}`);
+/**
+ * Picks brotli or gzip for a body the proxy sends, when the client accepts
+ * one and the type is worth compressing. Bodies of a known length below
+ * compressMinBytes are not compressed.
+ *
+ * @returns {string|null} "br", "gzip", or null to send the body as it is
+ */
+function outputEncoding(req, res, contentType, length = null) {
+    res.vary('Accept-Encoding');
+    if (!isCompressibleType(contentType)) return null;
+    if (length !== null && length < PROXY_CONFIG.compressMinBytes) return null;
+    return negotiateEncoding(req.get('accept-encoding'))?.name ?? null;
+}
+
+/**
+ * Sends a complete body, compressed if the client accepts it
+ */
+async function sendBody(req, res, contentType, body) {
+    const buffer = Buffer.from(body);
+    const encoding = outputEncoding(req, res, contentType, buffer.length);
+
+    res.set('Content-Type', contentType);
+    if (encoding) {
+        res.set('Content-Encoding', encoding);
+    }
+    res.send(encoding ? await compress(buffer, encoding) : buffer);
+}
+
+function logStreamError(error) {
+    // Aborts and premature closes are the client going away
+    if (error && error.name !== 'AbortError' && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+        console.error('[Resource] Stream error:', redactText(error.details?.explanation || error.message));
+    }
+}
+
+/**
+ * CORS for /api/resource: proxied pages call it from their own (often
+ * opaque) origin, so the origin is reflected and preflights for every
+ * forwarded method are answered here
+ */
+function resourceCors(req, res, next) {
+    // Reflect origin to support credentials
+    const origin = req.headers.origin;
+    if (origin) {
+        res.set('Access-Control-Allow-Origin', origin);
+        res.set('Access-Control-Allow-Credentials', 'true');
     } else {
-        html = baseTag + '\n' + proxyInterceptScript + '\n' + html;
+        res.set('Access-Control-Allow-Origin', '*');
     }
 
-    return html;
+    if (req.method === 'OPTIONS') {
+        res.set('Access-Control-Allow-Methods', PROXY_CONFIG.methods.join(', '));
+        const requestedHeaders = req.get('access-control-request-headers');
+        if (requestedHeaders) {
+            res.set('Access-Control-Allow-Headers', requestedHeaders);
+        }
+        res.set('Access-Control-Max-Age', '600');
+        return res.sendStatus(204);
+    }
+    next();
 }
 
 /**
  * Handles resource requests - serves content directly without JSON wrapper
  * Used for CSS, JS, images, fonts, etc.
+ *
+ * CSS is buffered because its URLs are rewritten, and HTML is rewritten as
+ * it streams; everything else (including partial 206 responses to Range
+ * requests) is streamed as is.
+ *
+ * Any method in PROXY_CONFIG.methods is forwarded with its body, so forms
+ * rewritten to point here (POST logins, uploads) reach the site intact.
  */
 async function handleResourceRequest(req, res, next) {
     try {
@@ -357,33 +848,63 @@ async function handleResourceRequest(req, res, next) {
         }
 
         // Decode URL if it's encoded
-        targetUrl = decodeURIComponent(targetUrl);
+        targetUrl = codecOf(targetUrl) ? decodeTargetUrl(req, targetUrl) : decodeURIComponent(targetUrl);
 
-        console.log(`[Resource] Fetching: ${targetUrl}`);
+        // Same checks as /api/proxy - this endpoint fetches arbitrary URLs too
+        if (!isValidUrl(targetUrl)) {
+            throw new InvalidUrlError(targetUrl);
+        }
 
-        const proxyHeaders = buildProxyHeaders(req);
+        console.log(`[Resource] Fetching: ${sanitizeUrl(targetUrl)}`);
 
-        const targetResponse = await fetch(targetUrl, {
-            method: 'GET',
+        const cookies = { jar: sessionCookieJar(req), context: resourceCookieContext(req) };
+        const proxyHeaders = buildProxyHeaders(req, targetUrl, cookies);
+        PROXY_CONFIG.rangeHeaders.forEach(headerName => {
+            const value = req.get(headerName);
+            if (value) {
+                proxyHeaders[headerName] = value;
+            }
+        });
+        if (proxyHeaders.range) {
+            // Byte ranges must refer to the body we pass on, not a compressed one
+            proxyHeaders['accept-encoding'] = 'identity';
+            proxyHeaders.range = clampOpenRange(proxyHeaders.range);
+        }
+
+        // Form submissions and scripted requests keep their method and body
+        const requestBody = await readRequestBody(req);
+        if (requestBody) {
+            proxyHeaders['content-type'] = requestBody.contentType;
+        }
+
+        const controller = new AbortController();
+        const targetResponse = await fetchResource(req, res, targetUrl, {
+            method: req.method,
             headers: proxyHeaders,
+            body: requestBody?.body,
             timeout: PROXY_CONFIG.timeout,
-            redirect: 'follow'
+            signal: controller.signal
+        }, cookies);
+        if (cookies.changed) {
+            saveCookieJar(req, cookies.jar);
+        }
+
+        // Stop downloading if the client goes away
+        res.on('close', () => {
+            if (!res.writableFinished) controller.abort();
         });
 
         const contentType = targetResponse.headers.get('content-type') || 'application/octet-stream';
         const finalUrl = targetResponse.url || targetUrl;
 
+        checkDeclaredSize(targetResponse, controller, contentType);
+
         // Set appropriate headers
+        res.status(targetResponse.status);
         res.set('Content-Type', contentType);
 
-        // Reflect origin to support credentials
-        const origin = req.headers.origin;
-        if (origin) {
-            res.set('Access-Control-Allow-Origin', origin);
-            res.set('Access-Control-Allow-Credentials', 'true');
-        } else {
-            res.set('Access-Control-Allow-Origin', '*');
-        }
+        // Pages rendered from /api/proxy load these from the cross-origin-isolated front-end
+        res.set('Cross-Origin-Resource-Policy', 'cross-origin');
 
         // Remove security headers that might cause issues
         PROXY_CONFIG.stripHeaders.forEach(header => {
@@ -393,48 +914,109 @@ async function handleResourceRequest(req, res, next) {
         const protocol = req.headers['x-forwarded-proto'] || (req.secure ? 'https' : 'http');
         const proxyBase = `${protocol}://${req.get('host')}`;
 
+        // Kept in rewritten URLs (in token mode, a token carrying the cookies just saved)
+        const encoding = linkEncoding(req);
+        const sessionId = sessionReference(req);
+
+        // Partial and bodiless responses are passed through untouched
+        const passThrough = targetResponse.status === 206 || req.method === 'HEAD';
+
         // For text content, rewrite URLs if it's CSS
-        if (contentType.includes('text/css')) {
-            let cssContent = await targetResponse.text();
-
-            // Rewrite url() in CSS
-            cssContent = cssContent.replace(/url\(["']?([^"')]+)["']?\)/gi, (match, url) => {
-                const resolvedUrl = resolveUrl(url.trim(), finalUrl);
-                if (!resolvedUrl) return match;
-                return `url("${proxyBase}/api/resource?url=${encodeURIComponent(resolvedUrl)}")`;
+        if (contentType.includes('text/css') && !passThrough) {
+            const { text: cssText } = await readLimitedText(targetResponse, controller, contentType);
+            const cssContent = rewriteCss(cssText, url => {
+                const resolvedUrl = resolveUrl(url, finalUrl);
+                return resolvedUrl ? makeProxyUrl(resolvedUrl, proxyBase, sessionId, encoding) : null;
             });
 
-            // Rewrite @import
-            cssContent = cssContent.replace(/@import\s+["']([^"']+)["']/gi, (match, url) => {
-                const resolvedUrl = resolveUrl(url.trim(), finalUrl);
-                if (!resolvedUrl) return match;
-                return `@import "${proxyBase}/api/resource?url=${encodeURIComponent(resolvedUrl)}"`;
+            await sendBody(req, res, 'text/css; charset=utf-8', cssContent);
+        } else if (/javascript|ecmascript/i.test(contentType) && !passThrough) {
+            // Scripts read `location` through the interceptor's shim
+            const { text: scriptText } = await readLimitedText(targetResponse, controller, contentType);
+            await sendBody(req, res, 'text/javascript; charset=utf-8', rewriteScript(scriptText));
+        } else if (contentType.includes('text/html') && !passThrough) {
+            // Rewrite URLs in HTML resources (for navigation within iframe) as the page arrives
+            const rewriter = createPageRewriter(finalUrl, proxyBase, {
+                sessionId,
+                encoding,
+                documentCookie: cookies.jar.documentCookie(finalUrl),
+                contentType
             });
-
-            res.send(cssContent);
-        } else if (contentType.includes('text/html')) {
-            // Rewrite URLs in HTML resources (for navigation within iframe)
-            let htmlContent = await targetResponse.text();
-            htmlContent = transformHtml(htmlContent, finalUrl, proxyBase);
-            res.send(htmlContent);
-        } else if (contentType.includes('javascript') || contentType.includes('text/')) {
-            // Send text content directly
-            const textContent = await targetResponse.text();
-            res.send(textContent);
+            res.set('Content-Type', 'text/html; charset=utf-8');
+            const compression = outputEncoding(req, res, 'text/html');
+            if (compression) {
+                res.set('Content-Encoding', compression);
+            }
+            pipeline(
+                targetResponse.body,
+                createSizeLimiter(controller, contentType, targetUrl),
+                rewriter,
+                ...(compression ? [createCompressor(compression)] : []),
+                res,
+                logStreamError
+            );
         } else {
-            // For binary content (images, fonts), pipe directly
-            const buffer = await targetResponse.buffer();
-            res.send(buffer);
+            // Everything else (images, fonts, media) is streamed as it arrives
+            PROXY_CONFIG.streamedResponseHeaders.forEach(headerName => {
+                const value = targetResponse.headers.get(headerName);
+                if (value) {
+                    res.set(headerName, value);
+                }
+            });
+            // Ranges and bodies still in an upstream coding are sent as they are
+            const contentLength = targetResponse.headers.get('content-length');
+            const compression = passThrough || targetResponse.headers.get('content-encoding')
+                ? null
+                : outputEncoding(req, res, contentType, contentLength ? Number(contentLength) : null);
+            if (compression) {
+                res.set('Content-Encoding', compression);
+            } else if (contentLength) {
+                res.set('Content-Length', contentLength);
+            }
+
+            pipeline(
+                targetResponse.body,
+                createSizeLimiter(controller, contentType, targetUrl),
+                ...(compression ? [createCompressor(compression)] : []),
+                res,
+                logStreamError
+            );
         }
 
     } catch (error) {
-        console.error('[Resource] Error:', error.message);
-        res.status(500).send('Failed to fetch resource');
+        console.error('[Resource] Error:', redactText(error.message));
+        if (error.name === 'FetchError') {
+            return next(new NetworkError(error, req.query.url));
+        }
+        next(error);
+    }
+}
+
+/**
+ * Stores a cookie written through the emulated document.cookie of a
+ * proxied page (POST /api/cookies?url=<page>, body = the assigned string)
+ */
+function handleCookieRequest(req, res, next) {
+    const pageUrl = codecOf(req.query.url) ? decodeTargetUrl(req, req.query.url) : req.query.url;
+    if (!pageUrl || !isValidUrl(pageUrl)) {
+        return next(new InvalidUrlError(pageUrl));
+    }
+    if (typeof req.body !== 'string') {
+        return res.sendStatus(400);
+    }
+
+    const jar = sessionCookieJar(req);
+    if (jar.setDocumentCookie(req.body, pageUrl)) {
+        saveCookieJar(req, jar);
     }
+    res.sendStatus(204);
 }
 
-module.exports = {
+export {
     handleProxyRequest,
     handleResourceRequest,
+    handleCookieRequest,
+    handleUrlKeyRequest,
+    resourceCors,
     PROXY_CONFIG
 };
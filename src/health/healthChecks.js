@@ -0,0 +1,255 @@
+/**
+ * Health Checks Module
+ *
+ * Backs /api/health, /api/health/live and /api/health/ready with checks of
+ * the things the proxy actually depends on:
+ *
+ * - dns:        a probe name resolves the way WISP resolves names
+ * - tls:        days until the served certificate expires, and whether the
+ *               last hot reload succeeded
+ * - eventLoop:  p99 event loop delay over the last sampling window
+ * - memory:     headroom below the V8 heap limit and the memory limit
+ * - wisp:       open WISP connections against the connection limit
+ * - shutdown:   whether the server is draining
+ *
+ * Each check reports `ok`, `degraded` or `down`, and the overall status is
+ * the worst of them. Degraded checks still serve traffic; any check that is
+ * down (or a draining server) makes the instance unready.
+ */
+
+import dns from "node:dns";
+import os from "node:os";
+import v8 from "node:v8";
+import { X509Certificate } from "node:crypto";
+
+const STATUS_RANK = { ok: 0, degraded: 1, down: 2 };
+
+// DNS answers are cached so that frequent probes do not hammer the resolvers
+const DNS_CACHE_MS = 15 * 1000;
+const DNS_TIMEOUT_MS = 2000;
+
+// Multiples of the configured warning level at which a check goes down
+const EVENT_LOOP_DOWN_FACTOR = 5;
+const MEMORY_DOWN_PERCENT = 95;
+const WISP_DEGRADED_FRACTION = 0.9;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+function worstStatus(statuses) {
+    return statuses.reduce((worst, status) =>
+        STATUS_RANK[status] > STATUS_RANK[worst] ? status : worst, "ok");
+}
+
+/**
+ * Memory limit the process actually runs under: the cgroup limit when one
+ * is set (and smaller than the machine), otherwise total system memory
+ */
+function memoryLimit() {
+    const total = os.totalmem();
+    const constrained = typeof process.constrainedMemory === "function" ? process.constrainedMemory() : 0;
+    return constrained > 0 && constrained < total ? constrained : total;
+}
+
+/**
+ * @param {object} options
+ * @param {string[]|null} options.dnsServers - Resolvers used by WISP (system resolver when null)
+ * @param {string} options.dnsProbeHost - Name resolved by the DNS check
+ * @param {Function} options.getCertificate - Returns the served certificate PEM (null without TLS)
+ * @param {Function} options.getTlsReloadStatus - Returns the certificate store status (null without TLS)
+ * @param {number} options.tlsWarnDays - Certificate lifetime below which TLS is degraded
+ * @param {object} options.eventLoop - Event loop monitor
+ * @param {number} options.eventLoopWarnMs - p99 delay at which the loop is degraded
+ * @param {number} options.memoryWarnPercent - Usage at which memory is degraded
+ * @param {object} options.tracker - WISP connection tracker
+ * @param {number} options.maxWispConnections - WISP connection limit
+ * @param {Function} options.isDraining - Returns true once shutdown has started
+ * @returns {object} { run }
+ */
+function createHealthChecks({
+    dnsServers,
+    dnsProbeHost,
+    getCertificate,
+    getTlsReloadStatus,
+    tlsWarnDays,
+    eventLoop,
+    eventLoopWarnMs,
+    memoryWarnPercent,
+    tracker,
+    maxWispConnections,
+    isDraining
+}) {
+    let resolver = null;
+    if (dnsServers) {
+        resolver = new dns.promises.Resolver({ timeout: DNS_TIMEOUT_MS, tries: 1 });
+        resolver.setServers(dnsServers);
+    }
+    const servers = dnsServers ? dnsServers.join(", ") : "the system resolver";
+
+    // getaddrinfo has no timeout of its own
+    function systemLookup(hostname) {
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error("timed out")), DNS_TIMEOUT_MS);
+        });
+        return Promise.race([dns.promises.lookup(hostname), timeout]).finally(() => clearTimeout(timer));
+    }
+
+    let dnsCache = null;
+
+    // ========================================================================
+    // CHECKS
+    // ========================================================================
+
+    async function checkDns() {
+        if (dnsCache && Date.now() - dnsCache.checkedAt < DNS_CACHE_MS) {
+            return dnsCache.result;
+        }
+
+        const started = Date.now();
+        let result;
+        try {
+            await (resolver ? resolver.resolve4(dnsProbeHost) : systemLookup(dnsProbeHost));
+            const latencyMs = Date.now() - started;
+            result = { status: "ok", latencyMs, servers: dnsServers ?? "system" };
+        } catch (err) {
+            result = {
+                status: "down",
+                servers: dnsServers ?? "system",
+                message: `DNS lookups through ${servers} are failing (${err.code || err.message})`
+            };
+        }
+
+        dnsCache = { checkedAt: Date.now(), result };
+        return result;
+    }
+
+    function checkTls() {
+        const pem = getCertificate();
+        if (!pem) {
+            return { status: "ok", enabled: false };
+        }
+
+        let certificate;
+        try {
+            certificate = new X509Certificate(pem);
+        } catch (err) {
+            return { status: "down", enabled: true, message: `TLS certificate cannot be parsed (${err.message})` };
+        }
+
+        const expiresAt = new Date(certificate.validTo);
+        const daysRemaining = Math.floor((expiresAt.getTime() - Date.now()) / MS_PER_DAY);
+        const reload = getTlsReloadStatus();
+        const result = { status: "ok", enabled: true, expiresAt: expiresAt.toISOString(), daysRemaining, reload };
+
+        if (daysRemaining < 0) {
+            result.status = "down";
+            result.message = "TLS certificate has expired";
+        } else if (daysRemaining < tlsWarnDays) {
+            result.status = "degraded";
+            result.message = `TLS certificate expires in ${daysRemaining} day(s)`;
+        } else if (reload?.lastReloadOk === false) {
+            // Still serving the previous certificate, which is valid for now
+            result.status = "degraded";
+            result.message = "TLS certificate reload failed, serving the previous certificate";
+        }
+        return result;
+    }
+
+    function checkEventLoop() {
+        const { p99Ms, sampledAt } = eventLoop.latest();
+        const result = { status: "ok", p99Ms: Math.round(p99Ms), sampledAt };
+
+        if (p99Ms >= eventLoopWarnMs * EVENT_LOOP_DOWN_FACTOR) {
+            result.status = "down";
+        } else if (p99Ms >= eventLoopWarnMs) {
+            result.status = "degraded";
+        }
+        if (result.status !== "ok") {
+            result.message = `Server is overloaded (event loop delay ${result.p99Ms}ms)`;
+        }
+        return result;
+    }
+
+    function checkMemory() {
+        const heapUsed = process.memoryUsage().heapUsed;
+        const heapLimit = v8.getHeapStatistics().heap_size_limit;
+        const rss = process.memoryUsage.rss();
+        const limit = memoryLimit();
+
+        const heapPercent = Math.round((heapUsed / heapLimit) * 100);
+        const rssPercent = Math.round((rss / limit) * 100);
+        const usedPercent = Math.max(heapPercent, rssPercent);
+        const result = { status: "ok", heapPercent, rssPercent };
+
+        if (usedPercent >= MEMORY_DOWN_PERCENT) {
+            result.status = "down";
+        } else if (usedPercent >= memoryWarnPercent) {
+            result.status = "degraded";
+        }
+        if (result.status !== "ok") {
+            result.message = `Server is low on memory (${usedPercent}% used)`;
+        }
+        return result;
+    }
+
+    function checkWisp() {
+        const connections = tracker.connections.size;
+        const result = {
+            status: "ok",
+            connections,
+            limit: maxWispConnections,
+            streams: tracker.activeStreamCount()
+        };
+
+        if (connections >= maxWispConnections) {
+            result.status = "down";
+            result.message = `WISP server is full (${connections}/${maxWispConnections} connections)`;
+        } else if (connections >= maxWispConnections * WISP_DEGRADED_FRACTION) {
+            result.status = "degraded";
+            result.message = `WISP server is nearly full (${connections}/${maxWispConnections} connections)`;
+        }
+        return result;
+    }
+
+    function checkShutdown() {
+        return isDraining()
+            ? { status: "down", draining: true, message: "Server is restarting" }
+            : { status: "ok", draining: false };
+    }
+
+    // ========================================================================
+    // REPORT
+    // ========================================================================
+
+    /**
+     * Runs every check
+     *
+     * @returns {Promise<{status: string, reasons: string[], checks: object}>}
+     *          reasons lists the message of every check that is not ok
+     */
+    async function run() {
+        const checks = {
+            dns: await checkDns(),
+            tls: checkTls(),
+            eventLoop: checkEventLoop(),
+            memory: checkMemory(),
+            wisp: checkWisp(),
+            shutdown: checkShutdown()
+        };
+
+        const results = Object.values(checks);
+        return {
+            status: worstStatus(results.map(check => check.status)),
+            reasons: results.filter(check => check.message).map(check => check.message),
+            checks
+        };
+    }
+
+    return {
+        run
+    };
+}
+
+export {
+    createHealthChecks
+};
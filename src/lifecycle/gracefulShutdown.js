@@ -0,0 +1,128 @@
+/**
+ * Graceful Shutdown
+ *
+ * Drains the server in stages when SIGTERM/SIGINT arrives, instead of
+ * dropping every socket with process.exit():
+ *
+ * 1. New WISP upgrades are refused (server.js checks isDraining()) and open
+ *    connections answer new CONNECT packets with a CLOSE; the onDraining
+ *    hook closes anything that cannot be drained (relayed WebSockets)
+ * 2. Both listeners stop accepting connections; idle keep-alive sockets are
+ *    closed while requests in progress are allowed to finish
+ * 3. Each WISP connection is closed with 1001 Going Away as soon as its last
+ *    stream ends, which tells the client to reconnect right away
+ * 4. When the drain timeout expires, the remaining streams get a WISP CLOSE,
+ *    their connections are closed and leftover HTTP sockets are dropped
+ * 5. The cleanup hooks run and the process exits
+ *
+ * A second signal while draining exits immediately.
+ */
+
+// WebSocket close code sent to WISP clients
+const GOING_AWAY = 1001;
+
+// How often the drain loop looks for connections that have gone idle
+const POLL_INTERVAL_MS = 250;
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * @param {object} options
+ * @param {Array<{name: string, server: http.Server}>} options.listeners - Listeners to close
+ * @param {object} options.tracker - WISP connection tracker
+ * @param {number} options.drainTimeoutMs - How long streams may keep running
+ * @param {Function} options.onDraining - Run as soon as draining starts
+ * @param {Function} options.onStopped - Cleanup run once everything is closed (may be async)
+ * @returns {object} { shutdown, isDraining }
+ */
+function createGracefulShutdown({ listeners, tracker, drainTimeoutMs, onDraining = () => {}, onStopped = () => {} }) {
+    let draining = false;
+
+    function closeListener({ name, server }) {
+        return new Promise((resolve) => {
+            server.close(() => {
+                console.log(`✅ ${name} listener closed`);
+                resolve();
+            });
+            server.closeIdleConnections();
+        });
+    }
+
+    /**
+     * Closes WISP connections as they go idle, then forces the rest at the deadline
+     */
+    async function drainWisp(deadline) {
+        const closing = new WeakSet();
+
+        while (tracker.connections.size > 0 && Date.now() < deadline) {
+            for (const connection of tracker.connections) {
+                if (closing.has(connection) || Object.keys(connection.streams).length > 0) continue;
+                closing.add(connection);
+                tracker.closeConnection(connection, GOING_AWAY, "Server shutting down");
+            }
+            await delay(POLL_INTERVAL_MS);
+        }
+
+        if (tracker.connections.size === 0) {
+            console.log("✅ All WISP connections drained");
+            return;
+        }
+
+        console.warn(`⚠️ Drain timeout reached, closing ${tracker.connections.size} WISP connection(s) with ${tracker.activeStreamCount()} open stream(s)`);
+        await Promise.all([...tracker.connections].map(connection =>
+            tracker.closeConnection(connection, GOING_AWAY, "Server shutting down")
+        ));
+    }
+
+    /**
+     * Signal handler for SIGINT/SIGTERM
+     *
+     * @param {string} signal - Name of the signal received
+     */
+    async function shutdown(signal) {
+        if (draining) {
+            console.warn(`\n⚠️ ${signal} received while draining, exiting immediately`);
+            process.exit(1);
+        }
+        draining = true;
+
+        const deadline = Date.now() + drainTimeoutMs;
+        console.log(`\n🛑 ${signal} received, draining connections (up to ${drainTimeoutMs / 1000}s)...`);
+
+        tracker.refuseNewStreams();
+        onDraining();
+        const listenersClosed = Promise.all(listeners.map(closeListener));
+
+        await drainWisp(deadline);
+
+        // HTTP requests still running at the deadline are cut off
+        const closedInTime = await Promise.race([
+            listenersClosed.then(() => true),
+            delay(Math.max(deadline - Date.now(), 0)).then(() => false)
+        ]);
+        if (!closedInTime) {
+            console.warn("⚠️ Drain timeout reached, dropping remaining HTTP connections");
+            listeners.forEach(({ server }) => server.closeAllConnections());
+        }
+
+        try {
+            await onStopped();
+        } catch (err) {
+            console.error("❌ Shutdown cleanup failed:", err.message);
+        }
+
+        console.log("✅ Server closed");
+        process.exit(0);
+    }
+
+    return {
+        shutdown,
+        isDraining: () => draining
+    };
+}
+
+export {
+    createGracefulShutdown
+};
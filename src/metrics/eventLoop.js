@@ -0,0 +1,52 @@
+/**
+ * Event Loop Delay Monitor
+ *
+ * Wraps perf_hooks.monitorEventLoopDelay() and publishes a snapshot of the
+ * last sampling window. Readers (the /metrics endpoint, health checks) share
+ * the snapshot, so none of them has to reset the histogram itself.
+ */
+
+import { monitorEventLoopDelay } from "node:perf_hooks";
+
+const NS_PER_MS = 1e6;
+
+/**
+ * @param {object} options
+ * @param {number} options.windowMs - Length of each sampling window
+ * @returns {object} { latest, stop }
+ */
+function createEventLoopMonitor({ windowMs = 10000 } = {}) {
+    const histogram = monitorEventLoopDelay({ resolution: 20 });
+    histogram.enable();
+
+    let snapshot = { meanMs: 0, p99Ms: 0, maxMs: 0, sampledAt: new Date().toISOString() };
+
+    const timer = setInterval(() => {
+        snapshot = {
+            meanMs: histogram.mean / NS_PER_MS,
+            p99Ms: histogram.percentile(99) / NS_PER_MS,
+            maxMs: histogram.max / NS_PER_MS,
+            sampledAt: new Date().toISOString()
+        };
+        histogram.reset();
+    }, windowMs);
+    timer.unref();
+
+    return {
+        /**
+         * @returns {{meanMs: number, p99Ms: number, maxMs: number, sampledAt: string}}
+         */
+        latest() {
+            return snapshot;
+        },
+
+        stop() {
+            clearInterval(timer);
+            histogram.disable();
+        }
+    };
+}
+
+export {
+    createEventLoopMonitor
+};
@@ -0,0 +1,134 @@
+/**
+ * Proxy Server Metrics
+ *
+ * Defines the series exposed on /metrics and the Express pieces that feed
+ * and serve them:
+ *
+ * - wisp_active_connections / wisp_active_streams  (gauges)
+ * - wisp_bytes_total{direction}                    (counter, WebSocket traffic)
+ * - wisp_upgrade_failures_total{reason}            (counter)
+ * - http_requests_total{route,status}              (counter)
+ * - nodejs_eventloop_lag_seconds{stat}             (gauge)
+ * - process_resident_memory_bytes, nodejs_heap_*   (gauges)
+ *
+ * Route labels use the matched Express route pattern rather than the raw
+ * path, so that query strings and static file names cannot blow up the
+ * number of series.
+ */
+
+import crypto from "node:crypto";
+import { Registry } from "./registry.js";
+
+/**
+ * @param {object} options
+ * @param {object} options.tracker - WISP connection tracker
+ * @param {object} options.eventLoop - Event loop monitor
+ * @param {string|null} options.token - Bearer token required to scrape (open when null)
+ * @returns {object} { recordUpgradeFailure, httpMiddleware, metricsRoute, registry }
+ */
+function createProxyMetrics({ tracker, eventLoop, token }) {
+    const registry = new Registry();
+
+    registry.gauge("wisp_active_connections", "Open WISP WebSocket connections", (gauge) => {
+        gauge.set({}, tracker.connections.size);
+    });
+
+    registry.gauge("wisp_active_streams", "Open WISP streams across all connections", (gauge) => {
+        gauge.set({}, tracker.activeStreamCount());
+    });
+
+    // Byte totals live on the sockets, so this counter is filled in at scrape time
+    registry.counter("wisp_bytes_total", "Bytes carried by WISP WebSockets", (counter) => {
+        const { in: bytesIn, out: bytesOut } = tracker.bytes();
+        counter.set({ direction: "in" }, bytesIn);
+        counter.set({ direction: "out" }, bytesOut);
+    });
+
+    const upgradeFailures = registry.counter("wisp_upgrade_failures_total", "Rejected or failed WISP upgrades");
+
+    const httpRequests = registry.counter("http_requests_total", "HTTP requests handled");
+
+    registry.gauge("nodejs_eventloop_lag_seconds", "Event loop delay over the last sampling window", (gauge) => {
+        const { meanMs, p99Ms, maxMs } = eventLoop.latest();
+        gauge.set({ stat: "mean" }, meanMs / 1000);
+        gauge.set({ stat: "p99" }, p99Ms / 1000);
+        gauge.set({ stat: "max" }, maxMs / 1000);
+    });
+
+    registry.gauge("process_resident_memory_bytes", "Resident set size", (gauge) => {
+        gauge.set({}, process.memoryUsage.rss());
+    });
+
+    registry.gauge("nodejs_heap_used_bytes", "V8 heap in use", (gauge) => {
+        gauge.set({}, process.memoryUsage().heapUsed);
+    });
+
+    registry.gauge("nodejs_heap_total_bytes", "V8 heap allocated", (gauge) => {
+        gauge.set({}, process.memoryUsage().heapTotal);
+    });
+
+    registry.gauge("nodejs_external_memory_bytes", "Memory used by C++ objects bound to JS (buffers)", (gauge) => {
+        gauge.set({}, process.memoryUsage().external);
+    });
+
+    function recordUpgradeFailure(reason) {
+        upgradeFailures.inc({ reason });
+    }
+
+    /**
+     * Counts every finished HTTP request by route pattern and status code
+     */
+    function httpMiddleware(req, res, next) {
+        const requestPath = req.path;
+
+        res.on("finish", () => {
+            let route;
+            if (req.route) {
+                route = req.baseUrl + req.route.path;
+            } else if (requestPath.startsWith("/api/")) {
+                route = "/api/*";
+            } else {
+                route = res.statusCode === 404 ? "unmatched" : "static";
+            }
+            httpRequests.inc({ route, status: res.statusCode });
+        });
+
+        next();
+    }
+
+    function isAuthorized(req) {
+        if (!token) return true;
+
+        const header = req.get("authorization") || "";
+        const match = /^Bearer\s+(.+)$/i.exec(header);
+        if (!match) return false;
+
+        const provided = crypto.createHash("sha256").update(match[1].trim()).digest();
+        const expected = crypto.createHash("sha256").update(token).digest();
+        return crypto.timingSafeEqual(provided, expected);
+    }
+
+    /**
+     * Express handler for GET /metrics
+     */
+    function metricsRoute(req, res) {
+        if (!isAuthorized(req)) {
+            res.set("WWW-Authenticate", "Bearer realm=\"metrics\"");
+            return res.status(401).type("text/plain").send("Unauthorized\n");
+        }
+
+        res.set("Cache-Control", "no-store");
+        res.type("text/plain; version=0.0.4; charset=utf-8").send(registry.render());
+    }
+
+    return {
+        registry,
+        recordUpgradeFailure,
+        httpMiddleware,
+        metricsRoute
+    };
+}
+
+export {
+    createProxyMetrics
+};
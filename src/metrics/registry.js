@@ -0,0 +1,126 @@
+/**
+ * Minimal Prometheus Metrics Registry
+ *
+ * Implements just enough of the text exposition format (version 0.0.4) for
+ * counters and gauges with labels:
+ *
+ *   # HELP http_requests_total HTTP requests handled
+ *   # TYPE http_requests_total counter
+ *   http_requests_total{route="/api/health",status="200"} 42
+ *
+ * Gauges may be given a `collect` callback so that values which already live
+ * elsewhere (socket counts, memory usage) are read at scrape time instead of
+ * being pushed on every change.
+ */
+
+import { sanitizeUrl, redactText } from "../utils/urlEncoder.js";
+
+// URLs in label values are redacted like in logs (see sanitizeUrl)
+function escapeLabelValue(value) {
+    return redactText(sanitizeUrl(String(value)))
+        .replace(/\\/g, "\\\\")
+        .replace(/\n/g, "\\n")
+        .replace(/"/g, "\\\"");
+}
+
+function labelKey(labels) {
+    return JSON.stringify(Object.keys(labels).sort().map(name => [name, String(labels[name])]));
+}
+
+function formatLabels(labels) {
+    const names = Object.keys(labels);
+    if (names.length === 0) return "";
+    return "{" + names.map(name => `${name}="${escapeLabelValue(labels[name])}"`).join(",") + "}";
+}
+
+class Metric {
+    /**
+     * @param {string} type - "counter" or "gauge"
+     * @param {string} name - Metric name
+     * @param {string} help - Description shown in # HELP
+     * @param {Function} [collect] - Called at scrape time with the metric, to set() fresh values
+     */
+    constructor(type, name, help, collect = null) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.collect = collect;
+        this.series = new Map();
+    }
+
+    getSeries(labels) {
+        const key = labelKey(labels);
+        let series = this.series.get(key);
+        if (!series) {
+            series = { labels: { ...labels }, value: 0 };
+            this.series.set(key, series);
+        }
+        return series;
+    }
+
+    set(labels, value) {
+        this.getSeries(labels).value = value;
+    }
+
+    render() {
+        if (this.collect) {
+            this.collect(this);
+        }
+
+        const lines = [
+            `# HELP ${this.name} ${this.help}`,
+            `# TYPE ${this.name} ${this.type}`
+        ];
+        for (const { labels, value } of this.series.values()) {
+            lines.push(`${this.name}${formatLabels(labels)} ${value}`);
+        }
+        return lines.join("\n");
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help, collect) {
+        super("counter", name, help, collect);
+    }
+
+    inc(labels = {}, amount = 1) {
+        this.getSeries(labels).value += amount;
+    }
+}
+
+class Gauge extends Metric {
+    constructor(name, help, collect) {
+        super("gauge", name, help, collect);
+    }
+}
+
+class Registry {
+    constructor() {
+        this.metrics = [];
+    }
+
+    counter(name, help, collect) {
+        const metric = new Counter(name, help, collect);
+        this.metrics.push(metric);
+        return metric;
+    }
+
+    gauge(name, help, collect) {
+        const metric = new Gauge(name, help, collect);
+        this.metrics.push(metric);
+        return metric;
+    }
+
+    /**
+     * @returns {string} Every metric in text exposition format
+     */
+    render() {
+        return this.metrics.map(metric => metric.render()).join("\n\n") + "\n";
+    }
+}
+
+export {
+    Registry,
+    Counter,
+    Gauge
+};
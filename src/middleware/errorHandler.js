@@ -1,3 +1,5 @@
+import { sanitizeUrl, redactText } from '../utils/urlEncoder.js';
+
 class AppError extends Error {
     constructor(message, statusCode, errorCode, details = null) {
         super(message);
@@ -58,6 +60,15 @@ class NetworkError extends AppError {
                     'The website might be temporarily unavailable'
                 ]
             },
+            'EADDRBLOCKED': {
+                message: 'The website is on a private or local network',
+                code: 'ADDRESS_BLOCKED',
+                explanation: 'The domain name resolves to an address the proxy may not connect to, such as a loopback, private network or cloud metadata address.',
+                suggestions: [
+                    'Check that the domain name is spelled correctly',
+                    'Internal websites cannot be opened through the proxy'
+                ]
+            },
             'ECONNREFUSED': {
                 message: 'Connection was refused by the server',
                 code: 'CONNECTION_REFUSED',
@@ -113,6 +124,44 @@ class NetworkError extends AppError {
     }
 }
 
+class RedirectBlockedError extends AppError {
+    constructor(location, redirects) {
+        super(
+            'The website redirected to an address that is not allowed',
+            403,
+            'REDIRECT_BLOCKED',
+            {
+                location: location,
+                redirects: redirects,
+                explanation: 'Every redirect is checked like the original URL. This one pointed to a private or local address, or was not a valid web address.',
+                suggestions: [
+                    'Open the original website directly',
+                    'Check whether the link is meant to be used from inside a private network'
+                ]
+            }
+        );
+    }
+}
+
+class TooManyRedirectsError extends AppError {
+    constructor(limit, redirects) {
+        super(
+            'The website redirected too many times',
+            502,
+            'TOO_MANY_REDIRECTS',
+            {
+                limit: limit,
+                redirects: redirects,
+                explanation: `The proxy follows at most ${limit} redirects. The website may be redirecting in a loop.`,
+                suggestions: [
+                    'Try again later',
+                    'Open the final address directly, if you know it'
+                ]
+            }
+        );
+    }
+}
+
 class ContentError extends AppError {
     constructor(contentType, reason) {
         super(
@@ -131,6 +180,43 @@ class ContentError extends AppError {
     }
 }
 
+class PayloadTooLargeError extends AppError {
+    constructor(contentType, limit) {
+        super(
+            'The request body is too large to forward',
+            413,
+            'PAYLOAD_TOO_LARGE',
+            {
+                contentType: contentType,
+                limitBytes: limit,
+                explanation: `Request bodies of this type are limited to ${Math.round(limit / 1024)} KB.`,
+                suggestions: [
+                    'Upload a smaller file',
+                    'Shorten the submitted text'
+                ]
+            }
+        );
+    }
+}
+
+class SessionTooLargeError extends AppError {
+    constructor(key) {
+        super(
+            'The session has grown too large to keep',
+            413,
+            'SESSION_TOO_LARGE',
+            {
+                key: key,
+                explanation: 'Session tokens only carry small values, and this one would not fit in its token any more.',
+                suggestions: [
+                    'Start a new session by reloading the page',
+                    'Ask the administrator about the session token size limit'
+                ]
+            }
+        );
+    }
+}
+
 class RateLimitError extends AppError {
     constructor(retryAfter) {
         super(
@@ -150,21 +236,34 @@ class RateLimitError extends AppError {
 }
 
 
+/**
+ * Applies the URL redaction policy to every string in an error's details
+ * (target URLs, redirect chains, upstream error messages)
+ */
+function redactDetails(value) {
+    if (typeof value === 'string') return redactText(value);
+    if (Array.isArray(value)) return value.map(redactDetails);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redactDetails(item)]));
+    }
+    return value;
+}
+
 function middleware(err, req, res, next) {
     let statusCode = err.statusCode || 500;
     let errorCode = err.errorCode || 'INTERNAL_ERROR';
     let message = err.message || 'An unexpected error occurred';
-    let details = err.details || null;
+    let details = redactDetails(err.details || null);
 
     console.error('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
     console.error(`[Error] ${new Date().toISOString()}`);
     console.error(`Code: ${errorCode}`);
-    console.error(`Message: ${message}`);
-    console.error(`Path: ${req.method} ${req.originalUrl}`);
+    console.error(`Message: ${redactText(message)}`);
+    console.error(`Path: ${req.method} ${sanitizeUrl(req.originalUrl)}`);
     console.error(`Session: ${req.sessionId}`);
 
     if (!err.isOperational) {
-        console.error('Stack:', err.stack);
+        console.error('Stack:', redactText(err.stack));
     }
 
     console.error('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
@@ -173,7 +272,7 @@ function middleware(err, req, res, next) {
         success: false,
         error: {
             code: errorCode,
-            message: message,
+            message: redactText(message),
             timestamp: new Date().toISOString()
         }
     };
@@ -182,7 +281,7 @@ function middleware(err, req, res, next) {
         errorResponse.error.details = details;
     }
     if (process.env.NODE_ENV === 'development' && err.stack) {
-        errorResponse.error.stack = err.stack.split('\n');
+        errorResponse.error.stack = redactText(err.stack).split('\n');
     }
 
     if (res.headersSent) {
@@ -198,12 +297,16 @@ function asyncHandler(fn) {
     };
 }
 
-module.exports = {
+export {
     middleware,
     asyncHandler,
     AppError,
     InvalidUrlError,
     NetworkError,
+    RedirectBlockedError,
+    TooManyRedirectsError,
     ContentError,
+    PayloadTooLargeError,
+    SessionTooLargeError,
     RateLimitError
 };
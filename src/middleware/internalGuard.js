@@ -0,0 +1,119 @@
+/**
+ * Internal Listener Guard
+ *
+ * The plain HTTP listener exists for the Cloudflare Worker that fronts the
+ * API, not for the open internet. A request (or WISP upgrade) on it is only
+ * accepted when:
+ *
+ * - it carries the shared secret header the worker adds, or
+ * - it comes from one of the trusted CIDR ranges
+ *
+ * With neither configured, everything on the listener is refused.
+ *
+ * Accepted requests are trusted proxies by definition, so the real client
+ * address is taken from CF-Connecting-IP / X-Forwarded-For for logging, rate
+ * limiting and policy decisions. The secret header is removed before the
+ * request is handed on, so it cannot leak into logs or upstream requests.
+ */
+
+import crypto from "node:crypto";
+import ipaddr from "ipaddr.js";
+import { trustForwardedClientIp } from "../utils/clientIp.js";
+
+function digest(value) {
+    return crypto.createHash("sha256").update(value).digest();
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.header - Name of the shared secret header
+ * @param {string|null} options.secret - Expected header value (null = no secret)
+ * @param {string[]} options.trustedCidrs - Source ranges accepted without the secret
+ * @returns {object} { authorize, rejectRequest, describe }
+ */
+function createInternalGuard({ header, secret, trustedCidrs }) {
+    const headerName = header.toLowerCase();
+    const expectedDigest = secret ? digest(secret) : null;
+    const ranges = trustedCidrs.map(cidr => ipaddr.parseCIDR(cidr));
+
+    function fromTrustedRange(req) {
+        const remote = req.socket?.remoteAddress;
+        if (!remote || !ipaddr.isValid(remote)) return false;
+
+        const address = ipaddr.process(remote);
+        return ranges.some(range => address.kind() === range[0].kind() && address.match(range));
+    }
+
+    function hasSecret(req) {
+        const provided = req.headers[headerName];
+        if (!expectedDigest || typeof provided !== "string") return false;
+        return crypto.timingSafeEqual(digest(provided), expectedDigest);
+    }
+
+    /**
+     * Decides whether a request on the internal listener may proceed, and
+     * switches accepted requests over to the forwarded client address
+     *
+     * @param {http.IncomingMessage} req - Request or upgrade request
+     * @returns {{ok: boolean, reason: string}} reason names how it was (not) accepted
+     */
+    function authorize(req) {
+        let reason = null;
+        if (hasSecret(req)) {
+            reason = "shared secret";
+        } else if (fromTrustedRange(req)) {
+            reason = "trusted range";
+        }
+        delete req.headers[headerName];
+
+        if (!reason) {
+            const configured = expectedDigest !== null || ranges.length > 0;
+            return {
+                ok: false,
+                reason: configured
+                    ? "missing or wrong shared secret, and not from a trusted range"
+                    : "no shared secret or trusted ranges configured"
+            };
+        }
+
+        trustForwardedClientIp(req);
+        return { ok: true, reason };
+    }
+
+    /**
+     * Sends the 403 for a refused plain HTTP request, in the same JSON shape
+     * as the Express error middleware
+     */
+    function rejectRequest(res) {
+        const body = JSON.stringify({
+            success: false,
+            error: {
+                code: "FORBIDDEN",
+                message: "This listener only accepts requests from the proxy frontend",
+                timestamp: new Date().toISOString()
+            }
+        });
+        res.writeHead(403, {
+            "Content-Type": "application/json; charset=utf-8",
+            "Content-Length": Buffer.byteLength(body)
+        });
+        res.end(body);
+    }
+
+    function describe() {
+        const parts = [];
+        if (expectedDigest) parts.push(`${header} header`);
+        if (ranges.length > 0) parts.push(`${ranges.length} trusted range(s)`);
+        return parts.length > 0 ? parts.join(" or ") : "refusing everything (nothing configured)";
+    }
+
+    return {
+        authorize,
+        rejectRequest,
+        describe
+    };
+}
+
+export {
+    createInternalGuard
+};
@@ -0,0 +1,114 @@
+/**
+ * Rate Limiting Module
+ *
+ * TOKEN BUCKET ALGORITHM:
+ * Every client (keyed by IP address) owns a bucket holding up to `burst`
+ * tokens. Each request takes one token, and tokens flow back in at a steady
+ * `perMinute` rate. A client can therefore send a short burst of requests,
+ * but its sustained rate is capped at the refill rate.
+ *
+ * Buckets are created lazily and swept once they have refilled completely,
+ * since a full bucket behaves exactly like a missing one.
+ */
+
+import { RateLimitError } from "./errorHandler.js";
+import { getClientIp } from "../utils/clientIp.js";
+
+// How often idle buckets are swept (in milliseconds)
+const SWEEP_INTERVAL = 60 * 1000;
+
+/**
+ * Creates a token bucket limiter
+ *
+ * @param {object} options
+ * @param {string} options.name - Label used in logs and stats
+ * @param {number} options.burst - Bucket capacity
+ * @param {number} options.perMinute - Tokens refilled per minute
+ * @returns {object} { take, middleware, stats, stop }
+ */
+function createRateLimiter({ name, burst, perMinute }) {
+    const buckets = new Map();
+    const refillPerMs = perMinute / 60000;
+    let rejected = 0;
+
+    function refill(bucket, now) {
+        const elapsed = now - bucket.updatedAt;
+        bucket.tokens = Math.min(burst, bucket.tokens + elapsed * refillPerMs);
+        bucket.updatedAt = now;
+    }
+
+    /**
+     * Takes one token from a client's bucket
+     *
+     * @param {string} key - Client key (usually the IP address)
+     * @param {number} now - Current time in milliseconds
+     * @returns {{allowed: boolean, retryAfter: number}} retryAfter is in seconds
+     */
+    function take(key, now = Date.now()) {
+        let bucket = buckets.get(key);
+        if (!bucket) {
+            bucket = { tokens: burst, updatedAt: now };
+            buckets.set(key, bucket);
+        } else {
+            refill(bucket, now);
+        }
+
+        if (bucket.tokens >= 1) {
+            bucket.tokens -= 1;
+            return { allowed: true, retryAfter: 0 };
+        }
+
+        rejected++;
+        const retryAfter = Math.ceil((1 - bucket.tokens) / refillPerMs / 1000);
+        return { allowed: false, retryAfter: Math.max(retryAfter, 1) };
+    }
+
+    /**
+     * Express middleware that rejects over-limit clients with RateLimitError
+     */
+    function middleware(req, res, next) {
+        const { allowed, retryAfter } = take(getClientIp(req));
+        if (allowed) {
+            return next();
+        }
+
+        res.set("Retry-After", String(retryAfter));
+        next(new RateLimitError(retryAfter));
+    }
+
+    function stats() {
+        return {
+            burst,
+            perMinute,
+            trackedClients: buckets.size,
+            rejected
+        };
+    }
+
+    const sweeper = setInterval(() => {
+        const now = Date.now();
+        for (const [key, bucket] of buckets) {
+            refill(bucket, now);
+            if (bucket.tokens >= burst) {
+                buckets.delete(key);
+            }
+        }
+    }, SWEEP_INTERVAL);
+    sweeper.unref();
+
+    function stop() {
+        clearInterval(sweeper);
+    }
+
+    return {
+        name,
+        take,
+        middleware,
+        stats,
+        stop
+    };
+}
+
+export {
+    createRateLimiter
+};
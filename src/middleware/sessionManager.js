@@ -10,27 +10,35 @@
  * 1. Session ID - A unique identifier for each user session
  *    Generated server-side and sent to the client in response headers
  * 
- * 2. In-Memory Storage - Sessions stored in server RAM
- *    Pros: Fast, simple, no external dependencies
- *    Cons: Lost on server restart, doesn't scale across multiple servers
+ * 2. Session Store - Where sessions are kept (src/session/sessionStore.js)
+ *    Memory: fast and simple, but lost on server restart
+ *    File: an append-only log on disk, so sessions survive restarts
+ *    Either way the number of sessions is capped, evicting the least
+ *    recently used, and neither scales across multiple servers
  * 
  * 3. Session Expiration - Sessions expire after inactivity
  *    Prevents memory leaks and improves security
  * 
- * 4. Stateless Alternative - JWT (JSON Web Tokens)
- *    Store session data in an encoded token sent with each request
- *    We demonstrate the traditional approach here for educational purposes
+ * 4. Stateless Alternative - Session tokens (src/session/sessionTokens.js)
+ *    In token mode the session and all of its data travel, encrypted, in
+ *    X-Session-ID, so any server instance can read them. Data that would
+ *    not fit in a token is refused (or shrunk, see setSessionData). The
+ *    store then caches sessions this instance has seen, and the functions
+ *    below work the same with a token wherever an ID is accepted.
  */
 
-const crypto = require('crypto');
+import crypto from 'node:crypto';
+import { createMemorySessionStore, createFileSessionStore } from '../session/sessionStore.js';
+import { createSessionTokens } from '../session/sessionTokens.js';
+import { SessionTooLargeError } from './errorHandler.js';
 
 // ============================================================================
 // SESSION STORAGE
-// In production, you'd use Redis, Memcached, or a database
+// Sessions live in a pluggable store (see src/session/sessionStore.js).
+// server.js picks the configured one with configureSessions(); until then
+// an in-memory store is used.
 // ============================================================================
 
-const sessions = new Map();
-
 // Session configuration
 const SESSION_CONFIG = {
     // How long before a session expires (in milliseconds)
@@ -40,9 +48,149 @@ const SESSION_CONFIG = {
     cleanupInterval: 5 * 60 * 1000, // 5 minutes
 
     // Header name for session ID
-    headerName: 'X-Session-ID'
+    headerName: 'X-Session-ID',
+
+    // Query parameter for requests that cannot set headers
+    // (images, links and forms inside pages rendered by the HTTP fallback)
+    queryParam: 'sid',
+
+    // Token mode: a token older than this is replaced by a fresh one
+    // (sooner when the session's data changes or the secrets are rotated)
+    tokenRefreshTime: 5 * 60 * 1000 // 5 minutes
 };
 
+let store = createMemorySessionStore({ maxSessions: 10000, onEvict: logEviction });
+
+// Token mode only (see configureSessions)
+let tokens = null;
+
+// Tokens already decoded or issued by this instance -> { sessionId, issuedAt, rotated }
+const knownTokens = new Map();
+const MAX_KNOWN_TOKENS = 10000;
+
+/**
+ * Logs a session dropped because the store is full
+ */
+function logEviction(sessionId) {
+    console.warn(`[Session] Session limit reached, evicted least recently used session: ${sessionId}`);
+}
+
+/**
+ * Replaces the session store with any object implementing the store
+ * interface. Meant to be called once at startup, before requests arrive;
+ * sessions in the previous store are not carried over.
+ * 
+ * @param {object} newStore - Session store
+ */
+function useSessionStore(newStore) {
+    store = newStore;
+}
+
+/**
+ * Sets up sessions from config.sessions: one of the built-in stores, or
+ * token mode
+ * 
+ * @param {object} options
+ * @param {string} options.mode - 'stored' or 'token'
+ * @param {string} options.store - 'memory' or 'file' (stored mode)
+ * @param {string} [options.file] - Session log, for the file store
+ * @param {number} options.maxSessions - Sessions kept before the least recently used is evicted
+ * @param {string[]} [options.tokenSecrets] - Token secrets, newest first (token mode)
+ * @throws {Error} If the file store cannot read its log
+ */
+function configureSessions({ mode = 'stored', store: kind, file, maxSessions, tokenSecrets = [] }) {
+    if (mode === 'token') {
+        tokens = createSessionTokens({ secrets: tokenSecrets });
+        // Only a cache here: an evicted session comes back with its next token
+        useSessionStore(createMemorySessionStore({ maxSessions }));
+        return;
+    }
+
+    tokens = null;
+    const options = { maxSessions, onEvict: logEviction };
+    useSessionStore(kind === 'file'
+        ? createFileSessionStore({ filePath: file, ...options })
+        : createMemorySessionStore(options));
+}
+
+// ============================================================================
+// SESSION TOKENS
+// ============================================================================
+
+function rememberToken(token, sessionId, issuedAt, rotated) {
+    knownTokens.set(token, { sessionId, issuedAt, rotated });
+    if (knownTokens.size > MAX_KNOWN_TOKENS) {
+        knownTokens.delete(knownTokens.keys().next().value);
+    }
+}
+
+/**
+ * Finds a session by ID or, in token mode, by token. A token is decoded
+ * once; if this instance has seen the session since the token was issued,
+ * its own copy is newer and wins.
+ * 
+ * @param {string} reference - Session ID or token
+ * @returns {object|null} The session, or null if unknown or invalid
+ */
+function lookup(reference) {
+    if (!reference) return null;
+    if (!tokens?.isToken(reference)) return store.get(reference);
+
+    const known = knownTokens.get(reference);
+    const cached = known && store.get(known.sessionId);
+    if (cached) return cached;
+
+    const verified = tokens.verify(reference);
+    if (!verified) return null;
+
+    const { session, issuedAt, rotated } = verified;
+    rememberToken(reference, session.id, issuedAt, rotated);
+
+    const local = store.get(session.id);
+    if (local && local.lastAccessTimestamp >= session.lastAccessTimestamp) {
+        return local;
+    }
+    store.set(session.id, session);
+    return session;
+}
+
+function issueToken(session) {
+    const token = tokens.issue(session);
+    rememberToken(token, session.id, Date.now(), false);
+    return token;
+}
+
+/**
+ * What a client should send back to stay in the request's session: the
+ * session ID, or in token mode a token carrying the session as it is now.
+ * Use it for session references embedded in responses (sid= in rewritten
+ * links); the X-Session-ID response header is set by the middleware.
+ * 
+ * @param {Request} req - Express request that went through the middleware
+ * @returns {string} Session ID or token
+ */
+function sessionReference(req) {
+    if (!tokens) return req.sessionId;
+
+    const data = JSON.stringify(req.session.data);
+    if (!req.sessionToken || req.sessionToken.data !== data) {
+        req.sessionToken = { token: issueToken(req.session), data };
+    }
+    return req.sessionToken.token;
+}
+
+/**
+ * Runs a callback right before the response headers are written
+ */
+function beforeHeaders(res, callback) {
+    const writeHead = res.writeHead;
+    res.writeHead = function (...args) {
+        res.writeHead = writeHead;
+        callback();
+        return writeHead.apply(this, args);
+    };
+}
+
 // ============================================================================
 // SESSION FUNCTIONS
 // ============================================================================
@@ -81,14 +229,14 @@ function createSession() {
         data: {} // Extensible data storage
     };
 
-    sessions.set(sessionId, session);
+    store.set(sessionId, session);
 
     console.log(`[Session] Created new session: ${sessionId}`);
     return session;
 }
 
 /**
- * Retrieves a session by ID
+ * Retrieves a session by ID (or token, in token mode)
  * Updates the last access time if found
  * 
  * @param {string} sessionId - The session ID to look up
@@ -97,7 +245,7 @@ function createSession() {
 function getSession(sessionId) {
     if (!sessionId) return null;
 
-    const session = sessions.get(sessionId);
+    const session = lookup(sessionId);
 
     if (!session) {
         return null;
@@ -107,8 +255,8 @@ function getSession(sessionId) {
 
     // Check if session has expired
     if (now - session.lastAccessTimestamp > SESSION_CONFIG.expirationTime) {
-        console.log(`[Session] Session expired: ${sessionId}`);
-        sessions.delete(sessionId);
+        console.log(`[Session] Session expired: ${session.id}`);
+        store.delete(session.id);
         return null;
     }
 
@@ -116,6 +264,7 @@ function getSession(sessionId) {
     session.lastAccess = new Date(now).toISOString();
     session.lastAccessTimestamp = now;
     session.requestCount++;
+    store.touch(session.id, session);
 
     return session;
 }
@@ -126,9 +275,9 @@ function getSession(sessionId) {
  * @param {string} sessionId - The session ID to destroy
  */
 function destroySession(sessionId) {
-    if (sessions.has(sessionId)) {
-        sessions.delete(sessionId);
-        console.log(`[Session] Destroyed session: ${sessionId}`);
+    const session = lookup(sessionId);
+    if (session && store.delete(session.id)) {
+        console.log(`[Session] Destroyed session: ${session.id}`);
     }
 }
 
@@ -138,11 +287,38 @@ function destroySession(sessionId) {
  * @param {string} sessionId - The session ID
  * @param {string} key - The data key
  * @param {any} value - The data value
+ * @param {object} [options]
+ * @param {Function} [options.shrink] - In token mode, called while the value
+ *        does not fit in the token; returns a smaller value to try, or null
+ *        once there is nothing left to drop
+ * @throws {SessionTooLargeError} In token mode, if the session would no
+ *         longer fit in its token (the data is left unchanged)
  */
-function setSessionData(sessionId, key, value) {
-    const session = sessions.get(sessionId);
+function setSessionData(sessionId, key, value, { shrink = null } = {}) {
+    const session = lookup(sessionId);
     if (session) {
+        const hadKey = key in session.data;
+        const previous = session.data[key];
         session.data[key] = value;
+
+        let shrunk = false;
+        while (tokens && !tokens.fits(session)) {
+            const smaller = shrink ? shrink(session.data[key]) : null;
+            if (smaller === null) {
+                if (hadKey) {
+                    session.data[key] = previous;
+                } else {
+                    delete session.data[key];
+                }
+                throw new SessionTooLargeError(key);
+            }
+            session.data[key] = smaller;
+            shrunk = true;
+        }
+        if (shrunk) {
+            console.warn(`⚠️ [Session] Shrunk "${key}" of session ${session.id} to fit its token`);
+        }
+        store.set(session.id, session);
     }
 }
 
@@ -154,10 +330,30 @@ function setSessionData(sessionId, key, value) {
  * @returns {any} The stored value or undefined
  */
 function getSessionData(sessionId, key) {
-    const session = sessions.get(sessionId);
+    const session = lookup(sessionId);
     return session?.data[key];
 }
 
+/**
+ * Returns the session's key for the 'aes-gcm' URL codec (see urlEncoder.js),
+ * creating it on first use. URLs encrypted with it can only be decoded
+ * within the same session.
+ * 
+ * @param {string} sessionId - The session ID
+ * @returns {Buffer|null} 256-bit key, or null if the session does not exist
+ */
+function getUrlKey(sessionId) {
+    const session = lookup(sessionId);
+    if (!session) return null;
+
+    // Kept as Base64 so session data stays plain JSON
+    if (!session.data.urlKey) {
+        session.data.urlKey = crypto.randomBytes(32).toString('base64');
+        store.set(session.id, session);
+    }
+    return Buffer.from(session.data.urlKey, 'base64');
+}
+
 /**
  * Gets session statistics (for monitoring)
  * 
@@ -165,7 +361,9 @@ function getSessionData(sessionId, key) {
  */
 function getStats() {
     return {
-        activeSessions: sessions.size,
+        mode: tokens ? 'token' : 'stored',
+        activeSessions: store.size(),
+        store: store.stats(),
         config: {
             expirationMinutes: SESSION_CONFIG.expirationTime / 60000
         }
@@ -180,35 +378,45 @@ function getStats() {
  * Express middleware for session management
  * 
  * This middleware:
- * 1. Checks for existing session ID in request header
+ * 1. Checks for existing session ID in request header (or query parameter)
  * 2. Validates the session if it exists
  * 3. Creates a new session if needed
  * 4. Attaches session ID to the request for use in route handlers
- * 5. Adds session ID to response headers
+ * 5. Adds session ID (or in token mode, the token) to response headers
  */
 function middleware(req, res, next) {
-    // Try to get existing session ID from header
-    let sessionId = req.get(SESSION_CONFIG.headerName);
+    // Try to get existing session ID from header, then from the query
+    const presented = req.get(SESSION_CONFIG.headerName) || req.query[SESSION_CONFIG.queryParam];
     let session = null;
 
-    if (sessionId) {
+    if (presented) {
         // Validate existing session
-        session = getSession(sessionId);
+        session = getSession(presented);
     }
 
     if (!session) {
         // Create new session
         session = createSession();
-        sessionId = session.id;
     }
 
     // Attach session ID to request for use in route handlers
-    req.sessionId = sessionId;
+    req.sessionId = session.id;
     req.session = session;
 
-    // Add session ID to response headers
-    if (!res.headersSent) {
-        res.set(SESSION_CONFIG.headerName, sessionId);
+    if (tokens) {
+        // The presented token is sent back as long as it is recent, issued
+        // with the current secret and the session's data has not changed
+        const known = knownTokens.get(presented);
+        const fresh = known && known.sessionId === session.id && !known.rotated &&
+            Date.now() - known.issuedAt < SESSION_CONFIG.tokenRefreshTime;
+        if (fresh) {
+            req.sessionToken = { token: presented, data: JSON.stringify(session.data) };
+        }
+        // Written last, so the token carries what the request changed
+        beforeHeaders(res, () => res.setHeader(SESSION_CONFIG.headerName, sessionReference(req)));
+    } else if (!res.headersSent) {
+        // Add session ID to response headers
+        res.set(SESSION_CONFIG.headerName, session.id);
     }
 
     next();
@@ -219,13 +427,13 @@ function middleware(req, res, next) {
 // Periodically remove expired sessions to prevent memory leaks
 // ============================================================================
 
-setInterval(() => {
+const cleanupTimer = setInterval(() => {
     const now = Date.now();
     let cleaned = 0;
 
-    for (const [sessionId, session] of sessions) {
+    for (const [sessionId, session] of store.scan()) {
         if (now - session.lastAccessTimestamp > SESSION_CONFIG.expirationTime) {
-            sessions.delete(sessionId);
+            store.delete(sessionId);
             cleaned++;
         }
     }
@@ -235,13 +443,32 @@ setInterval(() => {
     }
 }, SESSION_CONFIG.cleanupInterval);
 
-module.exports = {
+// Must not keep the process alive on its own (e.g. during shutdown)
+cleanupTimer.unref();
+
+/**
+ * Stops the cleanup routine and closes the store, writing out anything it
+ * has not saved yet. Called once the server has stopped.
+ * 
+ * @returns {Promise<void>}
+ */
+function stopSessions() {
+    clearInterval(cleanupTimer);
+    return store.close();
+}
+
+export {
     middleware,
     createSession,
     getSession,
     destroySession,
     setSessionData,
     getSessionData,
+    getUrlKey,
+    sessionReference,
     getStats,
+    configureSessions,
+    useSessionStore,
+    stopSessions,
     SESSION_CONFIG
 };
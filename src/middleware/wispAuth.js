@@ -0,0 +1,186 @@
+/**
+ * WISP Upgrade Authentication Module
+ *
+ * The WISP endpoint gives whoever connects to it a raw TCP tunnel, so it must
+ * not be open to anyone who discovers the URL. Clients first call
+ * GET /api/token and receive a short-lived token, then pass it as the
+ * `?token=` query parameter when opening the WebSocket (browsers cannot set
+ * custom headers on WebSocket handshakes).
+ *
+ * TOKEN FORMAT:
+ *   base64url(JSON payload) + "." + base64url(HMAC-SHA256(payload))
+ *
+ * The payload carries the origin the token was issued to (`o`), its expiry in
+ * milliseconds (`exp`) and a random nonce (`n`). Because the signature covers
+ * the origin, a token copied out of one site cannot be replayed from another.
+ */
+
+import crypto from "node:crypto";
+
+// ============================================================================
+// ENCODING HELPERS
+// ============================================================================
+
+function toBase64Url(buffer) {
+    return Buffer.from(buffer).toString("base64url");
+}
+
+function fromBase64Url(value) {
+    return Buffer.from(value, "base64url");
+}
+
+/**
+ * Reconstructs the origin a same-origin request came from
+ * Browsers omit the Origin header on same-origin GET requests, so the token
+ * route falls back to the scheme and host the request arrived on.
+ */
+function requestOrigin(req) {
+    if (req.headers.origin) {
+        return req.headers.origin;
+    }
+    const forwardedProto = req.headers["x-forwarded-proto"]?.split(",")[0].trim();
+    const protocol = forwardedProto || (req.socket.encrypted ? "https" : "http");
+    return `${protocol}://${req.headers.host}`;
+}
+
+// ============================================================================
+// FACTORY
+// ============================================================================
+
+/**
+ * Creates the token issuer/verifier used by server.js
+ *
+ * @param {object} options
+ * @param {string|null} options.secret - HMAC secret; a random one is generated when null
+ * @param {number} options.tokenTtlSeconds - How long an issued token stays valid
+ * @param {string[]} options.allowedOrigins - Cross-origin sites allowed to request tokens
+ * @returns {object} { issueToken, verifyToken, tokenRoute, authenticateUpgrade, ephemeralSecret }
+ */
+function createWispAuth({ secret, tokenTtlSeconds, allowedOrigins }) {
+    const key = secret ? Buffer.from(secret, "utf-8") : crypto.randomBytes(32);
+
+    function sign(payload) {
+        return crypto.createHmac("sha256", key).update(payload).digest();
+    }
+
+    /**
+     * Issues a token bound to the given origin
+     *
+     * @param {string} origin - Origin the token may be used from
+     * @param {number} now - Current time in milliseconds
+     * @returns {{token: string, expiresAt: number}}
+     */
+    function issueToken(origin, now = Date.now()) {
+        const expiresAt = now + tokenTtlSeconds * 1000;
+        const payload = toBase64Url(JSON.stringify({
+            o: origin,
+            exp: expiresAt,
+            n: toBase64Url(crypto.randomBytes(9))
+        }));
+
+        return {
+            token: `${payload}.${toBase64Url(sign(payload))}`,
+            expiresAt
+        };
+    }
+
+    /**
+     * Checks a token's signature, expiry and origin binding
+     *
+     * @param {string} token - Token taken from the upgrade URL
+     * @param {string} origin - Origin header of the upgrade request
+     * @param {number} now - Current time in milliseconds
+     * @returns {{valid: boolean, reason?: string}}
+     */
+    function verifyToken(token, origin, now = Date.now()) {
+        if (!token) {
+            return { valid: false, reason: "missing token" };
+        }
+
+        const [payload, signature, extra] = token.split(".");
+        if (!payload || !signature || extra !== undefined) {
+            return { valid: false, reason: "malformed token" };
+        }
+
+        const expected = sign(payload);
+        const provided = fromBase64Url(signature);
+        if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+            return { valid: false, reason: "bad signature" };
+        }
+
+        let claims;
+        try {
+            claims = JSON.parse(fromBase64Url(payload).toString("utf-8"));
+        } catch (err) {
+            return { valid: false, reason: "malformed token" };
+        }
+
+        if (typeof claims.exp !== "number" || claims.exp <= now) {
+            return { valid: false, reason: "expired token" };
+        }
+        if (claims.o !== origin) {
+            return { valid: false, reason: `token issued for ${claims.o}, used from ${origin}` };
+        }
+
+        return { valid: true };
+    }
+
+    /**
+     * Express handler for GET /api/token
+     * Only the allowed cross-origin sites and the server's own origin get tokens.
+     */
+    function tokenRoute(req, res) {
+        const origin = requestOrigin(req);
+        const sameOrigin = !req.headers.origin;
+
+        if (!sameOrigin && !allowedOrigins.includes(origin)) {
+            return res.status(403).json({
+                success: false,
+                error: {
+                    code: "ORIGIN_NOT_ALLOWED",
+                    message: "This origin may not request WISP tokens",
+                    timestamp: new Date().toISOString()
+                }
+            });
+        }
+
+        const { token, expiresAt } = issueToken(origin);
+
+        res.set("Cache-Control", "no-store");
+        res.json({
+            token,
+            expiresAt: new Date(expiresAt).toISOString(),
+            expiresIn: tokenTtlSeconds
+        });
+    }
+
+    /**
+     * Validates an upgrade request and strips the token from its URL
+     * wisp-js routes on the raw path, so the query string must be removed
+     * before the request is handed over.
+     *
+     * @param {http.IncomingMessage} req - The upgrade request
+     * @returns {{ok: boolean, reason?: string}}
+     */
+    function authenticateUpgrade(req) {
+        const url = new URL(req.url, "http://localhost");
+        const result = verifyToken(url.searchParams.get("token"), req.headers.origin);
+
+        url.searchParams.delete("token");
+        req.url = url.pathname + url.search;
+
+        return result.valid ? { ok: true } : { ok: false, reason: result.reason };
+    }
+
+    return {
+        issueToken,
+        verifyToken,
+        tokenRoute,
+        authenticateUpgrade,
+        ephemeralSecret: !secret
+    };
+}
+
+export {
+    createWispAuth
+};
@@ -0,0 +1,309 @@
+/**
+ * Egress Policy Module
+ *
+ * Decides which destinations the WISP server may open streams to. Rules come
+ * from an optional JSON policy file:
+ *
+ *   {
+ *     "allow": ["*.wikipedia.org", "example.com", "203.0.113.0/24"],
+ *     "deny":  ["*.tiktok.com", "198.51.100.7"]
+ *   }
+ *
+ * RULE TYPES:
+ * - Exact host:     "example.com"      matches only that name
+ * - Wildcard host:  "*.example.com"    matches any subdomain (not the apex)
+ * - IP or CIDR:     "10.1.2.3", "2001:db8::/32" match the resolved address
+ *
+ * EVALUATION ORDER:
+ * 1. Built-in blocks (loopback, RFC1918, link-local, cloud metadata, ...,
+ *    see addressClassifier.js) always apply to the resolved address and
+ *    cannot be allowed back in
+ * 2. Any matching deny rule blocks the stream
+ * 3. If allow rules exist, the host or its address must match one of them
+ *
+ * Checks run after DNS resolution, and the address that passed is the one the
+ * stream connects to, so a name cannot be re-pointed between check and use.
+ */
+
+import { readFileSync } from "node:fs";
+import dns from "node:dns";
+import ipaddr from "ipaddr.js";
+import { parseAddress, classifyAddress, classifyHostname, blockedError } from "../utils/addressClassifier.js";
+
+// ============================================================================
+// RULE PARSING
+// ============================================================================
+
+function normalizeHostname(hostname) {
+    return hostname.trim().toLowerCase().replace(/\.$/, "");
+}
+
+function parseRule(text) {
+    if (typeof text !== "string" || text.trim() === "") {
+        throw new Error(`rule must be a non-empty string (got ${JSON.stringify(text)})`);
+    }
+    const rule = text.trim();
+
+    if (rule.includes("/")) {
+        try {
+            const [network, prefix] = ipaddr.parseCIDR(rule);
+            return { type: "cidr", text: rule, range: [network, prefix] };
+        } catch (err) {
+            throw new Error(`"${rule}" is not a valid CIDR range`);
+        }
+    }
+
+    if (ipaddr.isValid(rule)) {
+        const address = ipaddr.process(rule);
+        const prefix = address.kind() === "ipv4" ? 32 : 128;
+        return { type: "cidr", text: rule, range: [address, prefix] };
+    }
+
+    const hostname = normalizeHostname(rule);
+    if (hostname.startsWith("*.")) {
+        return { type: "wildcard", text: rule, suffix: hostname.slice(1) };
+    }
+    if (hostname.includes("*")) {
+        throw new Error(`"${rule}" - wildcards are only supported as a leading "*."`);
+    }
+    return { type: "host", text: rule, hostname };
+}
+
+function matchesHost(rule, hostname) {
+    if (rule.type === "host") return rule.hostname === hostname;
+    if (rule.type === "wildcard") return hostname.endsWith(rule.suffix);
+    return false;
+}
+
+function matchesAddress(rule, address) {
+    if (rule.type !== "cidr" || !address) return false;
+    const [network] = rule.range;
+    return address.kind() === network.kind() && address.match(rule.range);
+}
+
+function parsePolicyFile(filePath) {
+    const raw = JSON.parse(readFileSync(filePath, "utf-8"));
+    if (raw === null || typeof raw !== "object" || Array.isArray(raw)) {
+        throw new Error("policy file must contain a JSON object");
+    }
+
+    for (const key of Object.keys(raw)) {
+        if (key !== "allow" && key !== "deny") {
+            throw new Error(`unknown policy key "${key}" (expected "allow" and/or "deny")`);
+        }
+    }
+
+    const parseList = (name) => {
+        const list = raw[name] ?? [];
+        if (!Array.isArray(list)) {
+            throw new Error(`"${name}" must be an array of rules`);
+        }
+        return list.map((text, index) => {
+            try {
+                return parseRule(text);
+            } catch (err) {
+                throw new Error(`${name}[${index}]: ${err.message}`);
+            }
+        });
+    };
+
+    return { allow: parseList("allow"), deny: parseList("deny") };
+}
+
+// ============================================================================
+// FACTORY
+// ============================================================================
+
+/**
+ * Creates an egress policy, loading the policy file if one is configured
+ *
+ * @param {object} options
+ * @param {string|null} options.policyFile - Path to the JSON policy file
+ * @param {string[]|null} options.dnsServers - Resolvers to use (system DNS when null)
+ * @returns {object} Policy with evaluate/lookup/reload and wisp-js hooks
+ * @throws {Error} If the policy file cannot be loaded at startup
+ */
+function createEgressPolicy({ policyFile, dnsServers }) {
+    let rules = policyFile ? parsePolicyFile(policyFile) : { allow: [], deny: [] };
+    let loadedAt = new Date();
+
+    // Without configured servers, names go through getaddrinfo like any other
+    // program's (/etc/hosts, search domains, internal DNS)
+    let resolver = null;
+    if (dnsServers) {
+        resolver = new dns.promises.Resolver();
+        resolver.setServers(dnsServers);
+    }
+
+    function builtinBlock(hostname, address) {
+        const name = classifyHostname(hostname);
+        if (!name.allowed && !name.address) {
+            return `builtin:${name.reason}`;
+        }
+        if (!address) return null;
+
+        const decision = classifyAddress(address);
+        return decision.allowed ? null : `builtin:${decision.reason}`;
+    }
+
+    /**
+     * Evaluates a destination against the built-in blocks and loaded rules
+     *
+     * @param {string} hostname - Destination name (or IP literal)
+     * @param {string|null} addressText - Resolved address, when known
+     * @returns {{allowed: boolean, rule: string|null}} rule names the deciding rule
+     */
+    function evaluate(hostname, addressText = null) {
+        const host = normalizeHostname(hostname);
+        const address = parseAddress(addressText ?? host);
+
+        const builtin = builtinBlock(host, address);
+        if (builtin) {
+            return { allowed: false, rule: builtin };
+        }
+
+        for (const rule of rules.deny) {
+            if (matchesHost(rule, host) || matchesAddress(rule, address)) {
+                return { allowed: false, rule: `deny:${rule.text}` };
+            }
+        }
+
+        if (rules.allow.length === 0) {
+            return { allowed: true, rule: null };
+        }
+        for (const rule of rules.allow) {
+            if (matchesHost(rule, host) || matchesAddress(rule, address)) {
+                return { allowed: true, rule: `allow:${rule.text}` };
+            }
+        }
+        return { allowed: false, rule: "not in allow list" };
+    }
+
+    function logDenied(hostname, address, rule) {
+        const target = address && address !== hostname ? `${hostname} (${address})` : hostname;
+        console.warn(`⛔ [Egress] Denied stream to ${target} - matched ${rule}`);
+    }
+
+    async function resolveAll(hostname) {
+        if (!resolver) {
+            const entries = await dns.promises.lookup(hostname, { all: true });
+            return entries.map(entry => entry.address);
+        }
+
+        const [v4, v6] = await Promise.allSettled([
+            resolver.resolve4(hostname),
+            resolver.resolve6(hostname)
+        ]);
+        const addresses = [
+            ...(v4.status === "fulfilled" ? v4.value : []),
+            ...(v6.status === "fulfilled" ? v6.value : [])
+        ];
+
+        if (addresses.length === 0) {
+            throw v4.reason || v6.reason || new Error(`ENOTFOUND ${hostname}`);
+        }
+        return addresses;
+    }
+
+    /**
+     * DNS hook for wisp-js (options.dns_method)
+     * Every resolved address must pass; the first one is returned and becomes
+     * the address the stream connects to.
+     *
+     * wisp-js calls this twice per stream, once in its filter and again when
+     * the socket connects, and only caches answers briefly. A denied name
+     * therefore throws rather than returning a placeholder address, so the
+     * stream fails on whichever call sees the denial.
+     *
+     * @param {string} hostname - Name requested by the client
+     * @returns {Promise<string>} The pinned address
+     * @throws {Error} EADDRBLOCKED if any address is denied
+     */
+    async function lookup(hostname) {
+        const addresses = await resolveAll(hostname);
+
+        for (const address of addresses) {
+            const decision = evaluate(hostname, address);
+            if (!decision.allowed) {
+                logDenied(hostname, address, decision.rule);
+                throw blockedError(hostname, address, decision.rule);
+            }
+        }
+
+        return addresses[0];
+    }
+
+    /**
+     * Name check for wisp-js (an entry in options.hostname_blacklist)
+     * Runs before DNS, so only IP literals get their address rules applied
+     * here; names are checked again with their addresses in lookup().
+     */
+    const hostnameFilter = {
+        test(hostname) {
+            const host = normalizeHostname(hostname);
+            const isLiteral = ipaddr.isValid(host);
+            const decision = evaluate(host);
+
+            // Names are only refused here for host rules; the allow list is
+            // settled once the address is known
+            const refuse = isLiteral
+                ? !decision.allowed
+                : !decision.allowed && decision.rule !== "not in allow list";
+
+            if (refuse) {
+                logDenied(host, null, decision.rule);
+            }
+            return refuse;
+        }
+    };
+
+    /**
+     * Re-reads the policy file (e.g. on SIGHUP)
+     * Open streams are untouched; a broken file keeps the previous rules.
+     *
+     * @returns {boolean} Whether the new rules were applied
+     */
+    function reload() {
+        if (!policyFile) {
+            console.log("ℹ️ [Egress] No policy file configured, nothing to reload");
+            return false;
+        }
+
+        try {
+            rules = parsePolicyFile(policyFile);
+            loadedAt = new Date();
+            console.log(`✅ [Egress] Policy reloaded: ${describe()}`);
+            return true;
+        } catch (err) {
+            console.error(`❌ [Egress] Policy reload failed, keeping previous rules: ${err.message}`);
+            return false;
+        }
+    }
+
+    function describe() {
+        const source = policyFile || "built-in blocks only";
+        return `${rules.allow.length} allow / ${rules.deny.length} deny rules (${source})`;
+    }
+
+    function stats() {
+        return {
+            policyFile,
+            allowRules: rules.allow.length,
+            denyRules: rules.deny.length,
+            loadedAt: loadedAt.toISOString()
+        };
+    }
+
+    return {
+        evaluate,
+        lookup,
+        hostnameFilter,
+        reload,
+        describe,
+        stats
+    };
+}
+
+export {
+    createEgressPolicy
+};
@@ -0,0 +1,279 @@
+/**
+ * WebSocket Relay
+ *
+ * Lets pages rendered through the legacy HTTP proxy open WebSockets. The
+ * injected interceptor turns `new WebSocket("wss://site/socket")` into a
+ * connection to `/api/ws?url=<encoded wss://site/socket>&sid=<session>`,
+ * and the relay opens the real socket and copies messages both ways:
+ *
+ * - the client's subprotocols are offered upstream, and the client's
+ *   handshake only completes once upstream has accepted one, so the page
+ *   sees the protocol the site chose (or an error, as it would directly)
+ * - the session's cookie jar supplies the Cookie header and stores any
+ *   Set-Cookie of the handshake response
+ * - close codes and reasons are passed on in both directions
+ * - a side that reads faster than the other can write is paused
+ *
+ * Relays belong to a proxy session (the `sid` query parameter), so the
+ * endpoint cannot be used without first loading a page.
+ */
+
+import WebSocket, { WebSocketServer } from "ws";
+import { decodeUrl, codecOf, isValidUrl, sanitizeUrl, redactText } from "../utils/urlEncoder.js";
+import { pinnedLookup } from "../utils/addressClassifier.js";
+import { getSession, getSessionData, setSessionData, getUrlKey, SESSION_CONFIG } from "../middleware/sessionManager.js";
+import { createCookieJar } from "../cookies/cookieJar.js";
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const MAX_MESSAGE_BYTES = 10 * 1024 * 1024;
+const HANDSHAKE_TIMEOUT_MS = 10000;
+const MAX_RELAYS_PER_SESSION = 16;
+
+// Pause the reading side while the other side has this much queued
+const HIGH_WATER_BYTES = 4 * 1024 * 1024;
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * The http(s) URL of a ws(s) URL, for validation and cookie matching
+ */
+function toHttpUrl(url) {
+    const parsed = new URL(url);
+    if (parsed.protocol !== "ws:" && parsed.protocol !== "wss:") return null;
+    parsed.protocol = parsed.protocol === "wss:" ? "https:" : "http:";
+    return parsed.href;
+}
+
+/**
+ * A close code that may be sent in a close frame (1005/1006 only describe
+ * how a connection ended and are never sent)
+ */
+function sendableCloseCode(code) {
+    const valid = (code >= 1000 && code <= 1014 && ![1004, 1005, 1006].includes(code)) ||
+        (code >= 3000 && code <= 4999);
+    return valid ? code : 1000;
+}
+
+function rejectUpgrade(socket, statusCode, statusText) {
+    socket.end(`HTTP/1.1 ${statusCode} ${statusText}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+}
+
+/**
+ * Copies messages from one socket to the other, pausing the source while
+ * the destination is backed up
+ */
+function forwardMessages(from, to) {
+    from.on("message", (data, isBinary) => {
+        if (to.readyState !== WebSocket.OPEN) return;
+
+        to.send(data, { binary: isBinary }, () => {
+            if (from.isPaused && to.bufferedAmount < HIGH_WATER_BYTES) {
+                from.resume();
+            }
+        });
+        if (to.bufferedAmount >= HIGH_WATER_BYTES) {
+            from.pause();
+        }
+    });
+
+    from.on("close", (code, reason) => {
+        if (to.readyState === WebSocket.OPEN) {
+            to.close(sendableCloseCode(code), reason);
+        } else if (to.readyState === WebSocket.CONNECTING) {
+            to.terminate();
+        }
+    });
+}
+
+// ============================================================================
+// FACTORY
+// ============================================================================
+
+/**
+ * @param {object} options
+ * @param {string} options.userAgent - User-Agent sent upstream
+ * @returns {object} { handleUpgrade, closeAll, activeCount }
+ */
+function createWebSocketRelay({ userAgent }) {
+    const relays = new Set();
+    const perSession = new Map();
+
+    const server = new WebSocketServer({
+        noServer: true,
+        maxPayload: MAX_MESSAGE_BYTES,
+        perMessageDeflate: false,
+        // The client gets whichever subprotocol the site accepted
+        handleProtocols: (protocols, req) => req.relayProtocol || false
+    });
+
+    function release(sessionId) {
+        const count = (perSession.get(sessionId) || 1) - 1;
+        if (count > 0) {
+            perSession.set(sessionId, count);
+        } else {
+            perSession.delete(sessionId);
+        }
+    }
+
+    /**
+     * Handles an upgrade for /api/ws?url=...&sid=...
+     *
+     * @param {http.IncomingMessage} req - Upgrade request
+     * @param {net.Socket} socket - Client socket
+     * @param {Buffer} head - First packet of the upgraded stream
+     */
+    function handleUpgrade(req, socket, head) {
+        const query = new URL(req.url, "http://localhost").searchParams;
+        const session = getSession(query.get(SESSION_CONFIG.queryParam));
+
+        if (!session) {
+            rejectUpgrade(socket, 401, "Unauthorized");
+            return;
+        }
+        // sid may be a session token; limits and cookies go by the session itself
+        const sessionId = session.id;
+
+        // The interceptor encodes the target like any other proxied URL
+        const encodedUrl = query.get("url");
+        const targetUrl = codecOf(encodedUrl)
+            ? decodeUrl(encodedUrl, { key: codecOf(encodedUrl).requiresKey ? getUrlKey(sessionId) : null })
+            : encodedUrl;
+
+        let httpUrl = null;
+        try {
+            httpUrl = targetUrl ? toHttpUrl(targetUrl) : null;
+        } catch (err) {
+            // Not a URL at all
+        }
+        if (!httpUrl || !isValidUrl(httpUrl)) {
+            rejectUpgrade(socket, 400, "Bad Request");
+            return;
+        }
+
+        if ((perSession.get(sessionId) || 0) >= MAX_RELAYS_PER_SESSION) {
+            rejectUpgrade(socket, 429, "Too Many Requests");
+            return;
+        }
+        perSession.set(sessionId, (perSession.get(sessionId) || 0) + 1);
+
+        // The page's origin, which the site may check; the interceptor sends it along
+        let origin;
+        try {
+            origin = query.get("origin") ? new URL(query.get("origin")).origin : undefined;
+        } catch (err) {
+            origin = undefined;
+        }
+
+        const jar = createCookieJar(getSessionData(sessionId, "cookies") || []);
+        const headers = { "User-Agent": userAgent };
+        const cookie = jar.cookieHeader(httpUrl, { initiatorUrl: origin ?? null, topLevel: false, method: "GET" });
+        if (cookie) {
+            headers.Cookie = cookie;
+        }
+
+        const protocols = (req.headers["sec-websocket-protocol"] || "")
+            .split(",")
+            .map(protocol => protocol.trim())
+            .filter(Boolean);
+
+        const upstream = new WebSocket(targetUrl, protocols, {
+            headers,
+            origin,
+            handshakeTimeout: HANDSHAKE_TIMEOUT_MS,
+            maxPayload: MAX_MESSAGE_BYTES,
+            followRedirects: false,
+            // The target passed isValidUrl(); its resolved address is checked and pinned here
+            lookup: pinnedLookup
+        });
+
+        // Settled once the upstream handshake has succeeded or failed
+        let settled = false;
+        const abandon = () => {
+            if (settled) return;
+            settled = true;
+            release(sessionId);
+            upstream.terminate();
+        };
+        socket.once("close", abandon);
+
+        upstream.once("upgrade", (response) => {
+            const setCookies = response.headers["set-cookie"];
+            if (setCookies && jar.setCookies(setCookies, httpUrl)) {
+                try {
+                    setSessionData(sessionId, "cookies", jar.entries(), { shrink: jar.shrink });
+                } catch (err) {
+                    // The rest of the session leaves no room in its token; the relay itself goes on
+                    console.warn(`⚠️ [Relay] Cookies from ${sanitizeUrl(targetUrl)} not saved: ${err.message}`);
+                }
+            }
+        });
+
+        upstream.once("unexpected-response", (request, response) => {
+            if (settled) return;
+            settled = true;
+            release(sessionId);
+            response.resume();
+            upstream.terminate();
+            rejectUpgrade(socket, 502, "Bad Gateway");
+        });
+
+        upstream.on("error", (err) => {
+            if (settled) return;
+            settled = true;
+            release(sessionId);
+            console.warn(`⚠️ [Relay] ${sanitizeUrl(targetUrl)} failed: ${redactText(err.message)}`);
+            rejectUpgrade(socket, 502, "Bad Gateway");
+        });
+
+        upstream.once("open", () => {
+            settled = true;
+            socket.removeListener("close", abandon);
+            if (socket.destroyed) {
+                release(sessionId);
+                upstream.terminate();
+                return;
+            }
+
+            req.relayProtocol = upstream.protocol;
+            server.handleUpgrade(req, socket, head, (client) => {
+                const relay = { client, upstream };
+                relays.add(relay);
+
+                forwardMessages(client, upstream);
+                forwardMessages(upstream, client);
+                client.on("error", () => upstream.terminate());
+                upstream.on("error", () => client.terminate());
+
+                client.once("close", () => {
+                    relays.delete(relay);
+                    release(sessionId);
+                });
+            });
+        });
+    }
+
+    /**
+     * Closes every relay (both sides), e.g. with 1001 when shutting down
+     */
+    function closeAll(code, reason) {
+        for (const { client, upstream } of relays) {
+            client.close(code, reason);
+            upstream.close(code, reason);
+        }
+    }
+
+    return {
+        handleUpgrade,
+        closeAll,
+        activeCount: () => relays.size
+    };
+}
+
+export {
+    createWebSocketRelay
+};
@@ -0,0 +1,207 @@
+/**
+ * Charset Detection
+ *
+ * Works out how a proxied text body is encoded and decodes it, so that
+ * Shift_JIS, windows-1251, GBK, ... pages reach the rewriters as proper
+ * strings. The order follows what browsers do:
+ *
+ * 1. a byte order mark
+ * 2. the charset parameter of the Content-Type header
+ * 3. the document's own declaration near the start: `<meta charset>` or
+ *    `<meta http-equiv="Content-Type">` for HTML, `@charset` for CSS
+ * 4. a guess: UTF-8 if the bytes are valid UTF-8, windows-1252 otherwise
+ *
+ * Whatever the source charset, the proxy sends the result as UTF-8 (the
+ * rewriters update meta and @charset declarations to say so).
+ */
+
+import { isUtf8 } from "node:buffer";
+import iconv from "iconv-lite";
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+// How far into the body a declaration is looked for (the HTML prescan limit)
+const SNIFF_BYTES = 1024;
+
+const FALLBACK_CHARSET = "windows-1252";
+
+const BYTE_ORDER_MARKS = [
+    { bytes: [0xef, 0xbb, 0xbf], charset: "utf-8" },
+    { bytes: [0xfe, 0xff], charset: "utf-16be" },
+    { bytes: [0xff, 0xfe], charset: "utf-16le" }
+];
+
+// Labels browsers decode differently from their names
+const LABEL_ALIASES = {
+    "iso-8859-1": "windows-1252",
+    "latin1": "windows-1252",
+    "us-ascii": "windows-1252",
+    "ascii": "windows-1252",
+    "x-user-defined": "windows-1252"
+};
+
+const META_TAG = /<meta(?=[\s/])[^>]*>/gi;
+const ATTRIBUTE = /([^\s"'=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+const CHARSET_PARAMETER = /charset\s*=\s*["']?([^;"'\s]+)/i;
+const CSS_CHARSET_RULE = /^@charset "([^"]*)";/;
+
+// ============================================================================
+// DETECTION
+// ============================================================================
+
+/**
+ * Charset for a label, or null when it is unknown
+ */
+function normalizeLabel(label) {
+    if (!label) return null;
+    const normalized = label.trim().toLowerCase();
+    const charset = LABEL_ALIASES[normalized] || normalized;
+    return iconv.encodingExists(charset) ? charset : null;
+}
+
+/**
+ * A label found inside the document itself: a document that could be read
+ * to find it is not UTF-16, whatever it says
+ */
+function declaredLabel(label) {
+    const charset = normalizeLabel(label);
+    return charset && charset.startsWith("utf-16") ? "utf-8" : charset;
+}
+
+function bomCharset(bytes) {
+    const mark = BYTE_ORDER_MARKS.find(({ bytes: prefix }) => prefix.every((byte, i) => bytes[i] === byte));
+    return mark ? mark.charset : null;
+}
+
+function contentTypeCharset(contentType) {
+    const match = CHARSET_PARAMETER.exec(contentType || "");
+    return match ? normalizeLabel(match[1]) : null;
+}
+
+/**
+ * Looks for a charset in the meta tags of the first bytes of a page
+ */
+function prescanHtml(bytes) {
+    const head = bytes.subarray(0, SNIFF_BYTES).toString("latin1").replace(/<!--[\s\S]*?-->/g, "");
+
+    for (const [tag] of head.matchAll(META_TAG)) {
+        const attributes = {};
+        for (const [, name, ...values] of tag.slice(5).matchAll(ATTRIBUTE)) {
+            const key = name.toLowerCase();
+            if (!(key in attributes)) {
+                attributes[key] = values.find(value => value !== undefined) ?? "";
+            }
+        }
+
+        if (attributes.charset) {
+            const charset = declaredLabel(attributes.charset);
+            if (charset) return charset;
+        }
+        if ((attributes["http-equiv"] || "").toLowerCase() === "content-type") {
+            const match = CHARSET_PARAMETER.exec(attributes.content || "");
+            const charset = match ? declaredLabel(match[1]) : null;
+            if (charset) return charset;
+        }
+    }
+    return null;
+}
+
+function cssRuleCharset(bytes) {
+    const match = CSS_CHARSET_RULE.exec(bytes.subarray(0, SNIFF_BYTES).toString("latin1"));
+    return match ? declaredLabel(match[1]) : null;
+}
+
+/**
+ * UTF-8 if the sample is valid UTF-8 (allowing a character cut off at the
+ * end of an incomplete sample), windows-1252 otherwise
+ */
+function guessCharset(bytes, complete) {
+    if (isUtf8(bytes)) return "utf-8";
+    if (!complete) {
+        for (let cut = 1; cut <= 3 && cut < bytes.length; cut++) {
+            if (isUtf8(bytes.subarray(0, bytes.length - cut))) return "utf-8";
+        }
+    }
+    return FALLBACK_CHARSET;
+}
+
+/**
+ * @param {Buffer} bytes - The start of the body (or all of it)
+ * @param {string} contentType - Content-Type response header
+ * @param {object} options
+ * @param {boolean} options.complete - Whether `bytes` is the whole body
+ * @returns {string} Charset name understood by iconv-lite
+ */
+function detectCharset(bytes, contentType, { complete = true } = {}) {
+    const declared = /text\/html|xhtml/i.test(contentType || "")
+        ? prescanHtml(bytes)
+        : /text\/css/i.test(contentType || "") ? cssRuleCharset(bytes) : null;
+
+    return bomCharset(bytes) ??
+        contentTypeCharset(contentType) ??
+        declared ??
+        guessCharset(bytes, complete);
+}
+
+// ============================================================================
+// DECODING
+// ============================================================================
+
+/**
+ * Decodes a whole body held in memory
+ *
+ * @param {Buffer} bytes - Body
+ * @param {string} contentType - Content-Type response header
+ * @returns {object} { text, charset }
+ */
+function decodeText(bytes, contentType) {
+    const charset = detectCharset(bytes, contentType);
+    return { text: iconv.decode(bytes, charset), charset };
+}
+
+/**
+ * Incremental decoder for a body that arrives in chunks. Bytes are held
+ * back until the charset is known: at once for a byte order mark or a
+ * Content-Type charset, otherwise after the first SNIFF_BYTES.
+ *
+ * @param {string} contentType - Content-Type response header
+ * @returns {object} { write(chunk) => string, end() => string }
+ */
+function createTextDecoder(contentType) {
+    const headerCharset = contentTypeCharset(contentType);
+    let decoder = null;
+    let pending = [];
+    let pendingBytes = 0;
+
+    function start(complete) {
+        const sample = Buffer.concat(pending);
+        pending = null;
+        decoder = iconv.getDecoder(detectCharset(sample, contentType, { complete }));
+        return decoder.write(sample);
+    }
+
+    return {
+        write(chunk) {
+            if (decoder) return decoder.write(chunk);
+
+            pending.push(chunk);
+            pendingBytes += chunk.length;
+            // A BOM needs up to three bytes to be recognized
+            const decided = pendingBytes >= 3 &&
+                (headerCharset || bomCharset(Buffer.concat(pending).subarray(0, 3)));
+            return decided || pendingBytes >= SNIFF_BYTES ? start(false) : "";
+        },
+        end() {
+            const text = decoder ? "" : start(true);
+            return text + (decoder.end() || "");
+        }
+    };
+}
+
+export {
+    detectCharset,
+    decodeText,
+    createTextDecoder
+};
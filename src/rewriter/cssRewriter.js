@@ -0,0 +1,36 @@
+/**
+ * CSS Rewriter
+ *
+ * Points the URLs in a stylesheet at the proxy: `url(...)` references
+ * (which also covers `@import url(...)`) and `@import "..."` strings. Used
+ * for proxied stylesheets, `<style>` elements and `style` attributes.
+ *
+ * Stylesheets are sent as UTF-8 whatever they were written in, so a leading
+ * `@charset` rule is changed to match.
+ */
+
+const CHARSET_RULE = /^@charset "[^"]*";/;
+const URL_FUNCTION = /url\(\s*(["']?)([^"')]+)\1\s*\)/gi;
+const IMPORT_STRING = /@import\s+(["'])([^"']+)\1/gi;
+
+/**
+ * @param {string} css - Stylesheet source
+ * @param {Function} rewriteUrl - (url) => proxied URL, or null to keep the original
+ * @returns {string}
+ */
+function rewriteCss(css, rewriteUrl) {
+    return css
+        .replace(CHARSET_RULE, '@charset "utf-8";')
+        .replace(URL_FUNCTION, (match, quote, url) => {
+            const proxied = rewriteUrl(url.trim());
+            return proxied ? `url("${proxied}")` : match;
+        })
+        .replace(IMPORT_STRING, (match, quote, url) => {
+            const proxied = rewriteUrl(url.trim());
+            return proxied ? `@import "${proxied}"` : match;
+        });
+}
+
+export {
+    rewriteCss
+};
@@ -0,0 +1,432 @@
+/**
+ * HTML Rewriter
+ *
+ * Rewrites the URLs of a proxied page so they load through the proxy,
+ * working on htmlparser2's tokens instead of the raw markup:
+ *
+ * - URL attributes are rewritten by name (src, href, action, poster,
+ *   data-src, xlink:href, ...), quoted or not; srcset-style lists, the URL
+ *   of `<meta http-equiv="refresh">`, inline CSS and `<iframe srcdoc>`
+ *   documents get their own handling
+ * - URLs resolve against the document's effective base URL: its first
+ *   `<base href>`, or the document URL when it has none. Exactly one base
+ *   reaches the browser: the page's own (made absolute), or one added by the
+ *   rewriter when the head ends without one
+ * - Inline scripts and `on*` handler attributes point their `location`
+ *   reads at the interceptor's location shim (see jsRewriter.js)
+ * - Subresource Integrity hashes are dropped where the proxy changes the
+ *   bytes (stylesheets, scripts and other rewritten responses)
+ * - The page is always sent as UTF-8, so its meta charset declarations are
+ *   changed to say so
+ * - Comments and everything else pass through untouched
+ *
+ * The rewriter is a Transform stream, so a page is sent on as it arrives
+ * rather than held in memory as one string. It decodes the page in its own
+ * charset (see charset.js).
+ */
+
+import { Transform } from "node:stream";
+import { Parser } from "htmlparser2";
+import { decodeHTMLAttribute, escapeAttribute } from "entities";
+import { rewriteCss } from "./cssRewriter.js";
+import { rewriteScript } from "./jsRewriter.js";
+import { createTextDecoder } from "./charset.js";
+
+// ============================================================================
+// ATTRIBUTE TABLES
+// ============================================================================
+
+// Attributes holding a single URL, with the elements they apply to (null = any)
+const URL_ATTRIBUTES = new Map([
+    ["src", null],
+    ["href", null],
+    ["xlink:href", null],
+    ["data-src", null],
+    ["action", new Set(["form"])],
+    ["formaction", new Set(["button", "input"])],
+    ["poster", new Set(["video"])],
+    ["data", new Set(["object"])],
+    ["background", new Set(["body", "table", "td", "th"])]
+]);
+
+// Attributes holding comma-separated "url descriptor" candidates
+const SRCSET_ATTRIBUTES = new Set(["srcset", "imagesrcset", "data-srcset"]);
+
+// Elements that may appear in <head>; anything else ends it
+const HEAD_ELEMENTS = new Set([
+    "html", "head", "base", "link", "meta", "noscript", "script", "style", "template", "title"
+]);
+
+const VOID_ELEMENTS = new Set([
+    "area", "base", "br", "col", "embed", "hr", "img", "input", "link", "meta",
+    "source", "track", "wbr"
+]);
+
+// Link types whose response the proxy passes through unchanged
+const PASS_THROUGH_DESTINATIONS = new Set(["font", "image", "audio", "video", "track"]);
+
+// <script type> values that are run as JavaScript ("" = no type)
+const SCRIPT_TYPE = /^(|module|(text|application)\/(x-)?(java|ecma)script|text\/jscript)$/;
+
+// ============================================================================
+// URL HELPERS
+// ============================================================================
+
+/**
+ * Absolute http(s) URL for a reference, or null for anything that must not
+ * be proxied (fragments, data:, javascript:, mailto:, ...)
+ *
+ * @param {string} url - Reference as written in the page
+ * @param {string} baseUrl - URL it is relative to
+ * @returns {string|null}
+ */
+function resolveUrl(url, baseUrl) {
+    const reference = url.trim();
+    if (!reference || reference.startsWith("#")) return null;
+
+    try {
+        const resolved = new URL(reference, baseUrl);
+        return resolved.protocol === "http:" || resolved.protocol === "https:" ? resolved.href : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * Rewrites each candidate URL of a srcset value, keeping its descriptors.
+ * URLs may themselves contain commas, so candidates are split the way
+ * browsers split them: a URL runs to the next whitespace, and commas
+ * directly after it end the candidate.
+ */
+function rewriteSrcset(value, rewriteUrl) {
+    const candidates = [];
+    const candidate = /[\s,]*([^\s,][^\s]*)([^,]*)/gy;
+    let match;
+
+    while ((match = candidate.exec(value)) !== null && match[0] !== "") {
+        let [, url, descriptors] = match;
+        const trailingCommas = /,+$/.exec(url);
+        if (trailingCommas) {
+            url = url.slice(0, trailingCommas.index);
+            // The commas ended this candidate; its "descriptors" belong to the next one
+            candidate.lastIndex -= descriptors.length;
+            descriptors = "";
+        }
+        candidates.push((rewriteUrl(url) || url) + descriptors.trimEnd());
+    }
+    return candidates.join(", ");
+}
+
+/**
+ * Rewrites the URL in a refresh directive ("5; url=/next")
+ */
+function rewriteRefresh(value, rewriteUrl) {
+    const match = /^\s*([\d.]+)(?:\s*[;,]\s*|\s+)(?:url\s*=\s*)?(["']?)(.+?)\2\s*$/i.exec(value);
+    if (!match) return value;
+
+    const [, delay, , url] = match;
+    const proxied = rewriteUrl(url);
+    return proxied ? `${delay}; url=${proxied}` : value;
+}
+
+function keepsIntegrity(name, attributes) {
+    if (name !== "link") return false;
+
+    const rel = (attributes.rel || "").toLowerCase().split(/\s+/);
+    return rel.includes("preload") && PASS_THROUGH_DESTINATIONS.has((attributes.as || "").toLowerCase());
+}
+
+// ============================================================================
+// REWRITER
+// ============================================================================
+
+/**
+ * Rewriting state for one document. Markup goes in as text in any chunking;
+ * each call returns the rewritten markup that is complete so far.
+ *
+ * @param {object} options - See createHtmlRewriter()
+ * @returns {object} { write, end }
+ */
+function createDocumentRewriter({ documentUrl, proxyUrl, injection = "" }) {
+    let baseUrl = documentUrl;
+    let injected = false;
+    let basePending = true;
+
+    let output = "";
+    // The last start tag stays open (without its ">") until the next token,
+    // so a tag closed straight away can still be written as self-closing
+    let pendingOpenTag = null;
+    let pendingName = null;
+    let styleText = null;
+    let scriptText = null;
+
+    function rewriteUrl(url) {
+        const resolved = resolveUrl(url, baseUrl);
+        return resolved ? proxyUrl(resolved) : null;
+    }
+
+    function write(markup) {
+        if (pendingOpenTag !== null) {
+            output += pendingOpenTag + ">";
+            pendingOpenTag = null;
+        }
+        output += markup;
+    }
+
+    function openTag(name, attributes) {
+        write("");
+        pendingOpenTag = `<${name}${serializeAttributes(attributes)}`;
+        pendingName = name;
+    }
+
+    function inject() {
+        if (injected) return;
+        injected = true;
+        write(injection);
+    }
+
+    /**
+     * Adds the rewriter's <base> if the page has not supplied one by now
+     */
+    function settleBase() {
+        if (!basePending) return;
+        basePending = false;
+        write(`<base href="${escapeAttribute(baseUrl)}">`);
+    }
+
+    /**
+     * The page's first <base href> becomes the effective base, made absolute
+     * so it means the same thing inside the proxy
+     */
+    function adoptBase(attributes) {
+        const resolved = resolveUrl(attributes.href, documentUrl);
+        if (!resolved) return false;
+
+        baseUrl = resolved;
+        basePending = false;
+        attributes.href = resolved;
+        return true;
+    }
+
+    /**
+     * Rewritten attribute value, or null to drop the attribute
+     */
+    function rewriteAttribute(tagName, name, value, attributes) {
+        if (name === "style") {
+            return rewriteCss(value, rewriteUrl);
+        }
+        if (name.startsWith("on")) {
+            return rewriteScript(value);
+        }
+        if (name === "integrity") {
+            return keepsIntegrity(tagName, attributes) ? value : null;
+        }
+        if (name === "srcdoc" && tagName === "iframe") {
+            // The embedded document resolves URLs against this page's base
+            return rewriteHtml(value, { documentUrl: baseUrl, proxyUrl, injection });
+        }
+        if (name === "content" && tagName === "meta" && httpEquiv(attributes) === "refresh") {
+            return rewriteRefresh(value, rewriteUrl);
+        }
+        if (tagName === "meta" && name === "charset") {
+            return "utf-8";
+        }
+        if (name === "content" && tagName === "meta" && httpEquiv(attributes) === "content-type") {
+            return value.replace(/charset\s*=\s*["']?[^;"'\s]*["']?/i, "charset=utf-8");
+        }
+        if (SRCSET_ATTRIBUTES.has(name)) {
+            return rewriteSrcset(value, rewriteUrl);
+        }
+
+        const elements = URL_ATTRIBUTES.get(name);
+        if (elements !== undefined && (elements === null || elements.has(tagName))) {
+            return rewriteUrl(value) || value;
+        }
+        return value;
+    }
+
+    const parser = new Parser({
+        onprocessinginstruction(name, data) {
+            write(`<${data}>`);
+        },
+
+        onopentag(name, rawAttributes) {
+            const attributes = {};
+            for (const [attribute, value] of Object.entries(rawAttributes)) {
+                attributes[attribute] = decodeHTMLAttribute(value);
+            }
+
+            // The interceptor goes first in the head, or before the first
+            // element when the page has no <head> tag
+            if (name !== "html" && name !== "head") {
+                inject();
+            }
+            if (!HEAD_ELEMENTS.has(name)) {
+                settleBase();
+            }
+
+            if (name === "base" && "href" in attributes) {
+                if (!basePending || !adoptBase(attributes)) {
+                    // Only the first <base href> counts in browsers too
+                    delete attributes.href;
+                }
+            } else if (name === "meta" && httpEquiv(attributes) === "content-security-policy") {
+                // Dropped like the Content-Security-Policy header
+                return;
+            } else {
+                for (const [attribute, value] of Object.entries(attributes)) {
+                    const rewritten = rewriteAttribute(name, attribute, value, attributes);
+                    if (rewritten === null) {
+                        delete attributes[attribute];
+                    } else {
+                        attributes[attribute] = rewritten;
+                    }
+                }
+            }
+
+            openTag(name, attributes);
+            if (name === "head") {
+                inject();
+            } else if (name === "style") {
+                styleText = "";
+            } else if (name === "script" && isJavaScript(attributes)) {
+                scriptText = "";
+            }
+        },
+
+        ontext(text) {
+            if (styleText !== null) {
+                styleText += text;
+            } else if (scriptText !== null) {
+                scriptText += text;
+            } else {
+                write(text);
+            }
+        },
+
+        onclosetag(name, isImplied) {
+            if (name === "style" && styleText !== null) {
+                if (styleText) write(rewriteCss(styleText, rewriteUrl));
+                styleText = null;
+            }
+            if (name === "script" && scriptText !== null) {
+                if (scriptText) write(rewriteScript(scriptText));
+                scriptText = null;
+            }
+            if (name === "head") {
+                settleBase();
+            }
+
+            if (isImplied) {
+                // Closed straight after opening: a self-closing tag, which matters in SVG
+                if (pendingOpenTag !== null && pendingName === name && !VOID_ELEMENTS.has(name)) {
+                    output += pendingOpenTag + "/>";
+                    pendingOpenTag = null;
+                }
+                return;
+            }
+            if (!VOID_ELEMENTS.has(name)) {
+                write(`</${name}>`);
+            }
+        },
+
+        oncomment(data) {
+            write(`<!--${data}-->`);
+        },
+
+        oncdatastart() {
+            write("<![CDATA[");
+        },
+
+        oncdataend() {
+            write("]]>");
+        }
+    }, {
+        decodeEntities: false,
+        recognizeCDATA: true
+    });
+
+    function take() {
+        const markup = output;
+        output = "";
+        return markup;
+    }
+
+    return {
+        write(text) {
+            parser.write(text);
+            return take();
+        },
+        end() {
+            parser.end();
+            inject();
+            settleBase();
+            write("");
+            return take();
+        }
+    };
+}
+
+function isJavaScript(attributes) {
+    return SCRIPT_TYPE.test((attributes.type || "").split(";")[0].trim().toLowerCase());
+}
+
+function httpEquiv(attributes) {
+    return (attributes["http-equiv"] || "").toLowerCase();
+}
+
+function serializeAttributes(attributes) {
+    return Object.entries(attributes)
+        .map(([name, value]) => ` ${name}="${escapeAttribute(value)}"`)
+        .join("");
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.documentUrl - URL the page was fetched from
+ * @param {Function} options.proxyUrl - (absoluteUrl) => URL that loads it through the proxy
+ * @param {string} options.injection - Markup inserted at the start of the head
+ * @param {string} options.contentType - Content-Type of the page, for its charset
+ * @returns {Transform} Takes the page's bytes, emits the rewritten page as UTF-8
+ */
+function createHtmlRewriter(options) {
+    const rewriter = createDocumentRewriter(options);
+    const decoder = createTextDecoder(options.contentType || "text/html");
+
+    return new Transform({
+        transform(chunk, encoding, callback) {
+            try {
+                const markup = rewriter.write(decoder.write(chunk));
+                callback(null, markup || undefined);
+            } catch (err) {
+                callback(err);
+            }
+        },
+        flush(callback) {
+            try {
+                const markup = rewriter.write(decoder.end()) + rewriter.end();
+                callback(null, markup || undefined);
+            } catch (err) {
+                callback(err);
+            }
+        }
+    });
+}
+
+/**
+ * Rewrites a whole document held in memory
+ *
+ * @param {string} html - Page source
+ * @param {object} options - See createHtmlRewriter()
+ * @returns {string}
+ */
+function rewriteHtml(html, options) {
+    const rewriter = createDocumentRewriter(options);
+    return rewriter.write(html) + rewriter.end();
+}
+
+export {
+    createHtmlRewriter,
+    rewriteHtml,
+    resolveUrl
+};
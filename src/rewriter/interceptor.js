@@ -0,0 +1,495 @@
+/**
+ * In-Page Interceptor
+ *
+ * Browser half of the legacy HTTP proxy. The rewriter only sees the markup
+ * a site sends; this script, injected at the top of every proxied page,
+ * keeps what the page's own scripts do on the proxy as well:
+ *
+ * - fetch, XMLHttpRequest and EventSource go through /api/resource
+ * - WebSockets connect to the /api/ws relay
+ * - Workers and SharedWorkers start from a bootstrap that installs the same
+ *   network shims inside the worker before loading the real script
+ * - history.pushState/replaceState, `document.URL` and a Location-like
+ *   `window.__proxyLocation` work with the target URL, and navigations the
+ *   page starts (`location.href = ...`, `location.assign()`) are redirected
+ *   through the proxy via the Navigation API
+ * - `__proxyLocationOf()` hands the location shim to rewritten scripts
+ * - document.cookie is backed by the session's cookie jar
+ * - URL properties and setAttribute() on elements are rewritten
+ *
+ * Every target URL is encoded with the same codec as the server's rewritten
+ * links (see pageCodec.js), so none of them reaches the network in clear
+ * text.
+ *
+ * `window.location` itself cannot be replaced from script (browsers define
+ * it as unforgeable). Instead the server rewrites the page's scripts so
+ * that every `location` they read goes through `__proxyLocationOf()` (see
+ * jsRewriter.js); only code that escapes the rewriting, such as strings
+ * passed to eval(), still sees the proxy's address.
+ *
+ * The functions below never run on the server: their source is inlined
+ * into pages (and worker bootstraps), so they may only use their arguments
+ * and browser globals.
+ */
+
+import { createPageCodec, pageCipherSource } from "./pageCodec.js";
+import { urlEncryptionKey } from "../utils/urlEncoder.js";
+
+// ============================================================================
+// NETWORK SHIMS (pages and workers)
+// ============================================================================
+
+/**
+ * @param {object} scope - window, or self inside a worker
+ * @param {object} config
+ * @param {string} config.proxyBase - Origin of the proxy server
+ * @param {string} config.baseUrl - URL of the page or worker script
+ * @param {string} config.sessionParam - "&sid=..." (or "")
+ * @param {object} config.codec - Link codec, see createPageCodec()
+ * @returns {object} { proxyUrl, resolve, codec }
+ */
+function installNetworkShims(scope, config) {
+    const proxyBase = config.proxyBase;
+    const sessionParam = config.sessionParam;
+    const pageOrigin = new URL(config.baseUrl).origin;
+    const codec = createPageCodec(config.codec);
+
+    // Rewritten scripts wrap what they read as `location` in this; pages
+    // replace it with one that returns their location shim
+    Object.defineProperty(scope, "__proxyLocationOf", { configurable: true, writable: true, value: value => value });
+
+    // The page's own <base> (made absolute by the rewriter) or the page URL
+    function currentBase() {
+        const base = scope.document && scope.document.querySelector("base[href]");
+        return base ? base.href : config.baseUrl;
+    }
+
+    function resolve(url) {
+        return new URL(String(url), currentBase());
+    }
+
+    function proxyUrl(url) {
+        url = String(url);
+        if (/^(data|javascript|blob|about):/i.test(url) || url.startsWith(proxyBase + "/")) {
+            return url;
+        }
+        try {
+            const resolved = resolve(url);
+            if (resolved.protocol !== "http:" && resolved.protocol !== "https:") return url;
+            return proxyBase + "/api/resource?url=" + encodeURIComponent(codec.encode(resolved.href)) + sessionParam;
+        } catch (e) {
+            return url;
+        }
+    }
+
+    // Intercept fetch, keeping method, headers and body
+    const nativeFetch = scope.fetch;
+    scope.fetch = function (resource, init) {
+        if (!(resource instanceof Request)) {
+            return nativeFetch.call(scope, proxyUrl(resource), init);
+        }
+
+        // A Request's body is a stream that cannot be handed to a new Request, so read it first
+        const request = resource;
+        const hasBody = request.method !== "GET" && request.method !== "HEAD";
+        return Promise.resolve(hasBody ? request.clone().arrayBuffer() : undefined).then(body => {
+            return nativeFetch.call(scope, proxyUrl(request.url), Object.assign({
+                method: request.method,
+                headers: request.headers,
+                body: body,
+                credentials: request.credentials,
+                cache: request.cache,
+                redirect: request.redirect,
+                signal: request.signal
+            }, init));
+        });
+    };
+
+    // Intercept XMLHttpRequest (method and body are untouched)
+    if (scope.XMLHttpRequest) {
+        const nativeOpen = scope.XMLHttpRequest.prototype.open;
+        scope.XMLHttpRequest.prototype.open = function (method, url, ...args) {
+            return nativeOpen.call(this, method, proxyUrl(url), ...args);
+        };
+    }
+
+    // Server-sent events stream through /api/resource; `url` reports the target
+    if (scope.EventSource) {
+        const NativeEventSource = scope.EventSource;
+        scope.EventSource = class EventSource extends NativeEventSource {
+            constructor(url, init) {
+                super(proxyUrl(url), init);
+                Object.defineProperty(this, "url", { value: resolve(url).href });
+            }
+        };
+    }
+
+    // WebSockets connect to the relay, which opens the real socket
+    if (scope.WebSocket) {
+        const NativeWebSocket = scope.WebSocket;
+        scope.WebSocket = class WebSocket extends NativeWebSocket {
+            constructor(url, protocols) {
+                const target = resolve(url);
+                if (target.protocol === "http:" || target.protocol === "https:") {
+                    target.protocol = target.protocol === "https:" ? "wss:" : "ws:";
+                }
+                if (target.protocol !== "ws:" && target.protocol !== "wss:") {
+                    throw new DOMException("The URL's scheme must be either 'http', 'https', 'ws', or 'wss'.", "SyntaxError");
+                }
+                const relayUrl = proxyBase.replace(/^http/, "ws") + "/api/ws?url=" + encodeURIComponent(codec.encode(target.href)) +
+                    sessionParam + "&origin=" + encodeURIComponent(pageOrigin);
+                super(relayUrl, protocols);
+                Object.defineProperty(this, "url", { value: target.href });
+            }
+        };
+    }
+
+    // Workers run from a blob that installs these shims first, then loads
+    // the real script through the proxy (modules with import(), so the shims
+    // are in place before the worker's code runs)
+    function workerSource(url, type) {
+        const target = resolve(url).href;
+        const workerConfig = { proxyBase: proxyBase, baseUrl: target, sessionParam: sessionParam, codec: config.codec };
+        const load = type === "module"
+            ? "import(" + JSON.stringify(proxyUrl(target)) + ");"
+            : "importScripts(" + JSON.stringify(proxyUrl(target)) + ");";
+        return loadPageCipher.toString() + "\n" + createPageCodec.toString() + "\n" +
+            "(" + installNetworkShims.toString() + ")(self, " + JSON.stringify(workerConfig) + ");\n" + load;
+    }
+
+    ["Worker", "SharedWorker"].forEach(name => {
+        const NativeWorker = scope[name];
+        if (!NativeWorker) return;
+
+        scope[name] = class extends NativeWorker {
+            constructor(url, options) {
+                if (/^(blob|data):/i.test(String(url))) {
+                    super(url, options);
+                    return;
+                }
+                const type = options && typeof options === "object" ? options.type : undefined;
+                const bootstrap = new Blob([workerSource(url, type)], { type: "text/javascript" });
+                super(URL.createObjectURL(bootstrap), options);
+            }
+        };
+    });
+
+    // Inside workers, importScripts() fetches through the proxy too
+    if (typeof scope.importScripts === "function") {
+        const nativeImportScripts = scope.importScripts;
+        scope.importScripts = function (...urls) {
+            return nativeImportScripts.apply(scope, urls.map(proxyUrl));
+        };
+    }
+
+    return { proxyUrl: proxyUrl, resolve: resolve, codec: codec };
+}
+
+// ============================================================================
+// PAGE SHIMS
+// ============================================================================
+
+/**
+ * @param {object} config - See installNetworkShims(), plus:
+ * @param {string} config.documentCookie - Initial document.cookie value
+ */
+function installInterceptor(config) {
+    const proxyBase = config.proxyBase;
+    const nativeFetch = window.fetch;
+    const network = installNetworkShims(window, config);
+    const proxyUrl = network.proxyUrl;
+
+    // The URL the page believes it is at; moves with pushState and fragment navigation
+    let currentUrl = config.baseUrl;
+
+    function navigateTo(url, replace) {
+        const target = network.resolve(url);
+        const current = new URL(currentUrl);
+        if (target.href.split("#")[0] === current.href.split("#")[0] && target.hash) {
+            location.hash = target.hash;
+        } else if (replace) {
+            location.replace(proxyUrl(target.href));
+        } else {
+            location.href = proxyUrl(target.href);
+        }
+    }
+
+    // ------------------------------------------------------------------------
+    // Location
+    // ------------------------------------------------------------------------
+
+    const locationShim = {
+        assign(url) {
+            navigateTo(url, false);
+        },
+        replace(url) {
+            navigateTo(url, true);
+        },
+        reload() {
+            location.reload();
+        },
+        toString() {
+            return currentUrl;
+        },
+        get ancestorOrigins() {
+            return location.ancestorOrigins;
+        },
+        get origin() {
+            return new URL(currentUrl).origin;
+        }
+    };
+    ["href", "protocol", "host", "hostname", "port", "pathname", "search", "hash"].forEach(part => {
+        Object.defineProperty(locationShim, part, {
+            enumerable: true,
+            get() {
+                return new URL(currentUrl)[part];
+            },
+            set(value) {
+                const target = new URL(currentUrl);
+                target[part] = value;
+                navigateTo(part === "href" ? value : target.href, false);
+            }
+        });
+    });
+    Object.defineProperty(window, "__proxyLocation", { value: locationShim });
+    Object.defineProperty(window, "__proxyLocationOf", {
+        value: value => (value === location ? locationShim : value)
+    });
+
+    ["URL", "documentURI"].forEach(property => {
+        Object.defineProperty(document, property, {
+            configurable: true,
+            get() {
+                return currentUrl;
+            }
+        });
+    });
+
+    // ------------------------------------------------------------------------
+    // History
+    // ------------------------------------------------------------------------
+
+    // Every entry's state carries the target URL it stands for, so popstate
+    // can restore it; the page only ever sees its own state
+    const stateGetter = Object.getOwnPropertyDescriptor(History.prototype, "state").get;
+    const eventStateGetter = Object.getOwnPropertyDescriptor(PopStateEvent.prototype, "state").get;
+
+    function wrapState(state, url) {
+        return { __proxyState: state, __proxyUrl: url };
+    }
+
+    function unwrapState(state) {
+        return state && typeof state === "object" && "__proxyUrl" in state ? state.__proxyState : state;
+    }
+
+    // Documents on the proxy origin can show the proxied URL; srcdoc documents cannot change theirs
+    function historyUrl(target) {
+        return location.protocol === "about:" ? undefined : proxyUrl(target);
+    }
+
+    ["pushState", "replaceState"].forEach(method => {
+        const nativeMethod = History.prototype[method];
+        History.prototype[method] = function (state, title, url) {
+            if (url === undefined || url === null) {
+                return nativeMethod.call(this, wrapState(state, currentUrl), title);
+            }
+
+            const target = network.resolve(url);
+            if (target.origin !== new URL(currentUrl).origin) {
+                throw new DOMException("A history state object with URL '" + target.href +
+                    "' cannot be created in a document with origin '" + new URL(currentUrl).origin + "'.", "SecurityError");
+            }
+            nativeMethod.call(this, wrapState(state, target.href), title, historyUrl(target.href));
+            currentUrl = target.href;
+        };
+    });
+    const nativeReplaceState = History.prototype.replaceState;
+
+    Object.defineProperty(History.prototype, "state", {
+        configurable: true,
+        enumerable: true,
+        get() {
+            return unwrapState(stateGetter.call(this));
+        }
+    });
+    Object.defineProperty(PopStateEvent.prototype, "state", {
+        configurable: true,
+        enumerable: true,
+        get() {
+            return unwrapState(eventStateGetter.call(this));
+        }
+    });
+
+    try {
+        nativeReplaceState.call(history, wrapState(stateGetter.call(history), currentUrl), "");
+    } catch (e) {}
+
+    // Registered before any page script, so currentUrl is up to date for the page's handlers
+    window.addEventListener("popstate", event => {
+        const raw = eventStateGetter.call(event);
+        if (raw && typeof raw === "object" && "__proxyUrl" in raw) {
+            currentUrl = raw.__proxyUrl;
+        } else {
+            const target = new URL(currentUrl);
+            target.hash = location.hash;
+            currentUrl = target.href;
+        }
+    });
+    window.addEventListener("hashchange", () => {
+        const target = new URL(currentUrl);
+        target.hash = location.hash;
+        currentUrl = target.href;
+    });
+
+    // Navigations the page starts itself (location.href = "/next", location.assign(),
+    // window.location = ...) resolve against the site; send them through the proxy
+    if (window.navigation) {
+        window.navigation.addEventListener("navigate", event => {
+            if (!event.cancelable || event.hashChange || event.destination.sameDocument ||
+                event.downloadRequest !== null || event.formData) {
+                return;
+            }
+            const destination = event.destination.url;
+            if (!/^https?:/i.test(destination) || destination.startsWith(proxyBase + "/")) return;
+
+            event.preventDefault();
+            location.href = proxyUrl(destination);
+        });
+    }
+
+    // ------------------------------------------------------------------------
+    // Cookies
+    // ------------------------------------------------------------------------
+
+    // document.cookie backed by the session's cookie jar on the server
+    // (HttpOnly cookies are never included); writes are sent back to the jar
+    const cookieValues = new Map();
+    config.documentCookie.split("; ").forEach(pair => {
+        const eq = pair.indexOf("=");
+        if (pair) cookieValues.set(eq >= 0 ? pair.slice(0, eq) : "", eq >= 0 ? pair.slice(eq + 1) : pair);
+    });
+    Object.defineProperty(document, "cookie", {
+        configurable: true,
+        get() {
+            return Array.from(cookieValues, entry => (entry[0] ? entry[0] + "=" + entry[1] : entry[1])).join("; ");
+        },
+        set(value) {
+            value = String(value);
+            const pair = value.split(";")[0];
+            const eq = pair.indexOf("=");
+            const name = eq >= 0 ? pair.slice(0, eq).trim() : "";
+            const maxAge = /;\s*max-age\s*=\s*(-?\d+)/i.exec(value);
+            const expires = /;\s*expires\s*=\s*([^;]+)/i.exec(value);
+            const expired = maxAge ? Number(maxAge[1]) <= 0 : Boolean(expires && Date.parse(expires[1]) <= Date.now());
+
+            if (expired) {
+                cookieValues.delete(name);
+            } else {
+                cookieValues.set(name, (eq >= 0 ? pair.slice(eq + 1) : pair).trim());
+            }
+            nativeFetch.call(window, proxyBase + "/api/cookies?url=" + encodeURIComponent(network.codec.encode(currentUrl)) + config.sessionParam, {
+                method: "POST",
+                body: value,
+                keepalive: true
+            }).catch(() => {});
+        }
+    });
+
+    // ------------------------------------------------------------------------
+    // Forms and DOM
+    // ------------------------------------------------------------------------
+
+    // GET forms replace the query of their action, which would drop the
+    // ?url= of the rewritten action; build the target URL from the fields instead
+    document.addEventListener("submit", event => {
+        const form = event.target;
+        if (event.defaultPrevented || form.method !== "get") return;
+        try {
+            const action = new URL(form.action);
+            const isProxied = action.origin + action.pathname === proxyBase + "/api/resource";
+            const target = new URL(isProxied ? network.codec.decode(action.searchParams.get("url")) : action.href);
+            target.search = new URLSearchParams(new FormData(form, event.submitter)).toString();
+            event.preventDefault();
+            location.href = proxyUrl(target.href);
+        } catch (e) {}
+    });
+
+    function patchProperty(prototype, property) {
+        const descriptor = Object.getOwnPropertyDescriptor(prototype, property);
+        if (!descriptor || !descriptor.set) return;
+
+        Object.defineProperty(prototype, property, {
+            get: descriptor.get,
+            set(value) {
+                if (typeof value === "string" && value.trim() !== "") {
+                    value = proxyUrl(value);
+                }
+                return descriptor.set.call(this, value);
+            },
+            enumerable: true,
+            configurable: true
+        });
+    }
+
+    if (window.HTMLImageElement) patchProperty(HTMLImageElement.prototype, "src");
+    if (window.HTMLScriptElement) patchProperty(HTMLScriptElement.prototype, "src");
+    if (window.HTMLLinkElement) patchProperty(HTMLLinkElement.prototype, "href");
+    if (window.HTMLAnchorElement) patchProperty(HTMLAnchorElement.prototype, "href");
+    if (window.HTMLMediaElement) patchProperty(HTMLMediaElement.prototype, "src");
+    if (window.HTMLSourceElement) patchProperty(HTMLSourceElement.prototype, "src");
+    if (window.HTMLIFrameElement) patchProperty(HTMLIFrameElement.prototype, "src");
+
+    const nativeSetAttribute = Element.prototype.setAttribute;
+    Element.prototype.setAttribute = function (name, value) {
+        if ((name === "src" || name === "href" || name === "action") && typeof value === "string") {
+            value = proxyUrl(value);
+        }
+        return nativeSetAttribute.call(this, name, value);
+    };
+}
+
+// ============================================================================
+// INJECTION
+// ============================================================================
+
+/**
+ * A value as a JavaScript literal that is safe inside an inline <script>
+ */
+function toScriptLiteral(value) {
+    return JSON.stringify(value).replace(/</g, "\\u003c");
+}
+
+/**
+ * The inline <script> injected at the top of a proxied page
+ *
+ * @param {object} options
+ * @param {string} options.proxyBase - Origin of this server
+ * @param {string} options.baseUrl - URL of the page
+ * @param {string|null} options.sessionId - Session to keep in proxied URLs
+ * @param {object|null} options.encoding - { codec, prefix, key } link encoding
+ *        (null: the plain codec)
+ * @param {string} options.documentCookie - Initial document.cookie value
+ * @returns {string}
+ */
+function interceptorScript({ proxyBase, baseUrl, sessionId = null, encoding = null, documentCookie = "" }) {
+    const config = {
+        proxyBase,
+        baseUrl,
+        sessionParam: sessionId ? "&sid=" + encodeURIComponent(sessionId) : "",
+        codec: encoding
+            ? { name: encoding.codec, prefix: encoding.prefix, key: encoding.key ? urlEncryptionKey(encoding.key).toString("base64") : null }
+            : { name: "plain", prefix: "p1", key: null },
+        documentCookie
+    };
+    return "<script>(function () {\n" +
+        pageCipherSource(config.codec.name) + "\n" +
+        createPageCodec.toString() + "\n" +
+        installNetworkShims.toString() + "\n" +
+        installInterceptor.toString() + "\n" +
+        `installInterceptor(${toScriptLiteral(config)});\n` +
+        "})();</script>";
+}
+
+export {
+    interceptorScript
+};
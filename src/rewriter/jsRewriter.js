@@ -0,0 +1,174 @@
+/**
+ * JavaScript Rewriter
+ *
+ * Browsers do not let a page replace `window.location`, so a proxied script
+ * reading `location.href` would see the proxy's address. Every `location`
+ * a script reads (the bare global, or a `.location` / `["location"]`
+ * member such as `window.location` and `document.location`) is wrapped as
+ * `__proxyLocationOf(...)` instead. The interceptor defines that function:
+ * given the page's real Location it returns the location shim, which
+ * reports the target URL; anything else (a local variable called
+ * `location`, another object's `location` property) comes back unchanged,
+ * so the wrapping needs no scope analysis.
+ *
+ * Used for proxied scripts, inline `<script>` elements and `on*` handler
+ * attributes. Left alone:
+ *
+ * - Assignments to `location` itself (`location = url`), which the
+ *   interceptor's navigation hook already sends through the proxy
+ * - `location` members inside optional chains (`a?.location.href`) and
+ *   called as methods, where the wrapper would change what they do
+ * - Scripts that do not parse, which are sent as they are
+ */
+
+import { Parser } from "acorn";
+
+const WRAPPER = "__proxyLocationOf";
+
+const PARSE_OPTIONS = {
+    ecmaVersion: "latest",
+    allowHashBang: true,
+    // Handler attributes are function bodies
+    allowReturnOutsideFunction: true
+};
+
+// Keys under which an identifier names something rather than reading it
+// (unless the key or property is computed)
+const NAME_KEYS = new Set(["id", "label", "key", "property", "meta", "imported", "exported", "local"]);
+
+// Keys whose subtree is a binding or assignment target
+const TARGET_KEYS = new Map([
+    ["AssignmentExpression", "left"],
+    ["UpdateExpression", "argument"],
+    ["ForInStatement", "left"],
+    ["ForOfStatement", "left"],
+    ["VariableDeclarator", "id"],
+    ["CatchClause", "param"],
+    ["AssignmentPattern", "left"]
+]);
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+/**
+ * @returns {object|null} The script's syntax tree, or null if it is not valid
+ *          as a classic script or a module
+ */
+function parse(source) {
+    for (const sourceType of ["script", "module"]) {
+        try {
+            return Parser.parse(source, { ...PARSE_OPTIONS, sourceType });
+        } catch (e) {
+            // Try the next source type
+        }
+    }
+    return null;
+}
+
+function isLocationMember(node) {
+    if (node.type !== "MemberExpression") return false;
+    return node.computed
+        ? node.property.type === "Literal" && node.property.value === "location"
+        : node.property.type === "Identifier" && node.property.name === "location";
+}
+
+// ============================================================================
+// REWRITER
+// ============================================================================
+
+/**
+ * Positions where the wrapper's opening and closing text go
+ */
+function collectWraps(tree) {
+    const wraps = [];
+
+    function wrap(node, prefix = "") {
+        wraps.push({ at: node.start, text: prefix + WRAPPER + "(" });
+        wraps.push({ at: node.end, text: ")" });
+    }
+
+    /**
+     * @param {object} node
+     * @param {object|null} parent
+     * @param {string|null} key - Property of the parent holding the node
+     * @param {boolean} target - The node is assigned to or declared
+     * @param {boolean} chained - The node is inside an optional chain
+     */
+    function visit(node, parent, key, target, chained) {
+        if (node.type === "Identifier") {
+            const named = NAME_KEYS.has(key) && !parent.computed;
+            if (node.name === "location" && !target && !named) wrap(node);
+            return;
+        }
+        if (node.type === "Property" && node.shorthand && !target && node.key.name === "location") {
+            // { location } reads the variable under its own name
+            wrap(node, "location: ");
+            return;
+        }
+        if (isLocationMember(node) && !target &&
+            (!chained || parent.type === "ChainExpression") &&
+            !(parent && parent.type === "CallExpression" && key === "callee") &&
+            !(parent && parent.type === "TaggedTemplateExpression" && key === "tag")) {
+            wrap(node);
+        }
+
+        const isFunction = /Function/.test(node.type);
+        for (const [childKey, value] of Object.entries(node)) {
+            const children = Array.isArray(value) ? value : [value];
+            for (const child of children) {
+                if (!child || typeof child.type !== "string") continue;
+
+                let childTarget;
+                if (node.type === "MemberExpression") {
+                    // `location.href = ...` reads location to assign to its href
+                    childTarget = false;
+                } else if (isFunction && childKey === "params") {
+                    childTarget = true;
+                } else if (TARGET_KEYS.get(node.type) === childKey) {
+                    childTarget = true;
+                } else if (node.type === "AssignmentPattern" || (node.type === "Property" && node.computed && childKey === "key")) {
+                    childTarget = false;
+                } else {
+                    childTarget = target;
+                }
+
+                const childChained = node.type === "ChainExpression" ||
+                    (chained && (childKey === "object" || childKey === "callee"));
+                visit(child, node, childKey, childTarget, childChained);
+            }
+        }
+    }
+
+    visit(tree, null, null, false, false);
+    return wraps;
+}
+
+/**
+ * @param {string} source - Script source
+ * @returns {string} The script with its `location` reads wrapped
+ */
+function rewriteScript(source) {
+    if (!source.includes("location")) return source;
+
+    const tree = parse(source);
+    if (!tree) return source;
+
+    const wraps = collectWraps(tree);
+    if (wraps.length === 0) return source;
+
+    // Closing text before opening text at the same position
+    wraps.sort((a, b) => a.at - b.at || (a.text === ")" ? -1 : 0) - (b.text === ")" ? -1 : 0));
+
+    let output = "";
+    let position = 0;
+    for (const { at, text } of wraps) {
+        output += source.slice(position, at) + text;
+        position = at;
+    }
+    return output + source.slice(position);
+}
+
+export {
+    rewriteScript
+};
@@ -0,0 +1,153 @@
+/**
+ * Page URL Codec
+ *
+ * In-page counterpart of the codecs in src/utils/urlEncoder.js, for the
+ * interceptor: URLs a proxied page builds at run time (fetch, XHR, element
+ * properties, WebSockets, document.cookie) are encoded with the same codec
+ * as the links the server rewrote, so none of them carries its target in
+ * clear text.
+ *
+ * The interceptor's hooks are synchronous (an `img.src` setter cannot wait
+ * for a promise) and WebCrypto is not, so AES-256-GCM comes from
+ * @noble/ciphers, built into lib/noble-ciphers/aes-gcm.js by
+ * `npm run build:page-crypto`. It produces the layout the server reads:
+ * IV + ciphertext + tag, URL-safe Base64, under the "a1." prefix. The IV
+ * is random, as in js/url-codec.js.
+ *
+ * Like the interceptor, createPageCodec() never runs on the server: its
+ * source is inlined into pages and worker bootstraps, next to
+ * loadPageCipher() (see pageCipherSource()), so it may only use its
+ * argument, that function and browser globals.
+ */
+
+import { readFileSync } from "node:fs";
+
+let cipherSource = null;
+
+/**
+ * Source of loadPageCipher(), inlined with createPageCodec(): for aes-gcm,
+ * lib/noble-ciphers/aes-gcm.js wrapped in a function that returns its
+ * `nobleAesGcm`; for the other codecs a stub, so pages do not carry a
+ * cipher they never use
+ *
+ * @param {string} codecName - Codec the page encodes with
+ * @returns {string}
+ */
+function pageCipherSource(codecName) {
+    if (codecName !== "aes-gcm") {
+        return "function loadPageCipher() { return null; }";
+    }
+    cipherSource ??= readFileSync(new URL("../../lib/noble-ciphers/aes-gcm.js", import.meta.url), "utf8");
+    return `function loadPageCipher() {\n${cipherSource}\nreturn nobleAesGcm;\n}`;
+}
+
+/**
+ * @param {object} config
+ * @param {string} config.name - plain, base64, xor or aes-gcm
+ * @param {string} config.prefix - Versioned prefix of that codec ("x1", "a1", ...)
+ * @param {string|null} config.key - Base64 encryption key, for aes-gcm (see urlEncryptionKey())
+ * @returns {object} { encode(url) => string, decode(value) => string }
+ */
+function createPageCodec(config) {
+    const PREFIX_PATTERN = /^([a-z]\d+)\.([\s\S]*)$/;
+    const IV_BYTES = 12;
+    const TAG_BYTES = 16;
+
+    function toBase64Url(bytes) {
+        let binary = "";
+        for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+        return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+    }
+
+    function fromBase64Url(text) {
+        let base64 = text.replace(/-/g, "+").replace(/_/g, "/");
+        while (base64.length % 4) base64 += "=";
+        return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+    }
+
+    function xorCharacters(text) {
+        return text
+            .split("")
+            .map((char, index) => index % 2 ? String.fromCharCode(char.charCodeAt(0) ^ 2) : char)
+            .join("");
+    }
+
+    // AES-256-GCM from @noble/ciphers (see pageCipherSource())
+    const key = config.key ? fromBase64Url(config.key) : null;
+    const aes = key ? loadPageCipher() : null;
+
+    function sealAesGcm(url) {
+        const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+        // Ciphertext followed by the tag
+        const sealed = aes.gcm(key, iv).encrypt(new TextEncoder().encode(url));
+        const bytes = new Uint8Array(IV_BYTES + sealed.length);
+        bytes.set(iv);
+        bytes.set(sealed, IV_BYTES);
+        return toBase64Url(bytes);
+    }
+
+    function openAesGcm(payload) {
+        const bytes = fromBase64Url(payload);
+        if (bytes.length < IV_BYTES + TAG_BYTES) throw new Error("AES-GCM payload is too short");
+        const plain = aes.gcm(key, bytes.subarray(0, IV_BYTES)).decrypt(bytes.subarray(IV_BYTES));
+        return new TextDecoder().decode(plain);
+    }
+
+    // ------------------------------------------------------------------------
+    // Codecs, as in urlEncoder.js
+    // ------------------------------------------------------------------------
+
+    const codecs = {
+        p1: { encode: url => url, decode: payload => payload },
+        b1: {
+            encode: url => toBase64Url(new TextEncoder().encode(url)),
+            decode: payload => new TextDecoder().decode(fromBase64Url(payload))
+        },
+        x1: {
+            encode: url => encodeURIComponent(xorCharacters(url)),
+            decode: payload => {
+                const [input, ...search] = payload.split("?");
+                return xorCharacters(decodeURIComponent(input)) + (search.length ? "?" + search.join("?") : "");
+            }
+        },
+        a1: { encode: sealAesGcm, decode: openAesGcm }
+    };
+
+    // A URL keeps its encoding for the life of the page, so the browser can
+    // cache what it loads
+    const encoded = new Map();
+    const MAX_REMEMBERED = 500;
+
+    return {
+        encode(url) {
+            let value = encoded.get(url);
+            if (value === undefined) {
+                value = config.prefix + "." + codecs[config.prefix].encode(url);
+                if (encoded.size >= MAX_REMEMBERED) encoded.delete(encoded.keys().next().value);
+                encoded.set(url, value);
+            }
+            return value;
+        },
+
+        /**
+         * The URL in a `url` parameter: decoded when it has a known prefix,
+         * as it is otherwise; "" when it cannot be decoded
+         */
+        decode(value) {
+            const match = PREFIX_PATTERN.exec(value || "");
+            if (!match) return value || "";
+            const codec = codecs[match[1]];
+            if (!codec || (match[1] === "a1" && !key)) return "";
+            try {
+                return codec.decode(match[2]);
+            } catch (e) {
+                return "";
+            }
+        }
+    };
+}
+
+export {
+    createPageCodec,
+    pageCipherSource
+};
@@ -0,0 +1,333 @@
+/**
+ * Session Stores
+ *
+ * Storage adapters behind sessionManager.js. Every adapter has the same
+ * synchronous interface, so the session API stays synchronous; adapters
+ * that persist do so in the background.
+ *
+ *   get(id)           -> session or null; counts as a use for the LRU order
+ *   set(id, session)  -> stores a new or changed session
+ *   touch(id, session)-> records an access (lastAccess, requestCount)
+ *   delete(id)        -> true if the session existed
+ *   scan()            -> iterator of [id, session], least recently used first
+ *   size()            -> number of sessions
+ *   close()           -> Promise, resolved once everything is written out
+ *   stats()           -> counters for /api/health
+ *
+ * Both adapters hold at most `maxSessions` sessions; storing one more
+ * evicts the least recently used.
+ *
+ * The file adapter keeps its sessions in memory and appends every change to
+ * a JSON-lines log, one record per line ({ op: "set" | "touch" | "delete" }).
+ * Changes are batched, so a session changed several times between flushes
+ * is written once. On startup the log is replayed. Once it has grown well
+ * past the number of live sessions it is compacted: rewritten with one "set"
+ * record per session into a temporary file that then replaces the log.
+ *
+ * All file writes are asynchronous and go through one queue, one at a time,
+ * so the event loop (and the WISP traffic on it) never waits for the disk
+ * and an append can never land after the compaction that replaces the file.
+ * Compaction serializes sessions in slices, yielding between them.
+ *
+ * Sessions hold cookie jars and URL keys, and the log stores them as they
+ * are, so it is created readable by its owner only (mode 0600).
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+// Changes are batched and appended this often
+const FLUSH_INTERVAL_MS = 1000;
+
+// The log is compacted once it holds this many records per live session...
+const COMPACT_RATIO = 4;
+
+// ...and at least this many records in total
+const COMPACT_MIN_RECORDS = 1000;
+
+// Sessions serialized per slice of a compaction
+const COMPACT_SLICE = 200;
+
+// Owner only: the log holds cookies and URL keys in clear text
+const FILE_MODE = 0o600;
+const DIRECTORY_MODE = 0o700;
+
+// ============================================================================
+// MEMORY
+// ============================================================================
+
+/**
+ * @param {object} options
+ * @param {number} options.maxSessions - Sessions kept before the least recently used is evicted
+ * @param {Function} [options.onEvict] - Called with (id, session) for every eviction
+ * @returns {object} Session store
+ */
+function createMemorySessionStore({ maxSessions, onEvict = null }) {
+    // Map order is the LRU order: oldest first
+    const sessions = new Map();
+    let evictions = 0;
+
+    function bump(id, session) {
+        sessions.delete(id);
+        sessions.set(id, session);
+    }
+
+    function get(id) {
+        const session = sessions.get(id);
+        if (!session) return null;
+        bump(id, session);
+        return session;
+    }
+
+    function set(id, session) {
+        bump(id, session);
+        while (sessions.size > maxSessions) {
+            const [oldestId, oldest] = sessions.entries().next().value;
+            sessions.delete(oldestId);
+            evictions++;
+            onEvict?.(oldestId, oldest);
+        }
+    }
+
+    function touch(id, session) {
+        if (sessions.has(id)) bump(id, session);
+    }
+
+    return {
+        get,
+        set,
+        touch,
+        delete: id => sessions.delete(id),
+        scan: () => sessions.entries(),
+        size: () => sessions.size,
+        close: () => Promise.resolve(),
+        stats: () => ({
+            store: "memory",
+            sessions: sessions.size,
+            maxSessions,
+            evictions
+        })
+    };
+}
+
+// ============================================================================
+// FILE
+// ============================================================================
+
+/**
+ * Replays a session log into a Map, oldest access first. A line that cannot
+ * be parsed (e.g. cut short by a crash) is skipped.
+ */
+function readLog(filePath) {
+    let text;
+    try {
+        text = fs.readFileSync(filePath, "utf8");
+    } catch (err) {
+        if (err.code === "ENOENT") return { sessions: new Map(), records: 0, skipped: 0 };
+        throw err;
+    }
+
+    const sessions = new Map();
+    let records = 0;
+    let skipped = 0;
+    for (const line of text.split("\n")) {
+        if (!line) continue;
+        records++;
+        let record;
+        try {
+            record = JSON.parse(line);
+        } catch (err) {
+            skipped++;
+            continue;
+        }
+
+        if (record.op === "set" && record.session) {
+            sessions.set(record.id, record.session);
+        } else if (record.op === "touch" && sessions.has(record.id)) {
+            const session = sessions.get(record.id);
+            session.lastAccessTimestamp = record.at;
+            session.lastAccess = new Date(record.at).toISOString();
+            session.requestCount = record.count;
+        } else if (record.op === "delete") {
+            sessions.delete(record.id);
+        }
+    }
+
+    const ordered = [...sessions].sort(([, a], [, b]) => a.lastAccessTimestamp - b.lastAccessTimestamp);
+    return { sessions: new Map(ordered), records, skipped };
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.filePath - Session log (created if missing)
+ * @param {number} options.maxSessions - Sessions kept before the least recently used is evicted
+ * @param {Function} [options.onEvict] - Called with (id, session) for every eviction
+ * @returns {object} Session store
+ * @throws {Error} If an existing log cannot be read
+ */
+function createFileSessionStore({ filePath, maxSessions, onEvict = null }) {
+    const memory = createMemorySessionStore({
+        maxSessions,
+        onEvict: (id, session) => {
+            queueDelete(id);
+            onEvict?.(id, session);
+        }
+    });
+
+    // Changes waiting for the next flush, coalesced per session. They are
+    // written deletes first, so a session deleted and then stored again
+    // ends up stored
+    let pendingDeletes = [];
+    const pendingSets = new Map();
+    const pendingTouches = new Map();
+    let records = 0;
+    let compactions = 0;
+    let writeFailed = false;
+
+    // Tail of the write queue; every file operation is chained onto it
+    let writing = Promise.resolve();
+
+    function enqueue(task) {
+        writing = writing.then(task);
+        return writing;
+    }
+
+    function queueDelete(id) {
+        pendingSets.delete(id);
+        pendingTouches.delete(id);
+        pendingDeletes.push(id);
+    }
+
+    function writeFailure(action, err) {
+        // Sessions keep working from memory; only report the first failure in a row
+        if (!writeFailed) {
+            console.warn(`⚠️ [Sessions] ${action} ${filePath} failed, sessions are not being saved: ${err.message}`);
+        }
+        writeFailed = true;
+    }
+
+    /**
+     * Rewrites the log from the sessions in memory. Runs on the write queue;
+     * changes made while it runs are still pending and are appended after it.
+     */
+    async function compact() {
+        const entries = [...memory.scan()];
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        let file = null;
+        try {
+            file = await fs.promises.open(tempPath, "w", FILE_MODE);
+            for (let i = 0; i < entries.length; i += COMPACT_SLICE) {
+                const lines = entries
+                    .slice(i, i + COMPACT_SLICE)
+                    .map(([id, session]) => JSON.stringify({ op: "set", id, session }) + "\n");
+                await file.write(lines.join(""));
+            }
+            await file.close();
+            file = null;
+            await fs.promises.rename(tempPath, filePath);
+        } catch (err) {
+            await file?.close().catch(() => {});
+            await fs.promises.rm(tempPath, { force: true }).catch(() => {});
+            writeFailure("Compacting", err);
+            return;
+        }
+
+        records = entries.length;
+        compactions++;
+        writeFailed = false;
+    }
+
+    async function append(lines, count) {
+        try {
+            await fs.promises.appendFile(filePath, lines, { mode: FILE_MODE });
+            records += count;
+            writeFailed = false;
+        } catch (err) {
+            writeFailure("Writing", err);
+            return;
+        }
+
+        if (records > Math.max(COMPACT_MIN_RECORDS, memory.size() * COMPACT_RATIO)) {
+            await compact();
+        }
+    }
+
+    /**
+     * Queues the pending changes for writing
+     *
+     * @returns {Promise<void>} Resolved once they (and everything queued before) are written
+     */
+    function flush() {
+        const batch = [
+            ...pendingDeletes.map(id => ({ op: "delete", id })),
+            // Serialized now, so each carries the session's latest state
+            ...[...pendingSets].map(([id, session]) => ({ op: "set", id, session })),
+            ...[...pendingTouches].map(([id, { at, count }]) => ({ op: "touch", id, at, count }))
+        ];
+        pendingDeletes = [];
+        pendingSets.clear();
+        pendingTouches.clear();
+        if (batch.length === 0) return writing;
+
+        const lines = batch.map(record => JSON.stringify(record)).join("\n") + "\n";
+        return enqueue(() => append(lines, batch.length));
+    }
+
+    // Load what the previous run left behind
+    fs.mkdirSync(path.dirname(filePath), { recursive: true, mode: DIRECTORY_MODE });
+    const loaded = readLog(filePath);
+    for (const [id, session] of loaded.sessions) {
+        memory.set(id, session);
+    }
+    pendingDeletes = [];
+    records = loaded.records;
+    if (loaded.skipped > 0) {
+        console.warn(`⚠️ [Sessions] Skipped ${loaded.skipped} unreadable record(s) in ${filePath}`);
+    }
+    enqueue(compact);
+
+    const flushTimer = setInterval(flush, FLUSH_INTERVAL_MS);
+    flushTimer.unref();
+
+    return {
+        get: memory.get,
+        set(id, session) {
+            memory.set(id, session);
+            pendingTouches.delete(id);
+            pendingSets.set(id, session);
+        },
+        touch(id, session) {
+            memory.touch(id, session);
+            // A pending set already carries the access
+            if (!pendingSets.has(id)) {
+                pendingTouches.set(id, { at: session.lastAccessTimestamp, count: session.requestCount });
+            }
+        },
+        delete(id) {
+            const existed = memory.delete(id);
+            if (existed) queueDelete(id);
+            return existed;
+        },
+        scan: memory.scan,
+        size: memory.size,
+        close() {
+            clearInterval(flushTimer);
+            return flush();
+        },
+        stats: () => ({
+            ...memory.stats(),
+            store: "file",
+            logRecords: records + pendingDeletes.length + pendingSets.size + pendingTouches.size,
+            compactions
+        })
+    };
+}
+
+export {
+    createMemorySessionStore,
+    createFileSessionStore
+};
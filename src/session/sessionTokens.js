@@ -0,0 +1,167 @@
+/**
+ * Session Tokens
+ *
+ * Stateless sessions for running several instances without sticky routing:
+ * the whole session travels in the X-Session-ID header as an encrypted
+ * token, so any instance can read it.
+ *
+ * TOKEN FORMAT:
+ *   "s1." + key id + "." + base64url(IV + AES-256-GCM(deflate(JSON payload)) + tag)
+ *
+ * The payload is the session in short form: id (`i`), creation and last
+ * access times in milliseconds (`c`, `a`), request count (`n`), all of its
+ * data entries (`d`) and when the token was issued (`t`). Encryption also
+ * authenticates the token, and keeps the URL key and cookies unreadable to
+ * the client.
+ *
+ * SIZE:
+ * Tokens travel in every rewritten link (sid=), so they stay small. A token
+ * that would be over MAX_TOKEN_BYTES is refused rather than cut short;
+ * sessionManager.js checks with fits() before storing data.
+ *
+ * KEY ROTATION:
+ * Secrets are given newest first. Tokens are always issued with the first
+ * one; every secret in the list is accepted, so a new secret can be put in
+ * front while tokens issued with the previous ones keep working. The key id
+ * tells which secret a token was issued with.
+ */
+
+import crypto from "node:crypto";
+import zlib from "node:zlib";
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const TOKEN_PREFIX = "s1";
+
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+// Largest token issued
+const MAX_TOKEN_BYTES = 1024;
+
+// ============================================================================
+// KEYS
+// ============================================================================
+
+function deriveKey(secret) {
+    const key = Buffer.from(crypto.hkdfSync("sha256", secret, Buffer.alloc(0), "scholar-navigator session token", 32));
+    const id = crypto.createHash("sha256").update(key).digest("base64url").slice(0, 8);
+    return { id, key };
+}
+
+// ============================================================================
+// FACTORY
+// ============================================================================
+
+/**
+ * @param {object} options
+ * @param {string[]} options.secrets - Token secrets, newest first (32+ characters each)
+ * @returns {object} { isToken, fits, issue, verify }
+ */
+function createSessionTokens({ secrets }) {
+    const keys = secrets.map(deriveKey);
+    const current = keys[0];
+
+    function seal(payload) {
+        const iv = crypto.randomBytes(IV_BYTES);
+        const cipher = crypto.createCipheriv("aes-256-gcm", current.key, iv);
+        cipher.setAAD(Buffer.from(`${TOKEN_PREFIX}.${current.id}`));
+        const compressed = zlib.deflateRawSync(JSON.stringify(payload));
+        const sealed = Buffer.concat([iv, cipher.update(compressed), cipher.final(), cipher.getAuthTag()]);
+        return `${TOKEN_PREFIX}.${current.id}.${sealed.toString("base64url")}`;
+    }
+
+    /**
+     * @param {string} value - X-Session-ID / sid value
+     * @returns {boolean} Whether it is a session token (rather than a session ID)
+     */
+    function isToken(value) {
+        return typeof value === "string" && value.startsWith(`${TOKEN_PREFIX}.`);
+    }
+
+    function tokenFor(session) {
+        return seal({
+            i: session.id,
+            c: Date.parse(session.created),
+            a: session.lastAccessTimestamp,
+            n: session.requestCount,
+            d: session.data,
+            t: Date.now()
+        });
+    }
+
+    /**
+     * @param {object} session - Session from sessionManager
+     * @returns {boolean} Whether a token for the session stays within MAX_TOKEN_BYTES
+     */
+    function fits(session) {
+        return tokenFor(session).length <= MAX_TOKEN_BYTES;
+    }
+
+    /**
+     * Issues a token carrying the session and its data
+     *
+     * @param {object} session - Session from sessionManager
+     * @returns {string} Token
+     * @throws {Error} If the token would be over MAX_TOKEN_BYTES (see fits())
+     */
+    function issue(session) {
+        const token = tokenFor(session);
+        if (token.length > MAX_TOKEN_BYTES) {
+            throw new Error(`Session ${session.id} needs a ${token.length} byte token (limit ${MAX_TOKEN_BYTES})`);
+        }
+        return token;
+    }
+
+    /**
+     * @param {string} token - Token from issue()
+     * @returns {object|null} { session, issuedAt, rotated } - rotated is
+     *   true when the token was issued with an older secret. Null if the
+     *   token is malformed, tampered with or issued with a secret no longer
+     *   accepted.
+     */
+    function verify(token) {
+        if (!isToken(token)) return null;
+
+        const [, keyId, sealedText] = token.split(".");
+        const entry = keys.find(candidate => candidate.id === keyId);
+        const sealed = Buffer.from(sealedText || "", "base64url");
+        if (!entry || sealed.length < IV_BYTES + TAG_BYTES) return null;
+
+        try {
+            const decipher = crypto.createDecipheriv("aes-256-gcm", entry.key, sealed.subarray(0, IV_BYTES));
+            decipher.setAAD(Buffer.from(`${TOKEN_PREFIX}.${entry.id}`));
+            decipher.setAuthTag(sealed.subarray(sealed.length - TAG_BYTES));
+            const compressed = Buffer.concat([
+                decipher.update(sealed.subarray(IV_BYTES, sealed.length - TAG_BYTES)),
+                decipher.final()
+            ]);
+            const payload = JSON.parse(zlib.inflateRawSync(compressed).toString("utf-8"));
+
+            const session = {
+                id: payload.i,
+                created: new Date(payload.c).toISOString(),
+                lastAccess: new Date(payload.a).toISOString(),
+                lastAccessTimestamp: payload.a,
+                requestCount: payload.n,
+                data: payload.d || {}
+            };
+            return { session, issuedAt: payload.t, rotated: entry !== current };
+        } catch (err) {
+            return null;
+        }
+    }
+
+    return {
+        isToken,
+        fits,
+        issue,
+        verify
+    };
+}
+
+export {
+    createSessionTokens
+};
@@ -0,0 +1,377 @@
+/**
+ * Static Asset Server
+ *
+ * Serves the public front-end from an explicit allowlist (PUBLIC_ASSETS in
+ * server.js), so nothing outside it (server.js, package.json, src/,
+ * dotfiles, ...) can be fetched. Entries ending in "/" allow a whole
+ * directory, others a single file.
+ *
+ * COMPRESSION:
+ * Text and wasm assets are sent as brotli or gzip, whichever the client
+ * prefers. `npm run precompress` writes `.br`/`.gz` files next to the
+ * originals (used for lib/, where the bundles are megabytes); anything
+ * without a fresh precompressed file is compressed on first request and
+ * kept in a small in-memory cache.
+ *
+ * CACHING:
+ * Every representation carries a strong ETag derived from its content, so
+ * unchanged files revalidate with a 304. Responses are only marked
+ * immutable when the URL pins the content:
+ * - content-hashed file names (the scramjet wasm chunks), or
+ * - a `?v=` query matching the file's current content hash
+ * index.html is served with its local `src`/`href` references rewritten to
+ * such `?v=` URLs, replacing the hand-maintained `?v=26` numbers.
+ */
+
+import { createReadStream } from "node:fs";
+import { stat, readFile } from "node:fs/promises";
+import path from "node:path";
+import crypto from "node:crypto";
+import zlib from "node:zlib";
+import { promisify } from "node:util";
+import mime from "mime-types";
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const COMPRESSIBLE_EXTENSIONS = new Set([
+    ".html", ".js", ".mjs", ".cjs", ".css", ".json", ".map", ".wasm", ".svg", ".txt", ".ts"
+]);
+
+// Preferred first
+const ENCODINGS = [
+    { name: "br", extension: ".br" },
+    { name: "gzip", extension: ".gz" }
+];
+
+const IMMUTABLE = "public, max-age=31536000, immutable";
+const REVALIDATE = "no-cache";
+
+// Content-hashed names emitted by the scramjet build (e.g. 06813b79f94926ac.wasm)
+const HASHED_NAME = /^[0-9a-f]{16,}\.[a-z0-9]+$/;
+
+// Characters of the content hash used in ?v= URLs
+const VERSION_LENGTH = 12;
+
+// Budget for responses compressed on the fly
+const DYNAMIC_CACHE_BYTES = 32 * 1024 * 1024;
+
+const brotliCompress = promisify(zlib.brotliCompress);
+const gzip = promisify(zlib.gzip);
+
+// ============================================================================
+// COMPRESSION HELPERS
+// ============================================================================
+
+function isCompressible(filePath) {
+    return COMPRESSIBLE_EXTENSIONS.has(path.extname(filePath).toLowerCase());
+}
+
+/**
+ * Compresses a buffer; `maximum` trades speed for size (used by the build step)
+ *
+ * @param {Buffer} buffer - Content to compress
+ * @param {string} encoding - "br" or "gzip"
+ * @param {object} options
+ * @param {boolean} options.maximum - Use the highest compression level
+ * @returns {Promise<Buffer>}
+ */
+function compress(buffer, encoding, { maximum = false } = {}) {
+    if (encoding === "br") {
+        return brotliCompress(buffer, {
+            params: {
+                [zlib.constants.BROTLI_PARAM_QUALITY]: maximum ? zlib.constants.BROTLI_MAX_QUALITY : 5,
+                [zlib.constants.BROTLI_PARAM_SIZE_HINT]: buffer.length
+            }
+        });
+    }
+    return gzip(buffer, { level: maximum ? zlib.constants.Z_BEST_COMPRESSION : 6 });
+}
+
+/**
+ * Picks the best encoding the client accepts
+ *
+ * @param {string|undefined} header - Accept-Encoding request header
+ * @returns {object|null} Entry of ENCODINGS, or null for identity
+ */
+function negotiateEncoding(header) {
+    if (!header) return null;
+
+    const accepted = new Map();
+    for (const part of header.split(",")) {
+        const [token, ...params] = part.trim().toLowerCase().split(";");
+        const q = params.map(p => p.trim()).find(p => p.startsWith("q="));
+        accepted.set(token.trim(), q ? parseFloat(q.slice(2)) : 1);
+    }
+
+    for (const encoding of ENCODINGS) {
+        const q = accepted.get(encoding.name) ?? accepted.get("*") ?? 0;
+        if (q > 0) return encoding;
+    }
+    return null;
+}
+
+/**
+ * Byte-bounded LRU for responses compressed on the fly
+ */
+class CompressedCache {
+    constructor(maxBytes) {
+        this.maxBytes = maxBytes;
+        this.bytes = 0;
+        this.entries = new Map();
+    }
+
+    get(key) {
+        const value = this.entries.get(key);
+        if (value) {
+            this.entries.delete(key);
+            this.entries.set(key, value);
+        }
+        return value;
+    }
+
+    set(key, value) {
+        if (value.length > this.maxBytes) return;
+        this.entries.set(key, value);
+        this.bytes += value.length;
+
+        for (const [oldKey, oldValue] of this.entries) {
+            if (this.bytes <= this.maxBytes) break;
+            this.entries.delete(oldKey);
+            this.bytes -= oldValue.length;
+        }
+    }
+}
+
+function etagMatches(header, etag) {
+    if (!header) return false;
+    if (header.trim() === "*") return true;
+    return header.split(",").some(candidate => candidate.trim().replace(/^W\//, "") === etag);
+}
+
+// ============================================================================
+// FACTORY
+// ============================================================================
+
+/**
+ * @param {object} options
+ * @param {string} options.root - Directory the allowlist is relative to
+ * @param {string[]} options.allowlist - Public files and directories ("dir/")
+ * @param {string} options.indexFile - File served for "/" (must be allowlisted)
+ * @returns {object} { middleware, isAllowed }
+ */
+function createStaticAssets({ root, allowlist, indexFile = "index.html" }) {
+    const rootDir = path.resolve(root);
+    const allowedFiles = new Set(allowlist.filter(entry => !entry.endsWith("/")));
+    const allowedDirs = allowlist.filter(entry => entry.endsWith("/"));
+
+    // Content hashes, keyed by absolute path and invalidated by mtime/size
+    const fileInfoCache = new Map();
+    const compressedCache = new CompressedCache(DYNAMIC_CACHE_BYTES);
+
+    /**
+     * Maps a URL path to an allowlisted path relative to the root
+     *
+     * @returns {string|null} Relative path, or null if it is not public
+     */
+    function resolveRequestPath(urlPath) {
+        let decoded;
+        try {
+            decoded = decodeURIComponent(urlPath);
+        } catch (err) {
+            return null;
+        }
+        if (decoded.includes("\0")) return null;
+
+        const relative = path.posix.normalize(decoded).replace(/^\/+/, "");
+        if (relative === "" || relative === ".") return indexFile;
+
+        const segments = relative.split("/");
+        if (segments.some(segment => segment === ".." || segment.startsWith("."))) {
+            return null;
+        }
+        return isAllowed(relative) ? relative : null;
+    }
+
+    function isAllowed(relative) {
+        return allowedFiles.has(relative) || allowedDirs.some(dir => relative.startsWith(dir));
+    }
+
+    async function fileInfo(absolutePath) {
+        const stats = await stat(absolutePath);
+        if (!stats.isFile()) {
+            const err = new Error("Not a file");
+            err.code = "EISDIR";
+            throw err;
+        }
+
+        const cached = fileInfoCache.get(absolutePath);
+        if (cached && cached.mtimeMs === stats.mtimeMs && cached.size === stats.size) {
+            return cached;
+        }
+
+        const content = await readFile(absolutePath);
+        const info = {
+            mtimeMs: stats.mtimeMs,
+            size: stats.size,
+            hash: crypto.createHash("sha256").update(content).digest("base64url")
+        };
+        fileInfoCache.set(absolutePath, info);
+        return info;
+    }
+
+    async function versionOf(relative) {
+        try {
+            const info = await fileInfo(path.join(rootDir, relative));
+            return info.hash.slice(0, VERSION_LENGTH);
+        } catch (err) {
+            return null;
+        }
+    }
+
+    /**
+     * index.html with its local asset references pinned to content versions
+     */
+    async function renderIndex(absolutePath) {
+        const html = await readFile(absolutePath, "utf-8");
+        const reference = /(\s(?:src|href)=")([^":?#]+)(?:\?v=[^"#]*)?"/g;
+
+        const versions = new Map();
+        for (const [, , assetPath] of html.matchAll(reference)) {
+            const relative = path.posix.normalize(assetPath).replace(/^\.?\//, "");
+            if (!versions.has(assetPath) && isAllowed(relative) && relative !== indexFile) {
+                versions.set(assetPath, await versionOf(relative));
+            }
+        }
+
+        return Buffer.from(html.replace(reference, (match, prefix, assetPath) => {
+            const version = versions.get(assetPath);
+            return version ? `${prefix}${assetPath}?v=${version}"` : match;
+        }));
+    }
+
+    /**
+     * Returns a fresh precompressed file for the encoding, if one exists
+     */
+    async function precompressedVariant(absolutePath, info, encoding) {
+        try {
+            const variantPath = absolutePath + encoding.extension;
+            const stats = await stat(variantPath);
+            return stats.isFile() && stats.mtimeMs >= info.mtimeMs ? { path: variantPath, size: stats.size } : null;
+        } catch (err) {
+            return null;
+        }
+    }
+
+    async function compressedBody(key, loadContent, encoding) {
+        let body = compressedCache.get(key);
+        if (!body) {
+            body = await compress(await loadContent(), encoding.name);
+            compressedCache.set(key, body);
+        }
+        return body;
+    }
+
+    /**
+     * Builds the response for a file: headers plus either a buffer or a file to stream
+     */
+    async function buildRepresentation(relative, absolutePath, req) {
+        const encoding = isCompressible(relative) ? negotiateEncoding(req.headers["accept-encoding"]) : null;
+
+        if (relative === indexFile) {
+            const content = await renderIndex(absolutePath);
+            const hash = crypto.createHash("sha256").update(content).digest("base64url");
+            const body = encoding
+                ? await compressedBody(`${hash}:${encoding.name}`, () => content, encoding)
+                : content;
+            return { hash, encoding, body, cacheControl: REVALIDATE };
+        }
+
+        const info = await fileInfo(absolutePath);
+        const pinned = HASHED_NAME.test(path.basename(relative)) ||
+            req.query?.v === info.hash.slice(0, VERSION_LENGTH);
+        const cacheControl = pinned ? IMMUTABLE : REVALIDATE;
+
+        if (!encoding) {
+            return { hash: info.hash, encoding, file: { path: absolutePath, size: info.size }, cacheControl };
+        }
+
+        const variant = await precompressedVariant(absolutePath, info, encoding);
+        if (variant) {
+            return { hash: info.hash, encoding, file: variant, cacheControl };
+        }
+
+        const body = await compressedBody(`${info.hash}:${encoding.name}`, () => readFile(absolutePath), encoding);
+        return { hash: info.hash, encoding, body, cacheControl };
+    }
+
+    /**
+     * Express middleware; anything not public falls through to next()
+     */
+    async function middleware(req, res, next) {
+        if (req.method !== "GET" && req.method !== "HEAD") return next();
+
+        const relative = resolveRequestPath(req.path);
+        if (!relative) return next();
+
+        const absolutePath = path.join(rootDir, relative);
+        if (!absolutePath.startsWith(rootDir + path.sep)) return next();
+
+        let representation;
+        try {
+            representation = await buildRepresentation(relative, absolutePath, req);
+        } catch (err) {
+            if (["ENOENT", "ENOTDIR", "EISDIR"].includes(err.code)) return next();
+            return next(err);
+        }
+
+        const { hash, encoding, body, file, cacheControl } = representation;
+        const etag = `"${hash}${encoding ? "." + encoding.name : ""}"`;
+
+        // [FIX] Enable Cross-Origin Isolation for libcurl transport
+        res.setHeader("Cross-Origin-Embedder-Policy", "require-corp");
+        res.setHeader("Cross-Origin-Opener-Policy", "same-origin");
+        res.setHeader("Cross-Origin-Resource-Policy", "cross-origin");
+
+        res.setHeader("ETag", etag);
+        res.setHeader("Cache-Control", cacheControl);
+        if (isCompressible(relative)) {
+            res.setHeader("Vary", "Accept-Encoding");
+        }
+
+        if (etagMatches(req.headers["if-none-match"], etag)) {
+            return res.status(304).end();
+        }
+
+        res.setHeader("Content-Type", mime.contentType(path.extname(relative)) || "application/octet-stream");
+        if (encoding) {
+            res.setHeader("Content-Encoding", encoding.name);
+        }
+        res.setHeader("Content-Length", body ? body.length : file.size);
+
+        if (req.method === "HEAD") {
+            return res.end();
+        }
+        if (body) {
+            return res.end(body);
+        }
+
+        const stream = createReadStream(file.path);
+        stream.on("error", (err) => res.destroy(err));
+        stream.pipe(res);
+    }
+
+    return {
+        middleware,
+        isAllowed
+    };
+}
+
+export {
+    createStaticAssets,
+    isCompressible,
+    compress,
+    negotiateEncoding,
+    ENCODINGS
+};
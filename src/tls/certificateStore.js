@@ -0,0 +1,178 @@
+/**
+ * TLS Certificate Store
+ *
+ * Holds the key/certificate pair served by the HTTPS listener and swaps it
+ * in place with server.setSecureContext(), so a certbot renewal no longer
+ * needs a restart that would drop every WISP session.
+ *
+ * RELOAD TRIGGERS:
+ * - SIGHUP (server.js calls reload())
+ * - Changes to the key/cert files, when watching is enabled. The parent
+ *   directories are watched rather than the files, because certbot renews by
+ *   re-pointing the symlinks in live/ at new files in archive/.
+ *
+ * A reload only takes effect if both files parse and the key matches the
+ * certificate; otherwise the previous pair keeps being served. A renewal
+ * that writes the two files one after the other is therefore harmless: the
+ * half-written state is rejected and the next change event picks up the
+ * complete pair.
+ */
+
+import { readFileSync, watch } from "node:fs";
+import path from "node:path";
+import tls from "node:tls";
+import { X509Certificate } from "node:crypto";
+
+// Change events arrive in bursts (key, cert, symlinks); wait for them to settle
+const WATCH_DEBOUNCE_MS = 1000;
+
+/**
+ * Reads and validates a key/cert pair
+ *
+ * @returns {{key: Buffer, cert: Buffer, certificate: X509Certificate}}
+ * @throws {Error} If a file is unreadable, unparsable, or the key does not match
+ */
+function loadPair(keyPath, certPath) {
+    const key = readFileSync(keyPath);
+    const cert = readFileSync(certPath);
+
+    // Throws on malformed PEM and on a key that does not belong to the certificate
+    tls.createSecureContext({ key, cert });
+
+    return { key, cert, certificate: new X509Certificate(cert) };
+}
+
+/**
+ * Loads the initial pair; throws if it cannot be loaded
+ *
+ * @param {object} options
+ * @param {string} options.keyPath - Private key (PEM)
+ * @param {string} options.certPath - Certificate chain (PEM)
+ * @returns {object} Store with current/attach/reload/watch/stop/status
+ */
+function createCertificateStore({ keyPath, certPath }) {
+    let pair = loadPair(keyPath, certPath);
+    let server = null;
+    let watchers = [];
+    let debounceTimer = null;
+
+    const status = {
+        loadedAt: new Date().toISOString(),
+        lastReloadAt: null,
+        lastReloadOk: null,
+        lastReloadTrigger: null,
+        lastError: null
+    };
+
+    function describeCertificate() {
+        return `${pair.certificate.subject.replace(/\n/g, ", ")}, expires ${new Date(pair.certificate.validTo).toISOString()}`;
+    }
+
+    /**
+     * Re-reads both files and installs them on the attached server
+     *
+     * @param {string} trigger - What caused the reload (for logs and health)
+     * @returns {boolean} Whether the new pair is now being served
+     */
+    function reload(trigger) {
+        status.lastReloadAt = new Date().toISOString();
+        status.lastReloadTrigger = trigger;
+
+        let next;
+        try {
+            next = loadPair(keyPath, certPath);
+        } catch (err) {
+            status.lastReloadOk = false;
+            status.lastError = err.message;
+            console.error(`❌ [TLS] Certificate reload (${trigger}) failed, keeping previous certificate: ${err.message}`);
+            return false;
+        }
+
+        if (next.cert.equals(pair.cert) && next.key.equals(pair.key)) {
+            status.lastReloadOk = true;
+            status.lastError = null;
+            console.log(`ℹ️ [TLS] Certificate reload (${trigger}): files unchanged`);
+            return true;
+        }
+
+        try {
+            server?.setSecureContext({ key: next.key, cert: next.cert });
+        } catch (err) {
+            status.lastReloadOk = false;
+            status.lastError = err.message;
+            console.error(`❌ [TLS] Installing reloaded certificate failed, keeping previous certificate: ${err.message}`);
+            return false;
+        }
+
+        pair = next;
+        status.loadedAt = status.lastReloadAt;
+        status.lastReloadOk = true;
+        status.lastError = null;
+        console.log(`✅ [TLS] Certificate reloaded (${trigger}): ${describeCertificate()}`);
+        return true;
+    }
+
+    /**
+     * Starts watching the key/cert files for changes
+     */
+    function startWatching() {
+        const targets = new Map();
+        for (const filePath of [keyPath, certPath]) {
+            const dir = path.dirname(path.resolve(filePath));
+            if (!targets.has(dir)) targets.set(dir, new Set());
+            targets.get(dir).add(path.basename(filePath));
+        }
+
+        for (const [dir, names] of targets) {
+            try {
+                const watcher = watch(dir, (eventType, filename) => {
+                    if (filename && !names.has(filename)) return;
+                    clearTimeout(debounceTimer);
+                    debounceTimer = setTimeout(() => reload("file change"), WATCH_DEBOUNCE_MS);
+                });
+                watcher.on("error", (err) => {
+                    console.error(`❌ [TLS] Watching ${dir} failed: ${err.message}`);
+                });
+                watcher.unref();
+                watchers.push(watcher);
+            } catch (err) {
+                console.error(`❌ [TLS] Cannot watch ${dir}, reload with SIGHUP instead: ${err.message}`);
+            }
+        }
+    }
+
+    function stop() {
+        clearTimeout(debounceTimer);
+        watchers.forEach(watcher => watcher.close());
+        watchers = [];
+    }
+
+    return {
+        /**
+         * @returns {{key: Buffer, cert: Buffer}} The pair currently served
+         */
+        current() {
+            return { key: pair.key, cert: pair.cert };
+        },
+
+        /**
+         * @param {https.Server} httpsServer - Server whose secure context is swapped on reload
+         */
+        attach(httpsServer) {
+            server = httpsServer;
+        },
+
+        reload,
+        watch: startWatching,
+        stop,
+        describe: describeCertificate,
+
+        status() {
+            return { ...status, watching: watchers.length > 0 };
+        }
+    };
+}
+
+export {
+    createCertificateStore
+};
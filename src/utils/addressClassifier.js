@@ -0,0 +1,189 @@
+/**
+ * Address Classifier
+ *
+ * Decides whether the server may connect to an address on a client's
+ * behalf. Shared by everything that opens outbound connections: the legacy
+ * HTTP proxy, the WebSocket relay and the WISP egress policy.
+ *
+ * - Only globally routable unicast addresses are allowed. Loopback,
+ *   RFC1918, carrier-grade NAT (100.64.0.0/10), link-local, IPv6 unique
+ *   local, multicast, reserved and documentation ranges are refused, as
+ *   are the translation prefixes that embed an IPv4 address (6to4, NAT64)
+ * - IPv4-mapped IPv6 (::ffff:127.0.0.1) is judged as the IPv4 address
+ * - Every spelling of an IPv4 address counts: 2130706433, 0x7f.1 and
+ *   0177.0.0.1 are all 127.0.0.1
+ * - Names are checked once resolved: pinnedLookup() is a drop-in for
+ *   dns.lookup that refuses a name if any of its addresses is refused, and
+ *   hands the connection the address that was checked. Because the check
+ *   and the connection use the same answer, a name cannot be re-pointed in
+ *   between (DNS rebinding)
+ */
+
+import dns from "node:dns";
+import ipaddr from "ipaddr.js";
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+// Specific metadata endpoints are checked first so that logs name them
+const METADATA_RANGES = [
+    { cidr: "169.254.169.254/32", label: "cloud metadata (AWS/GCP/Azure)" },
+    { cidr: "100.100.100.200/32", label: "cloud metadata (Alibaba)" },
+    { cidr: "fd00:ec2::254/128", label: "cloud metadata (AWS IPv6)" }
+].map(entry => ({ ...entry, range: ipaddr.parseCIDR(entry.cidr) }));
+
+// Labels for the ipaddr.js range names seen most; any range other than
+// "unicast" is refused, named or not
+const RANGE_LABELS = {
+    loopback: "loopback",
+    unspecified: "unspecified",
+    private: "private network (RFC1918)",
+    carrierGradeNat: "carrier-grade NAT",
+    linkLocal: "link-local",
+    uniqueLocal: "private network (IPv6 unique local)",
+    multicast: "multicast",
+    broadcast: "broadcast",
+    reserved: "reserved",
+    "6to4": "6to4 (embedded IPv4)",
+    rfc6052: "NAT64 (embedded IPv4)",
+    rfc6145: "SIIT (embedded IPv4)",
+    teredo: "Teredo (embedded IPv4)"
+};
+
+const BLOCKED_HOSTNAMES = [
+    "localhost",
+    "metadata.google.internal"
+];
+
+// error.code of refused lookups (see NetworkError in errorHandler.js)
+const BLOCKED_ERROR_CODE = "EADDRBLOCKED";
+
+// ============================================================================
+// CLASSIFICATION
+// ============================================================================
+
+function normalizeHostname(hostname) {
+    return hostname.trim().toLowerCase().replace(/^\[|\]$/g, "").replace(/\.$/, "");
+}
+
+/**
+ * Parses an address in any spelling ipaddr.js accepts, unwrapping
+ * IPv4-mapped IPv6
+ *
+ * @param {string} text - Address (or anything else)
+ * @returns {object|null} ipaddr.js address, or null if it is not an address
+ */
+function parseAddress(text) {
+    const address = normalizeHostname(text);
+    if (!ipaddr.isValid(address)) return null;
+    return ipaddr.process(address);
+}
+
+/**
+ * @param {string|object} address - Address text or ipaddr.js address
+ * @returns {{allowed: boolean, reason: string|null}} reason names the blocked range
+ */
+function classifyAddress(address) {
+    const parsed = typeof address === "string" ? parseAddress(address) : address;
+    if (!parsed) {
+        return { allowed: false, reason: "not an IP address" };
+    }
+
+    for (const entry of METADATA_RANGES) {
+        const [network] = entry.range;
+        if (parsed.kind() === network.kind() && parsed.match(entry.range)) {
+            return { allowed: false, reason: entry.label };
+        }
+    }
+
+    const range = parsed.range();
+    if (range !== "unicast") {
+        return { allowed: false, reason: RANGE_LABELS[range] || range };
+    }
+    return { allowed: true, reason: null };
+}
+
+/**
+ * Checks what can be known about a host before resolving it: reserved
+ * names, and the address itself when the host is an IP literal
+ *
+ * @param {string} hostname - Host name or IP literal (brackets allowed)
+ * @returns {{allowed: boolean, reason: string|null, address: string|null}}
+ *   address is the canonical form of an IP literal
+ */
+function classifyHostname(hostname) {
+    const host = normalizeHostname(hostname);
+    if (BLOCKED_HOSTNAMES.includes(host) || host.endsWith(".localhost")) {
+        return { allowed: false, reason: host, address: null };
+    }
+
+    const address = parseAddress(host);
+    if (!address) {
+        return { allowed: true, reason: null, address: null };
+    }
+    return { ...classifyAddress(address), address: address.toString() };
+}
+
+function blockedError(hostname, address, reason) {
+    const target = address ? `${hostname} (${address})` : hostname;
+    const error = new Error(`${target} is not allowed: ${reason}`);
+    error.code = BLOCKED_ERROR_CODE;
+    error.hostname = hostname;
+    return error;
+}
+
+// ============================================================================
+// RESOLUTION
+// ============================================================================
+
+/**
+ * dns.lookup() replacement for http.Agent / net.connect `lookup` options.
+ * Every address the name resolves to must be allowed; the connection then
+ * uses the first one (or all of them, when the caller asks for all).
+ *
+ * @param {string} hostname - Name to resolve
+ * @param {object|number|Function} options - As for dns.lookup()
+ * @param {Function} callback - (err, address, family) or (err, addresses)
+ */
+function pinnedLookup(hostname, options, callback) {
+    if (typeof options === "function") {
+        callback = options;
+        options = {};
+    } else if (typeof options === "number") {
+        options = { family: options };
+    }
+
+    const name = classifyHostname(hostname);
+    if (!name.allowed) {
+        process.nextTick(callback, blockedError(hostname, name.address, name.reason));
+        return;
+    }
+
+    dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+        if (err) return callback(err);
+
+        for (const { address } of addresses) {
+            const decision = classifyAddress(address);
+            if (!decision.allowed) {
+                console.warn(`⛔ [Lookup] Refused ${hostname} (${address}) - ${decision.reason}`);
+                return callback(blockedError(hostname, address, decision.reason));
+            }
+        }
+
+        if (options.all) {
+            callback(null, addresses);
+        } else {
+            callback(null, addresses[0].address, addresses[0].family);
+        }
+    });
+}
+
+export {
+    parseAddress,
+    classifyAddress,
+    classifyHostname,
+    pinnedLookup,
+    blockedError,
+    BLOCKED_ERROR_CODE
+};
@@ -0,0 +1,64 @@
+import ipaddr from "ipaddr.js";
+
+// Set on requests that arrived through a trusted proxy (see trustForwardedClientIp)
+const FORWARDED_CLIENT_IP = Symbol("forwardedClientIp");
+
+function normalizeAddress(address) {
+    return address.startsWith("::ffff:") ? address.slice(7) : address;
+}
+
+/**
+ * Returns the IP address a request came from
+ * Works for both Express requests and raw upgrade requests, which is why it
+ * reads the socket directly instead of relying on Express' req.ip.
+ *
+ * IPv4 clients on a dual-stack socket show up as "::ffff:1.2.3.4"; the prefix
+ * is stripped so that the same client always maps to the same key.
+ *
+ * For requests marked with trustForwardedClientIp(), the address reported by
+ * the proxy is returned instead of the proxy's own.
+ *
+ * @param {http.IncomingMessage} req - The incoming request
+ * @returns {string} The client IP address
+ */
+function getClientIp(req) {
+    if (req[FORWARDED_CLIENT_IP]) {
+        return req[FORWARDED_CLIENT_IP];
+    }
+    return normalizeAddress(req.socket?.remoteAddress || "unknown");
+}
+
+/**
+ * Marks a request as coming from a trusted proxy, so that getClientIp()
+ * reports the client address the proxy forwarded.
+ *
+ * CF-Connecting-IP is preferred. Otherwise the last X-Forwarded-For entry is
+ * used, because that is the one the trusted proxy appended itself; earlier
+ * entries come from the client and may be forged. Headers that do not hold a
+ * valid address are ignored.
+ *
+ * Only call this once the request is known to come from the trusted proxy.
+ *
+ * @param {http.IncomingMessage} req - The incoming request
+ * @returns {string|null} The forwarded address, or null if none was usable
+ */
+function trustForwardedClientIp(req) {
+    const candidates = [
+        req.headers["cf-connecting-ip"],
+        req.headers["x-forwarded-for"]?.split(",").pop()
+    ];
+
+    for (const candidate of candidates) {
+        const address = candidate?.trim();
+        if (address && ipaddr.isValid(address)) {
+            req[FORWARDED_CLIENT_IP] = normalizeAddress(address);
+            return req[FORWARDED_CLIENT_IP];
+        }
+    }
+    return null;
+}
+
+export {
+    getClientIp,
+    trustForwardedClientIp
+};
@@ -0,0 +1,125 @@
+/**
+ * Content Encoding
+ *
+ * The legacy proxy rewrites what it fetches, so it has to see plain bytes.
+ * Rather than pass the browser's Accept-Encoding upstream (and get back
+ * codings it may not understand), it asks for the codings listed in
+ * UPSTREAM_ACCEPT_ENCODING and decodes them here, then compresses its own
+ * output for the client separately.
+ *
+ * Decoders are lenient the way browsers are: a body cut short still yields
+ * what arrived, and "deflate" is accepted both with and without the zlib
+ * wrapper (some servers send raw deflate under that name).
+ */
+
+import { Transform } from "node:stream";
+import zlib from "node:zlib";
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+// Sent upstream; every coding listed here can be decoded below
+const UPSTREAM_ACCEPT_ENCODING = "br, gzip, deflate";
+
+const LENIENT_ZLIB = {
+    flush: zlib.constants.Z_SYNC_FLUSH,
+    finishFlush: zlib.constants.Z_SYNC_FLUSH
+};
+
+const LENIENT_BROTLI = {
+    flush: zlib.constants.BROTLI_OPERATION_FLUSH,
+    finishFlush: zlib.constants.BROTLI_OPERATION_FLUSH
+};
+
+// Text-like types worth compressing; event streams are left alone so events are not held back
+const COMPRESSIBLE_TYPE = /^(text\/(?!event-stream)|application\/(javascript|ecmascript|json|xml|wasm|manifest\+json)|image\/svg\+xml)|\+(json|xml)\b/i;
+
+// ============================================================================
+// DECODING
+// ============================================================================
+
+/**
+ * Inflates zlib-wrapped or raw deflate, decided by the first byte
+ */
+function createDeflateDecoder() {
+    let inflater = null;
+
+    return new Transform({
+        transform(chunk, encoding, callback) {
+            if (!inflater) {
+                // A zlib header starts with compression method 8 in the low nibble
+                inflater = (chunk[0] & 0x0f) === 0x08
+                    ? zlib.createInflate(LENIENT_ZLIB)
+                    : zlib.createInflateRaw(LENIENT_ZLIB);
+                inflater.on("data", data => this.push(data));
+                inflater.once("error", err => this.destroy(err));
+            }
+            inflater.write(chunk, () => callback());
+        },
+        flush(callback) {
+            if (!inflater) return callback();
+            inflater.once("end", () => callback());
+            inflater.end();
+        }
+    });
+}
+
+const DECODERS = {
+    "gzip": () => zlib.createGunzip(LENIENT_ZLIB),
+    "x-gzip": () => zlib.createGunzip(LENIENT_ZLIB),
+    "deflate": createDeflateDecoder,
+    "br": () => zlib.createBrotliDecompress(LENIENT_BROTLI)
+};
+
+/**
+ * Streams that undo a Content-Encoding, in the order the body must pass
+ * through them (codings are listed in the order they were applied)
+ *
+ * @param {string} contentEncoding - Content-Encoding response header
+ * @returns {Transform[]|null} Decoders (empty for identity), or null if a coding is unsupported
+ */
+function createDecoders(contentEncoding) {
+    const codings = contentEncoding
+        .toLowerCase()
+        .split(",")
+        .map(coding => coding.trim())
+        .filter(coding => coding && coding !== "identity");
+
+    if (!codings.every(coding => coding in DECODERS)) return null;
+    return codings.reverse().map(coding => DECODERS[coding]());
+}
+
+// ============================================================================
+// ENCODING
+// ============================================================================
+
+/**
+ * @param {string} contentType - Content-Type of the response
+ * @returns {boolean} Whether compressing it is worthwhile
+ */
+function isCompressibleType(contentType) {
+    return COMPRESSIBLE_TYPE.test(contentType || "");
+}
+
+/**
+ * Streaming counterpart of compress() in staticAssets.js, at the same levels
+ *
+ * @param {string} encoding - "br" or "gzip"
+ * @returns {Transform}
+ */
+function createCompressor(encoding) {
+    if (encoding === "br") {
+        return zlib.createBrotliCompress({
+            params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 5 }
+        });
+    }
+    return zlib.createGzip({ level: 6 });
+}
+
+export {
+    UPSTREAM_ACCEPT_ENCODING,
+    createDecoders,
+    isCompressibleType,
+    createCompressor
+};
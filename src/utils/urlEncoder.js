@@ -1,57 +1,230 @@
+import crypto from 'node:crypto';
+import { classifyHostname } from './addressClassifier.js';
+
+// ============================================================================
+// CODECS
+// A target URL in a query string is readable by anything on the path: proxy
+// logs, school filters, browser history. Codecs turn it into an opaque
+// value. Every encoded value starts with a versioned prefix ("x1.", "a1.")
+// naming the codec that produced it, so the server can decode any of them
+// and a codec can change its format later under a new version.
+// ============================================================================
+
+// "<letter><version>." - a dot never appears in legacy (unprefixed) Base64
+const PREFIX_PATTERN = /^([a-z]\d+)\.(.*)$/s;
+
+// AES-GCM nonce and authentication tag sizes (the WebCrypto defaults)
+const AES_IV_BYTES = 12;
+const AES_TAG_BYTES = 16;
+
+const codecs = new Map();
+
 /**
- * Encodes a URL using URL-safe Base64 encoding
- * 
- * Why Base64?
- * - Converts any string to a safe ASCII representation
- * - Avoids issues with special characters in query strings
- * - Easy to decode back to the original
- * 
- * @param {string} url - The URL to encode
- * @returns {string} - URL-safe Base64 encoded string
+ * URL-safe Base64: '+' and '/' have special meaning in URLs, so they become
+ * '-' and '_', and the '=' padding is dropped
  */
-function encodeUrl(url) {
-    if (!url) return '';
+function toBase64Url(buffer) {
+    return buffer.toString('base64url');
+}
 
-    // Step 1: Convert string to Base64
-    // Buffer.from() creates a binary buffer from the string
-    // .toString('base64') converts that buffer to Base64
-    const base64 = Buffer.from(url, 'utf-8').toString('base64');
+function fromBase64Url(text) {
+    // Also accepts standard Base64 and padding
+    return Buffer.from(text, 'base64url');
+}
 
-    // Step 2: Make it URL-safe
-    // Standard Base64 uses '+' and '/' which have special meaning in URLs
-    // We replace them with URL-safe alternatives
-    const urlSafe = base64
-        .replace(/\+/g, '-')  // Replace + with -
-        .replace(/\//g, '_')  // Replace / with _
-        .replace(/=+$/, '');  // Remove trailing = padding
+/**
+ * XORs every other character code with 2. This is the
+ * __scramjet$codecs.xor codec used in js/scramjet.config.js, so values can
+ * be passed between the two unchanged.
+ */
+function xorCharacters(text) {
+    return text
+        .split('')
+        .map((char, index) => index % 2 ? String.fromCharCode(char.charCodeAt(0) ^ 2) : char)
+        .join('');
+}
 
-    return urlSafe;
+/**
+ * Registers a codec
+ *
+ * @param {string} name - Name used to select the codec (e.g. 'xor')
+ * @param {object} codec
+ * @param {string} codec.prefix - Versioned prefix, a letter and a number (e.g. 'x1')
+ * @param {Function} codec.encode - (url, key) => payload
+ * @param {Function} codec.decode - (payload, key) => url; may throw
+ * @param {boolean} [codec.requiresKey] - Whether encode/decode need the session key
+ */
+function registerCodec(name, codec) {
+    if (!/^[a-z]\d+$/.test(codec.prefix)) {
+        throw new Error(`Codec prefix "${codec.prefix}" must be a letter followed by a version number`);
+    }
+    for (const [otherName, other] of codecs) {
+        if (other.prefix === codec.prefix && otherName !== name) {
+            throw new Error(`Codec prefix "${codec.prefix}" is already used by "${otherName}"`);
+        }
+    }
+    codecs.set(name, { requiresKey: false, ...codec, name });
 }
 
+registerCodec('plain', {
+    prefix: 'p1',
+    encode: url => url,
+    decode: payload => payload
+});
+
+registerCodec('base64', {
+    prefix: 'b1',
+    encode: url => toBase64Url(Buffer.from(url, 'utf-8')),
+    decode: payload => fromBase64Url(payload).toString('utf-8')
+});
+
+registerCodec('xor', {
+    prefix: 'x1',
+    encode: url => encodeURIComponent(xorCharacters(url)),
+    decode: payload => {
+        // Same as the Scramjet codec: anything after '?' was never encoded
+        const [input, ...search] = payload.split('?');
+        return xorCharacters(decodeURIComponent(input)) + (search.length ? '?' + search.join('?') : '');
+    }
+});
+
+// Payload: Base64 of IV + ciphertext + tag, the layout WebCrypto produces,
+// so the browser can encrypt with the same key (GET /api/url-key, see
+// urlEncryptionKey()). The IV is derived from the URL: a resource keeps one
+// proxied URL across page loads (so the browser can cache it), while
+// different URLs still never share an IV
+registerCodec('aes-gcm', {
+    prefix: 'a1',
+    requiresKey: true,
+    encode: (url, key) => {
+        const iv = crypto.createHmac('sha256', deriveKey(key, 'iv')).update(url).digest().subarray(0, AES_IV_BYTES);
+        const cipher = crypto.createCipheriv('aes-256-gcm', urlEncryptionKey(key), iv);
+        const ciphertext = Buffer.concat([cipher.update(url, 'utf-8'), cipher.final()]);
+        return toBase64Url(Buffer.concat([iv, ciphertext, cipher.getAuthTag()]));
+    },
+    decode: (payload, key) => {
+        const bytes = fromBase64Url(payload);
+        if (bytes.length < AES_IV_BYTES + AES_TAG_BYTES) {
+            throw new Error('AES-GCM payload is too short');
+        }
+        const iv = bytes.subarray(0, AES_IV_BYTES);
+        const tag = bytes.subarray(bytes.length - AES_TAG_BYTES);
+        const decipher = crypto.createDecipheriv('aes-256-gcm', urlEncryptionKey(key), iv);
+        decipher.setAuthTag(tag);
+        const ciphertext = bytes.subarray(AES_IV_BYTES, bytes.length - AES_TAG_BYTES);
+        return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf-8');
+    }
+});
+
 /**
- * Decodes a URL-safe Base64 encoded string back to the original URL
- * 
- * @param {string} encoded - The URL-safe Base64 encoded string
+ * Derives a subkey of a session key with HKDF-SHA256, one per purpose, so
+ * the same key never serves as both the AES-GCM key and the IV's HMAC key
+ */
+function deriveKey(key, purpose) {
+    return Buffer.from(crypto.hkdfSync('sha256', key, Buffer.alloc(0), `scholar url ${purpose}`, 32));
+}
+
+/**
+ * The AES-GCM key the 'aes-gcm' codec encrypts with. This is the key to
+ * hand to the browser: the session key itself, and the IV subkey derived
+ * from it, stay on the server.
+ *
+ * @param {Buffer} key - Session key
+ * @returns {Buffer} 256-bit subkey
+ */
+function urlEncryptionKey(key) {
+    return deriveKey(key, 'encryption');
+}
+
+/**
+ * Finds the codec that produced an encoded value
+ *
+ * @param {string} encoded - Encoded value
+ * @returns {object|null} The codec, or null if the value has no known prefix
+ */
+function codecOf(encoded) {
+    const match = PREFIX_PATTERN.exec(encoded || '');
+    if (!match) return null;
+    for (const codec of codecs.values()) {
+        if (codec.prefix === match[1]) return codec;
+    }
+    return null;
+}
+
+/**
+ * Encodes a URL with one of the registered codecs
+ *
+ * @param {string} url - The URL to encode
+ * @param {object} [options]
+ * @param {string} [options.codec='base64'] - Codec name
+ * @param {Buffer} [options.key] - Session key, for codecs that require one
+ * @returns {string} - Prefixed, URL-safe encoded value
+ */
+function encodeUrl(url, { codec = 'base64', key = null } = {}) {
+    if (!url) return '';
+
+    const selected = codecs.get(codec);
+    if (!selected) {
+        throw new Error(`Unknown URL codec "${codec}"`);
+    }
+    if (selected.requiresKey && !key) {
+        throw new Error(`URL codec "${codec}" requires a session key`);
+    }
+    return `${selected.prefix}.${selected.encode(url, key)}`;
+}
+
+/**
+ * Decodes a value produced by encodeUrl(). Values without a prefix are
+ * read as URL-safe Base64, the format used before codecs had prefixes.
+ *
+ * A value that cannot be decoded (unknown prefix, missing key, or an
+ * AES-GCM value that was tampered with or belongs to another session)
+ * yields '' so callers reject it like any other missing URL.
+ *
+ * @param {string} encoded - The encoded value
+ * @param {object} [options]
+ * @param {Buffer} [options.key] - Session key, for codecs that require one
  * @returns {string} - The original URL
  */
-function decodeUrl(encoded) {
+function decodeUrl(encoded, { key = null } = {}) {
     if (!encoded) return '';
 
-    // Step 1: Reverse the URL-safe replacements
-    let base64 = encoded
-        .replace(/-/g, '+')   // Restore +
-        .replace(/_/g, '/');  // Restore /
+    const match = PREFIX_PATTERN.exec(encoded);
+    const codec = match ? codecOf(encoded) : codecs.get('base64');
+    const payload = match ? match[2] : encoded;
+    if (!codec || (codec.requiresKey && !key)) {
+        return '';
+    }
 
-    // Step 2: Add back padding if needed
-    // Base64 strings should have length divisible by 4
-    while (base64.length % 4) {
-        base64 += '=';
+    try {
+        return codec.decode(payload, key);
+    } catch (error) {
+        return '';
     }
+}
 
-    // Step 3: Decode from Base64 back to the original string
-    const decoded = Buffer.from(base64, 'base64').toString('utf-8');
+// Codec for the URLs written into proxied pages (see configureLinkCodec)
+let linkCodec = 'aes-gcm';
 
-    return decoded;
+/**
+ * Sets the codec for URLs the proxy writes into pages: rewritten links and
+ * the URLs the in-page interceptor builds (config.urlEncoding.codec)
+ *
+ * @param {string} name - Registered codec name
+ * @throws {Error} If no codec has that name
+ */
+function configureLinkCodec(name) {
+    if (!codecs.has(name)) {
+        throw new Error(`Unknown URL codec "${name}"`);
+    }
+    linkCodec = name;
+}
+
+/**
+ * @returns {object} The codec set by configureLinkCodec(): { name, prefix, requiresKey, ... }
+ */
+function getLinkCodec() {
+    return codecs.get(linkCodec);
 }
 
 /**
@@ -80,60 +253,136 @@ function isValidUrl(url) {
             return false;
         }
 
-        // Block localhost and private IPs to prevent SSRF
-        // In a real application, you'd want more comprehensive checks
-        const hostname = parsed.hostname.toLowerCase();
-        const blockedHosts = [
-            'localhost',
-            '127.0.0.1',
-            '0.0.0.0',
-            '::1'
-        ];
-
-        if (blockedHosts.includes(hostname)) {
-            return false;
-        }
-
-        // Check for private IP ranges (basic check)
-        if (hostname.startsWith('192.168.') ||
-            hostname.startsWith('10.') ||
-            hostname.startsWith('172.16.')) {
-            return false;
-        }
-
-        return true;
+        // Block local and private addresses to prevent SSRF. The URL parser
+        // has already turned spellings like 2130706433 into 127.0.0.1; names
+        // are checked again once resolved, when the connection is made
+        // (pinnedLookup in addressClassifier.js)
+        return classifyHostname(parsed.hostname).allowed;
     } catch (error) {
         // URL constructor threw - not a valid URL
         return false;
     }
 }
 
+// ============================================================================
+// REDACTION
+// One policy for every URL the server writes out: log lines, error details
+// sent to the client, metrics labels. Configured once at startup from
+// config.redaction (see configureRedaction); the defaults below apply until
+// then.
+// ============================================================================
+
+const REDACTED = '[REDACTED]';
+
+// Base used to parse relative URLs such as req.originalUrl
+const RELATIVE_BASE = 'http://relative.invalid';
+
+const ABSOLUTE_URL = /^[a-z][a-z\d+.-]*:/i;
+
+// The marker once percent-encoded by URLSearchParams (and again when nested)
+const ENCODED_MARKER = /%(?:25)*5BREDACTED%(?:25)*5D/gi;
+
+// URLs inside free-form text (error messages, stack traces)
+const URL_IN_TEXT = /\b(?:https?|wss?):\/\/[\w[][^\s"'<>`]*/gi;
+
+const redaction = {
+    // Query parameters whose values are hidden (matched case-insensitively)
+    params: new Set(['token', 'key', 'password', 'secret', 'auth', 'sid', 'access_token', 'api_key', 'code', 'signature']),
+    fragments: true,
+    userinfo: true,
+    paths: false,
+    disabled: false
+};
+
 /**
- * Sanitizes query parameters from a URL
- * Removes potentially dangerous parameters
- * 
+ * Sets the redaction policy
+ *
+ * @param {object} options - config.redaction
+ * @param {string[]} [options.params] - Sensitive query parameter names
+ * @param {boolean} [options.fragments] - Hide #fragments
+ * @param {boolean} [options.userinfo] - Hide user:password@ credentials
+ * @param {boolean} [options.paths] - Hide the whole path and query, keeping only the origin
+ * @param {boolean} [options.disabled] - Write URLs out unchanged (local development only)
+ */
+function configureRedaction({ params, fragments, userinfo, paths, disabled } = {}) {
+    if (params) redaction.params = new Set(params.map(param => param.toLowerCase()));
+    if (fragments !== undefined) redaction.fragments = fragments;
+    if (userinfo !== undefined) redaction.userinfo = userinfo;
+    if (paths !== undefined) redaction.paths = paths;
+    if (disabled !== undefined) redaction.disabled = disabled;
+}
+
+/**
+ * Redacts a URL according to the policy: sensitive query parameters,
+ * fragments, credentials and optionally the path. URLs nested in query
+ * parameters (/api/proxy?url=...) are redacted too. Relative URLs stay
+ * relative, and only absolute ones lose their path.
+ *
  * @param {string} url - The URL to sanitize
  * @returns {string} - The sanitized URL
  */
 function sanitizeUrl(url) {
-    if (!url) return '';
+    if (!url || redaction.disabled) return url || '';
 
+    const relative = !ABSOLUTE_URL.test(url);
+    if (relative && !url.startsWith('/')) return url;
+
+    let parsed;
     try {
-        const parsed = new URL(url);
+        parsed = new URL(url, RELATIVE_BASE);
+    } catch (error) {
+        return url;
+    }
+
+    let changed = false;
+    if (redaction.userinfo && (parsed.username || parsed.password)) {
+        parsed.username = 'REDACTED';
+        parsed.password = '';
+        changed = true;
+    }
 
-        // List of parameters that might be sensitive
-        const sensitiveParams = ['token', 'key', 'password', 'secret', 'auth'];
+    if (redaction.paths && !relative) {
+        return `${parsed.protocol}//${parsed.username ? `${parsed.username}@` : ''}${parsed.host}/${REDACTED}`;
+    }
 
-        sensitiveParams.forEach(param => {
-            if (parsed.searchParams.has(param)) {
-                parsed.searchParams.set(param, '[REDACTED]');
-            }
-        });
+    let paramsChanged = false;
+    const params = [...parsed.searchParams].map(([name, value]) => {
+        let redacted = value;
+        if (redaction.params.has(name.toLowerCase())) {
+            redacted = REDACTED;
+        } else if (ABSOLUTE_URL.test(value)) {
+            redacted = sanitizeUrl(value);
+        }
+        paramsChanged = paramsChanged || redacted !== value;
+        return [name, redacted];
+    });
+    if (paramsChanged) {
+        parsed.search = new URLSearchParams(params).toString();
+        changed = true;
+    }
 
-        return parsed.toString();
-    } catch (error) {
-        return url;
+    if (redaction.fragments && parsed.hash) {
+        parsed.hash = REDACTED;
+        changed = true;
     }
+
+    // Left exactly as written when there was nothing to hide
+    if (!changed) return url;
+
+    const sanitized = relative ? parsed.pathname + parsed.search + parsed.hash : parsed.toString();
+    return sanitized.replace(ENCODED_MARKER, REDACTED);
+}
+
+/**
+ * Redacts every URL found in a piece of text, e.g. "request to
+ * https://... failed" in a fetch error
+ *
+ * @param {string} text - Message, stack trace, ...
+ * @returns {string} - The text with its URLs sanitized
+ */
+function redactText(text) {
+    if (typeof text !== 'string' || redaction.disabled) return text;
+    return text.replace(URL_IN_TEXT, url => sanitizeUrl(url));
 }
 
 /**
@@ -152,10 +401,17 @@ function extractDomain(url) {
     }
 }
 
-module.exports = {
+export {
+    registerCodec,
+    codecOf,
     encodeUrl,
     decodeUrl,
+    urlEncryptionKey,
+    configureLinkCodec,
+    getLinkCodec,
     isValidUrl,
+    configureRedaction,
     sanitizeUrl,
+    redactText,
     extractDomain
 };
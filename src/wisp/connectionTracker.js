@@ -0,0 +1,140 @@
+/**
+ * WISP Connection Tracker
+ *
+ * wisp-js does not expose its live connections, so the tracker wraps the
+ * setup/cleanup methods of its ServerConnection class to keep a set of every
+ * connection that is currently open. Each connection keeps its streams in
+ * `connection.streams`, which gives the active stream count for free.
+ *
+ * Byte counts come from the raw upgrade sockets, which server.js registers
+ * with trackSocket() once an upgrade has been accepted.
+ *
+ * The tracker also enforces the per-connection stream limit. wisp-js has
+ * its own (`stream_limit_total`), but it counts the new stream before
+ * comparing, so a limit of N only ever allows N - 1 streams.
+ *
+ * During shutdown the tracker also refuses new streams on connections that
+ * are still open, and closes connections with a WebSocket close code the
+ * client can act on.
+ */
+
+import { packet } from "@mercuryworkshop/wisp-js/server";
+
+const { WispPacket, ClosePayload, close_reasons } = packet;
+
+/**
+ * Installs the tracking hooks on wisp-js' ServerConnection class
+ *
+ * @param {Function} ServerConnection - The class exported by wisp-js/server
+ * @param {object} options
+ * @param {number} options.streamLimit - Open streams allowed per connection
+ * @returns {object} Tracker with connection, stream and byte accessors
+ */
+function createConnectionTracker(ServerConnection, { streamLimit }) {
+    const connections = new Set();
+    const sockets = new Set();
+    let closedBytesIn = 0;
+    let closedBytesOut = 0;
+    let refusingStreams = false;
+
+    const originalSetup = ServerConnection.prototype.setup;
+    const originalCleanup = ServerConnection.prototype.cleanup;
+    const originalCreateStream = ServerConnection.prototype.create_stream;
+
+    ServerConnection.prototype.setup = async function (...args) {
+        connections.add(this);
+        try {
+            return await originalSetup.apply(this, args);
+        } catch (err) {
+            connections.delete(this);
+            throw err;
+        }
+    };
+
+    ServerConnection.prototype.cleanup = async function (...args) {
+        connections.delete(this);
+        return originalCleanup.apply(this, args);
+    };
+
+    ServerConnection.prototype.create_stream = function (streamId, ...args) {
+        const full = Object.keys(this.streams).length >= streamLimit;
+        if (!refusingStreams && !full) {
+            return originalCreateStream.call(this, streamId, ...args);
+        }
+
+        // Answer the CONNECT with a CLOSE straight away, without ever opening the stream
+        this.ws.send(new WispPacket({
+            type: ClosePayload.type,
+            stream_id: streamId,
+            payload: new ClosePayload({ reason: close_reasons.ConnThrottled })
+        }));
+    };
+
+    /**
+     * Counts the traffic of an accepted upgrade socket until it closes
+     *
+     * @param {net.Socket} socket - The socket handed to the upgrade handler
+     */
+    function trackSocket(socket) {
+        sockets.add(socket);
+        socket.once("close", () => {
+            sockets.delete(socket);
+            closedBytesIn += socket.bytesRead;
+            closedBytesOut += socket.bytesWritten;
+        });
+    }
+
+    function activeStreamCount() {
+        let count = 0;
+        for (const connection of connections) {
+            count += Object.keys(connection.streams).length;
+        }
+        return count;
+    }
+
+    function bytes() {
+        let bytesIn = closedBytesIn;
+        let bytesOut = closedBytesOut;
+        for (const socket of sockets) {
+            bytesIn += socket.bytesRead;
+            bytesOut += socket.bytesWritten;
+        }
+        return { in: bytesIn, out: bytesOut };
+    }
+
+    /**
+     * Makes every connection answer new CONNECT packets with a CLOSE
+     * (used while draining; there is no way back)
+     */
+    function refuseNewStreams() {
+        refusingStreams = true;
+    }
+
+    /**
+     * Closes a connection's WebSocket; any streams still open on it are sent
+     * a WISP CLOSE first so the client sees them end rather than stall
+     *
+     * @param {ServerConnection} connection - A tracked connection
+     * @param {number} code - WebSocket close code (e.g. 1001 Going Away)
+     * @param {string} reason - WebSocket close reason
+     */
+    async function closeConnection(connection, code, reason) {
+        for (const streamId of Object.keys(connection.streams)) {
+            await connection.close_stream(streamId, close_reasons.Voluntary, true);
+        }
+        connection.ws.close(code, reason);
+    }
+
+    return {
+        connections,
+        trackSocket,
+        activeStreamCount,
+        bytes,
+        refuseNewStreams,
+        closeConnection
+    };
+}
+
+export {
+    createConnectionTracker
+};